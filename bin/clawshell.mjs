@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+import { runCli } from '../src/cli.mjs';
+
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+process.exitCode = await runCli(process.argv.slice(2), { signal: controller.signal });
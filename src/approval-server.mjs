@@ -0,0 +1,268 @@
+import { createServer } from 'node:http';
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { redactSecrets } from './redact.mjs';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const ACTIONS = new Set(['approve', 'reject']);
+
+/**
+ * HTTP endpoint that turns a tap on a notification into a PendingApprovals
+ * decision. Approve/reject links are HMAC-signed per request and action,
+ * expire with the approval timeout, and can be used once. Telegram inline
+ * buttons can be delivered here via webhook instead of getUpdates polling.
+ */
+export class ApprovalServer {
+  #pending;
+  #port;
+  #host;
+  #publicUrl;
+  #secret;
+  #ttlMs;
+  #telegram;
+  #redact;
+  #server = null;
+  // Signatures of used links, by expiry; expired ones fail #verify anyway
+  #usedTokens = new Map();
+
+  constructor(opts = {}) {
+    if (!opts.pending) {
+      throw new Error('ApprovalServer requires a PendingApprovals instance.');
+    }
+
+    this.#pending = opts.pending;
+    this.#port = parseInt(process.env.CLAWSHELL_CALLBACK_PORT, 10) || opts.port || 0;
+    this.#host = process.env.CLAWSHELL_CALLBACK_HOST || opts.host || '127.0.0.1';
+    this.#publicUrl = process.env.CLAWSHELL_CALLBACK_URL || opts.publicUrl || null;
+    // Without a configured secret, links only stay valid for this process
+    this.#secret = process.env.CLAWSHELL_CALLBACK_SECRET || opts.secret || randomBytes(32).toString('hex');
+    this.#ttlMs = (opts.ttlSeconds ?? this.#pending.timeoutMs / 1000) * 1000;
+    this.#telegram = {
+      webhookSecret: process.env.CLAWSHELL_TELEGRAM_WEBHOOK_SECRET || opts.telegramWebhookSecret || null,
+      chatId: process.env.CLAWSHELL_TELEGRAM_CHAT_ID || opts.telegramChatId || null,
+      // Same allowlist TelegramNotifier enforces when polling
+      allowedUsers: opts.telegramAllowedUserIds
+        || (process.env.CLAWSHELL_TELEGRAM_ALLOWED_USERS || '').split(',').map((s) => s.trim()).filter(Boolean),
+    };
+    this.#redact = opts.redact || redactSecrets;
+  }
+
+  get url() {
+    if (this.#publicUrl) return this.#publicUrl.replace(/\/+$/, '');
+    const address = this.#server?.address();
+    const port = address?.port ?? this.#port;
+    return `http://${this.#host}:${port}`;
+  }
+
+  get listening() {
+    return !!this.#server?.listening;
+  }
+
+  start() {
+    if (this.#server) return Promise.resolve(this);
+
+    this.#server = createServer((req, res) => {
+      this.#handle(req, res).catch(() => send(res, 500, 'Internal error'));
+    });
+    this.#server.unref(); // Don't keep process alive
+
+    return new Promise((resolve, reject) => {
+      this.#server.once('error', reject);
+      this.#server.listen(this.#port, this.#host, () => {
+        this.#server.off('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  close() {
+    if (!this.#server) return Promise.resolve();
+    const server = this.#server;
+    this.#server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Returns signed single-use URLs for deciding a pending request. Link
+   * votes count as `user_web`, so they are refused for requests whose
+   * policy lists named approvers.
+   */
+  linksFor(id) {
+    const expires = Date.now() + this.#ttlMs;
+    const link = (action) => {
+      const sig = this.#sign(action, id, expires);
+      return `${this.url}/${action}/${encodeURIComponent(id)}?exp=${expires}&sig=${sig}`;
+    };
+    return { approveUrl: link('approve'), rejectUrl: link('reject'), expiresAt: new Date(expires).toISOString() };
+  }
+
+  // --- Request handling ---
+
+  async #handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/telegram/webhook' && req.method === 'POST') {
+      return this.#handleTelegram(req, res);
+    }
+
+    const match = url.pathname.match(/^\/(approve|reject)\/([^/]+)$/);
+    if (!match) return send(res, 404, 'Not found');
+
+    const [, action, rawId] = match;
+    const id = decodeURIComponent(rawId);
+    const expires = parseInt(url.searchParams.get('exp'), 10);
+    const sig = url.searchParams.get('sig') || '';
+
+    if (!this.#verify(action, id, expires, sig)) return send(res, 403, 'Invalid or expired link.');
+    if (this.#usedTokens.has(sig)) return send(res, 409, 'This link has already been used.');
+
+    const entry = this.#pending.get(id);
+    if (!entry || entry.status !== 'pending') {
+      return send(res, 409, `Request ${id} is no longer pending${entry ? ` (${entry.status})` : ''}.`);
+    }
+    // Links carry no identity, so they can't vote for a named approver
+    if (entry.policy?.approvers?.length) {
+      return send(res, 409, `Request ${id} needs votes from named approvers (policy ${entry.policy.name}); use Telegram or the operator CLI.`);
+    }
+
+    // GET only confirms, so link previewers and prefetchers can't decide
+    if (req.method === 'GET') return send(res, 200, confirmPage(action, entry, this.#redact), 'text/html');
+    if (req.method !== 'POST') return send(res, 405, 'Method not allowed');
+
+    await readBody(req);
+    this.#useToken(sig, expires);
+    const decided = action === 'approve'
+      ? this.#pending.approve(id, 'user_web')
+      : this.#pending.reject(id, 'user_web');
+
+    if (!decided) {
+      const status = this.#pending.get(id)?.status === 'pending' ? 'does not accept this vote' : 'is no longer pending';
+      return send(res, 409, `Request ${id} ${status}.`);
+    }
+    return send(res, 200, resultPage(action, this.#pending.get(id)), 'text/html');
+  }
+
+  async #handleTelegram(req, res) {
+    const { webhookSecret, chatId, allowedUsers } = this.#telegram;
+    if (!webhookSecret) return send(res, 404, 'Not found');
+
+    const header = req.headers['x-telegram-bot-api-secret-token'] || '';
+    if (!safeEqual(header, webhookSecret)) return send(res, 401, 'Unauthorized');
+
+    let update;
+    try {
+      update = JSON.parse(await readBody(req));
+    } catch {
+      return send(res, 400, 'Bad request');
+    }
+
+    const cb = update.callback_query;
+    if (!cb) return sendJson(res, {});
+
+    // Only the configured chat, and its allowed users when listed, may decide
+    const fromChat = String(cb.message?.chat?.id ?? '');
+    const fromUser = String(cb.from?.id ?? '');
+    if ((chatId && fromChat !== String(chatId)) || (allowedUsers.length > 0 && !allowedUsers.includes(fromUser))) {
+      return sendJson(res, { method: 'answerCallbackQuery', callback_query_id: cb.id, text: 'Not authorized' });
+    }
+
+    const [action, id] = (cb.data || '').split(':');
+    // Quorum policies count votes per Telegram user
+    const approver = cb.from?.username || (cb.from?.id !== undefined ? String(cb.from.id) : null);
+    let text = 'Unknown action';
+    if (ACTIONS.has(action) && id) {
+      const wasPending = this.#pending.get(id)?.status === 'pending';
+      const decided = action === 'approve'
+        ? this.#pending.approve(id, 'user_telegram', approver)
+        : this.#pending.reject(id, 'user_telegram', approver);
+      const entry = this.#pending.get(id);
+      if (decided) text = entry.status === 'pending' ? progressText(entry) : (action === 'approve' ? 'Approved' : 'Rejected');
+      else text = wasPending ? 'Vote not accepted' : 'Request is no longer pending';
+    }
+
+    // Webhook replies can carry a Bot API call, so no outbound request is needed
+    return sendJson(res, { method: 'answerCallbackQuery', callback_query_id: cb.id, text });
+  }
+
+  #useToken(sig, expires) {
+    const now = Date.now();
+    for (const [used, until] of this.#usedTokens) {
+      if (until < now) this.#usedTokens.delete(used);
+    }
+    this.#usedTokens.set(sig, expires);
+  }
+
+  // --- Signing ---
+
+  #sign(action, id, expires) {
+    return createHmac('sha256', this.#secret).update(`${action}:${id}:${expires}`).digest('base64url');
+  }
+
+  #verify(action, id, expires, sig) {
+    if (!Number.isFinite(expires) || expires < Date.now()) return false;
+    return safeEqual(sig, this.#sign(action, id, expires));
+  }
+}
+
+// --- Helpers ---
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, contentType = 'text/plain') {
+  res.writeHead(status, { 'content-type': `${contentType}; charset=utf-8`, 'cache-control': 'no-store' });
+  res.end(body);
+}
+
+function sendJson(res, body) {
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+function confirmPage(action, entry, redact) {
+  const label = action === 'approve' ? 'Approve' : 'Reject';
+  return [
+    '<!doctype html><meta name="viewport" content="width=device-width">',
+    `<title>ClawShell: ${label}</title>`,
+    `<h1>${label} request ${escapeHtml(entry.id)}?</h1>`,
+    `<p>Risk: ${escapeHtml((entry.riskLevel || '').toUpperCase())} (${escapeHtml((entry.riskReasons || []).join(', '))})</p>`,
+    `<p>Directory: <code>${escapeHtml(redact(entry.workingDir))}</code></p>`,
+    `<pre>${escapeHtml(redact(entry.command))}</pre>`,
+    `<form method="post"><button type="submit">${label}</button></form>`,
+  ].join('\n');
+}
+
+function progressText(entry) {
+  return `Approval recorded (${entry.approvals.length}/${entry.policy.required})`;
+}
+
+function resultPage(action, entry) {
+  const heading = entry.status === 'pending'
+    ? `${progressText(entry)} for request ${escapeHtml(entry.id)}`
+    : `${action === 'approve' ? 'Approved' : 'Rejected'} request ${escapeHtml(entry.id)}`;
+  return `<!doctype html><meta name="viewport" content="width=device-width"><h1>${heading}</h1>`;
+}
@@ -0,0 +1,87 @@
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+// --- Approval stores ---
+//
+// PendingApprovals writes every state change through a store so requests
+// outlive the process. A store holds plain JSON records keyed by id and
+// implements three synchronous methods:
+//
+//   load()        -> array of records saved earlier
+//   save(record)  -> insert or replace the record with record.id
+//   delete(id)    -> forget a record
+
+/**
+ * Keeps records for the lifetime of the process only.
+ */
+export class MemoryApprovalStore {
+  #records = new Map();
+
+  load() {
+    return [...this.#records.values()].map((record) => structuredClone(record));
+  }
+
+  save(record) {
+    this.#records.set(record.id, structuredClone(record));
+  }
+
+  delete(id) {
+    this.#records.delete(id);
+  }
+}
+
+/**
+ * Keeps records in a single JSON file. Every change rewrites the file via a
+ * temporary file and rename, so a crash never leaves a half-written store.
+ */
+export class FileApprovalStore {
+  #path;
+  #records = new Map();
+
+  constructor(opts = {}) {
+    if (!opts.path) {
+      throw new Error('FileApprovalStore requires a file path.');
+    }
+    this.#path = opts.path;
+    this.#read();
+  }
+
+  get path() {
+    return this.#path;
+  }
+
+  load() {
+    return [...this.#records.values()].map((record) => structuredClone(record));
+  }
+
+  save(record) {
+    this.#records.set(record.id, structuredClone(record));
+    this.#write();
+  }
+
+  delete(id) {
+    if (this.#records.delete(id)) this.#write();
+  }
+
+  #read() {
+    if (!existsSync(this.#path)) return;
+
+    try {
+      const data = JSON.parse(readFileSync(this.#path, 'utf-8'));
+      for (const record of data.requests || []) {
+        if (record?.id) this.#records.set(record.id, record);
+      }
+    } catch {
+      // Keep the unreadable file for inspection and start empty
+      try { renameSync(this.#path, `${this.#path}.corrupt`); } catch { /* ignore */ }
+    }
+  }
+
+  #write() {
+    mkdirSync(dirname(this.#path), { recursive: true });
+    const tmp = `${this.#path}.${process.pid}.tmp`;
+    const data = { version: 1, requests: [...this.#records.values()] };
+    writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+    renameSync(tmp, this.#path);
+  }
+}
@@ -1,137 +1,480 @@
-import { exec } from 'node:child_process';
 import { randomUUID } from 'node:crypto';
+import { join, resolve } from 'node:path';
 import { RiskAnalyzer } from './risk-analyzer.mjs';
+import { loadConfig, watchConfig, diffRules } from './config.mjs';
 import { getNotifier } from './notifier.mjs';
 import { getLogger } from './logger.mjs';
+import { createSinks } from './log-sinks.mjs';
+import { Redactor } from './redact.mjs';
+import { createExecutors } from './sandbox.mjs';
+import { EnvPolicy, secretEnvNames } from './env-policy.mjs';
+import { ApprovalServer } from './approval-server.mjs';
+import { MemoryApprovalStore, FileApprovalStore } from './approval-store.mjs';
+import { ControlServer, describeDecision, defaultSocketPath } from './control.mjs';
 
 // --- Pending Approvals Store ---
 
+/**
+ * Tracks approval requests until they are decided or time out. Every state
+ * change is written through `opts.store` (in-memory by default); requests
+ * that were still pending when the process stopped are reloaded with their
+ * original expiry, so decisions arriving after a restart are recorded.
+ */
 export class PendingApprovals {
-  #store = new Map();
+  #entries = new Map();
+  #store;
   #timeoutMs;
   #cleanupInterval;
+  #restored = [];
+  #onStoreError;
 
   constructor(opts = {}) {
     this.#timeoutMs = (
       parseInt(process.env.CLAWSHELL_TIMEOUT_SECONDS, 10) || opts.timeoutSeconds || 300
     ) * 1000;
+    this.#store = opts.store || new MemoryApprovalStore();
+    this.#onStoreError = opts.onStoreError || (() => {});
+    this.#restore();
 
     // Periodic cleanup every 60s
     this.#cleanupInterval = setInterval(() => this.cleanup(), 60_000);
     this.#cleanupInterval.unref(); // Don't keep process alive
   }
 
+  get timeoutMs() {
+    return this.#timeoutMs;
+  }
+
   add(request) {
     const id = request.id || randomUUID().slice(0, 8);
-    let resolver;
-    let timer;
-
-    const promise = new Promise((resolve) => {
-      resolver = resolve;
-
-      // Auto-timeout
-      timer = setTimeout(() => {
-        if (this.#store.has(id) && this.#store.get(id).status === 'pending') {
-          this.#store.get(id).status = 'timeout';
-          resolve({ approved: false, reason: 'timeout', decidedBy: 'timeout' });
-        }
-      }, this.#timeoutMs);
-      timer.unref();
-    });
+    const timestamp = new Date();
 
-    this.#store.set(id, {
+    const entry = {
       id,
       command: request.command,
       workingDir: request.workingDir,
       riskLevel: request.riskLevel,
       riskReasons: request.riskReasons || [],
-      timestamp: new Date(),
+      timestamp,
+      expiresAt: new Date(timestamp.getTime() + this.#timeoutMs),
       status: 'pending',
-      resolver,
-      timer,
-    });
+      // Quorum policy: { name, required, approvers } — null means first decision wins
+      policy: request.policy || null,
+      approvals: [],
+      decidedBy: null,
+      decidedAt: null,
+      // Notifier receipt, kept so polling can resume after a restart
+      receipt: null,
+    };
 
+    const promise = this.#track(entry);
+    this.#persist(entry);
     return { id, promise };
   }
 
-  approve(id) {
-    const entry = this.#store.get(id);
+  /**
+   * Records an approval. Without a policy the first approval resolves the
+   * request; with one, `approver` (or `decidedBy`) must be a listed approver
+   * and the request resolves once `required` distinct approvals are in.
+   * Returns false for unknown/decided requests, unlisted or repeat approvers.
+   */
+  approve(id, decidedBy = 'user', approver = null) {
+    const entry = this.#entries.get(id);
     if (!entry || entry.status !== 'pending') return false;
 
-    entry.status = 'approved';
-    clearTimeout(entry.timer);
-    entry.resolver({ approved: true, decidedBy: 'user' });
+    if (entry.policy) {
+      const identity = approver || decidedBy;
+      if (!this.#canVote(entry, identity) || entry.approvals.includes(identity)) return false;
+      entry.approvals.push(identity);
+      if (entry.approvals.length < entry.policy.required) {
+        this.#persist(entry);
+        return true;
+      }
+      decidedBy = entry.approvals.join(',');
+    }
+
+    this.#settle(entry, 'approved', { approved: true, decidedBy, ...this.#quorumDetails(entry) });
     return true;
   }
 
-  reject(id) {
-    const entry = this.#store.get(id);
+  /**
+   * Rejects a request. Under a quorum policy any listed approver can veto,
+   * regardless of approvals already recorded.
+   */
+  reject(id, decidedBy = 'user', approver = null) {
+    const entry = this.#entries.get(id);
     if (!entry || entry.status !== 'pending') return false;
 
-    entry.status = 'rejected';
-    clearTimeout(entry.timer);
-    entry.resolver({ approved: false, decidedBy: 'user' });
+    if (entry.policy) {
+      const identity = approver || decidedBy;
+      if (!this.#canVote(entry, identity)) return false;
+      decidedBy = identity;
+    }
+
+    this.#settle(entry, 'rejected', { approved: false, decidedBy, ...this.#quorumDetails(entry) });
+    return true;
+  }
+
+  /**
+   * Remembers the notifier receipt for a pending request.
+   */
+  setReceipt(id, receipt) {
+    const entry = this.#entries.get(id);
+    if (!entry || entry.status !== 'pending') return false;
+    entry.receipt = receipt;
+    this.#persist(entry);
     return true;
   }
 
   get(id) {
-    const entry = this.#store.get(id);
+    const entry = this.#entries.get(id);
     if (!entry) return null;
-    // Return a copy without internals
-    const { resolver, timer, ...rest } = entry;
-    return rest;
+    return this.#publicView(entry);
   }
 
   list() {
     const results = [];
-    for (const [, entry] of this.#store) {
+    for (const [, entry] of this.#entries) {
       if (entry.status === 'pending') {
-        const { resolver, timer, ...rest } = entry;
-        results.push(rest);
+        results.push(this.#publicView(entry));
       }
     }
     return results;
   }
 
+  /**
+   * Requests reloaded from the store that were still pending, as
+   * `{ id, promise }` pairs like add() returns. Nobody else is waiting on
+   * these promises: the caller that added them is gone.
+   */
+  restored() {
+    return [...this.#restored];
+  }
+
   cleanup() {
     const now = Date.now();
-    for (const [id, entry] of this.#store) {
+    for (const [id, entry] of this.#entries) {
       if (entry.status !== 'pending' && (now - entry.timestamp.getTime()) > this.#timeoutMs * 2) {
-        this.#store.delete(id);
+        this.#entries.delete(id);
+        this.#write(() => this.#store.delete(id));
       }
     }
   }
 
+  /**
+   * Stops timers and forgets in-memory state. Persisted requests are kept
+   * so the next process can pick them up.
+   */
   destroy() {
     clearInterval(this.#cleanupInterval);
-    for (const [, entry] of this.#store) {
+    for (const [, entry] of this.#entries) {
       clearTimeout(entry.timer);
     }
-    this.#store.clear();
+    this.#entries.clear();
+    this.#restored = [];
+  }
+
+  #track(entry) {
+    const promise = new Promise((resolve) => {
+      entry.resolver = resolve;
+
+      // Auto-timeout
+      entry.timer = setTimeout(() => {
+        if (entry.status === 'pending') {
+          this.#settle(entry, 'timeout', { approved: false, reason: 'timeout', decidedBy: 'timeout' });
+        }
+      }, Math.max(entry.expiresAt.getTime() - Date.now(), 0));
+      entry.timer.unref();
+    });
+
+    this.#entries.set(entry.id, entry);
+    return promise;
+  }
+
+  #settle(entry, status, result) {
+    entry.status = status;
+    entry.decidedBy = result.decidedBy;
+    entry.decidedAt = new Date();
+    clearTimeout(entry.timer);
+    this.#persist(entry);
+    entry.resolver(result);
+  }
+
+  #restore() {
+    let records;
+    try {
+      records = this.#store.load();
+    } catch (err) {
+      this.#onStoreError(err);
+      return;
+    }
+
+    for (const record of records) {
+      const entry = {
+        ...record,
+        riskReasons: record.riskReasons || [],
+        policy: record.policy || null,
+        approvals: record.approvals || [],
+        timestamp: new Date(record.timestamp),
+        expiresAt: new Date(record.expiresAt),
+        decidedAt: record.decidedAt ? new Date(record.decidedAt) : null,
+        resolver: () => {},
+        timer: null,
+      };
+
+      if (entry.status !== 'pending') {
+        this.#entries.set(entry.id, entry);
+      } else if (entry.expiresAt.getTime() <= Date.now()) {
+        // Expired while the process was down
+        this.#entries.set(entry.id, entry);
+        this.#settle(entry, 'timeout', { approved: false, reason: 'timeout', decidedBy: 'timeout' });
+      } else {
+        this.#restored.push({ id: entry.id, promise: this.#track(entry) });
+      }
+    }
+  }
+
+  #persist(entry) {
+    const { resolver, timer, ...record } = entry;
+    this.#write(() => this.#store.save({
+      ...record,
+      timestamp: record.timestamp.toISOString(),
+      expiresAt: record.expiresAt.toISOString(),
+      decidedAt: record.decidedAt?.toISOString() ?? null,
+    }));
+  }
+
+  // A failing store must not block decisions; the request still resolves in memory
+  #write(operation) {
+    try {
+      operation();
+    } catch (err) {
+      this.#onStoreError(err);
+    }
+  }
+
+  #canVote(entry, identity) {
+    const { approvers } = entry.policy;
+    return !approvers?.length || approvers.includes(identity);
+  }
+
+  #quorumDetails(entry) {
+    return entry.policy ? { policy: entry.policy.name, approvals: [...entry.approvals] } : {};
+  }
+
+  #publicView(entry) {
+    // Return a copy without internals
+    const { resolver, timer, ...rest } = entry;
+    return { ...rest, approvals: [...rest.approvals] };
   }
 }
 
 // --- Shared instances ---
 
-const analyzer = new RiskAnalyzer();
-const logger = getLogger();
-const pending = new PendingApprovals();
+// Invalid config.yaml or env values at startup throw ConfigError here
+let config = loadConfig();
+// Read once: a reloaded config.yaml cannot switch enforcement off
+const enforcing = config.get('clawshell.enabled');
+const logDir = resolve(config.get('clawshell.log_dir'));
+const approvalsFile = config.get('clawshell.approvals_file') || join(logDir, 'approvals.json');
+const analyzer = new RiskAnalyzer(config);
+const redactor = new Redactor(redactionSettings(config));
+const logger = getLogger({ logDir, level: config.get('clawshell.log_level'), redactor });
+// Sink failures go to the local log only, so a broken sink never receives its own errors
+const logSinks = createSinks(config.get('logging.sinks') || [], {
+  onError: (err) => logger.warn('Log sink delivery failed', { tool: 'log-sink', error: err.message }),
+});
+for (const sink of logSinks) {
+  logger.subscribe((record) => {
+    if (record.tool !== 'log-sink') sink.write(record);
+  });
+}
+const pending = new PendingApprovals({
+  timeoutSeconds: config.get('clawshell.timeout_seconds'),
+  store: new FileApprovalStore({ path: approvalsFile }),
+  onStoreError: (err) => logger.warn('Approval store write failed', { error: err.message }),
+});
+// Built-in executors follow config.yaml; registerExecutor() adds others
+let executors = createExecutors(config.values.execution);
+let envPolicy = envPolicyFor(config);
+const registeredExecutors = new Map();
 let notifier;
+let approvalServer;
+let controlServer;
+let configWatcher = null;
 
 function getNotifierInstance() {
   if (!notifier) {
-    notifier = getNotifier();
+    notifier = getNotifier({
+      notifications: analyzer.config.notifications,
+      redact: (text) => redactor.redact(text),
+      // Fan-out and escalation events go to the audit log
+      onEvent: (event) => logger.log({ tool: 'notifier', ...event }),
+    });
   }
   return notifier;
 }
 
+function broadcastDecision(id, decision) {
+  try {
+    Promise.resolve(getNotifierInstance().notifyDecision?.(id, decision)).catch(() => {});
+  } catch {
+    // Notifier unavailable; nothing to update
+  }
+}
+
+// Background polling that turns a channel's answer into a PendingApprovals decision
+function watchForDecision(id, receipt, promise) {
+  const entry = pending.get(id);
+  const vote = (result) => (result.approved
+    ? pending.approve(id, result.decidedBy, result.approver)
+    : pending.reject(id, result.decidedBy, result.approver));
+
+  const polling = new AbortController();
+  promise.finally(() => polling.abort());
+
+  getNotifierInstance().pollForResponse(receipt, Math.max(entry.expiresAt.getTime() - Date.now(), 0), {
+    signal: polling.signal,
+    // Quorum requests collect every answer until PendingApprovals settles them
+    ...(entry.policy ? { onVote: vote } : {}),
+  }).then((result) => {
+    // Timeouts are owned by PendingApprovals; cancelled means decided elsewhere
+    if (result.decidedBy === 'timeout' || result.decidedBy === 'cancelled') return;
+    vote(result);
+  }).catch(() => {
+    // Polling failed; timeout will handle it
+  });
+}
+
+function decisionEntry(request, decision) {
+  const entry = {
+    request_id: request.id,
+    tool: 'bash',
+    command: request.command,
+    working_dir: request.workingDir,
+    risk_level: request.riskLevel,
+    risk_reasons: request.riskReasons,
+    decision: decision.approved ? 'approved' : 'rejected',
+    decided_by: decision.decidedBy || 'unknown',
+  };
+  if (decision.policy) {
+    entry.approval_policy = decision.policy;
+    entry.approvals = decision.approvals;
+  }
+  return entry;
+}
+
+// Requests left pending by a previous process: keep listening and record the
+// outcome. The command itself is never run, since the agent that asked is gone.
+function resumeRestoredApprovals() {
+  const restored = pending.restored();
+  if (restored.length > 0) startControlServer();
+
+  for (const { id, promise } of restored) {
+    const request = pending.get(id);
+    logger.info('Restored pending approval', { request_id: id, expires_at: request.expiresAt.toISOString() });
+
+    if (request.receipt) {
+      try {
+        watchForDecision(id, request.receipt, promise);
+      } catch (err) {
+        logger.warn('Could not resume approval polling', { error: err.message, request_id: id });
+      }
+    }
+
+    promise.then((decision) => {
+      broadcastDecision(id, decision);
+      logger.log({ ...decisionEntry(request, decision), restored: true, executed: false });
+    });
+  }
+}
+
+resumeRestoredApprovals();
+
+// The callback server only runs when a port or public URL is configured
+async function getApprovalServer() {
+  if (!process.env.CLAWSHELL_CALLBACK_PORT && !process.env.CLAWSHELL_CALLBACK_URL) return null;
+  if (!approvalServer) {
+    approvalServer = new ApprovalServer({ pending, redact: (text) => redactor.redact(text) });
+  }
+  if (!approvalServer.listening) {
+    await approvalServer.start();
+  }
+  return approvalServer;
+}
+
+// Rules and approval policies follow config.yaml edits; settings used to
+// build the logger, approval store and sockets, and clawshell.enabled, keep
+// their startup values.
+function watchConfigFile() {
+  if (!config.path || !config.get('clawshell.watch_config')) return;
+  configWatcher = watchConfig(config, {
+    onReload: (next) => {
+      const changes = diffRules(config.values, next.values);
+      config = next;
+      redactor.configure(redactionSettings(next));
+      executors = createExecutors(next.values.execution);
+      envPolicy = envPolicyFor(next);
+      const ruleSet = analyzer.updateConfig(next);
+      logger.log({
+        tool: 'config',
+        event: 'config_reloaded',
+        config_file: next.path,
+        rule_set_version: ruleSet.version,
+        rule_set_hash: ruleSet.hash,
+        changes,
+      });
+    },
+    onError: (err) => {
+      logger.warn('Config reload failed; keeping previous rules', {
+        config_file: config.path,
+        error: err.message,
+        rule_set_version: analyzer.ruleSet.version,
+      });
+    },
+  });
+}
+
+watchConfigFile();
+
+// Operator socket for the `clawshell` CLI; CLAWSHELL_SOCKET=off disables it
+function startControlServer() {
+  const socketPath = config.get('clawshell.socket');
+  if (controlServer || socketPath === 'off') return;
+  controlServer = new ControlServer({ socketPath, pending, logger, analyzer });
+  controlServer.start().catch((err) => {
+    logger.warn('Control socket failed to start', { error: err.message, socket: controlServer.socketPath });
+  });
+}
+
 // --- Tool: clawshell_bash ---
 
-export async function clawshell_bash(command, workingDir = process.cwd()) {
+/**
+ * `opts.onOutput({ type, data })` receives stdout/stderr chunks while an
+ * allowed command runs; the resolved result is the same either way.
+ */
+export async function clawshell_bash(command, workingDir = process.cwd(), opts = {}) {
   const startTime = Date.now();
+  startControlServer();
   const analysis = analyzer.analyzeCommand(command, workingDir);
   const requestId = randomUUID().slice(0, 8);
 
+  // clawshell.enabled: false keeps the audit trail and still blocks critical commands
+  if (!enforcing && analysis.level !== 'critical') {
+    logger.log({
+      request_id: requestId,
+      tool: 'bash',
+      command,
+      working_dir: workingDir,
+      risk_level: analysis.level,
+      risk_reasons: analysis.reasons,
+      decision: 'not-enforced',
+      decided_by: 'config',
+      latency_ms: Date.now() - startTime,
+    });
+    return executeCommand(command, workingDir, requestId, analysis, opts);
+  }
+
   // CRITICAL: auto-block
   if (analysis.level === 'critical') {
     const entry = {
@@ -156,35 +499,38 @@ export async function clawshell_bash(command, workingDir = process.cwd()) {
 
   // HIGH: require approval
   if (analysis.level === 'high') {
+    const policy = analyzer.approvalPolicy(analysis);
     const { id, promise } = pending.add({
       id: requestId,
       command,
       workingDir,
       riskLevel: 'high',
       riskReasons: analysis.reasons,
+      policy,
     });
 
     // Send notification
     try {
+      const server = await getApprovalServer().catch((err) => {
+        logger.warn('Approval server failed to start', { error: err.message, request_id: id });
+        return null;
+      });
+
       const notification = await getNotifierInstance().sendApprovalRequest({
         id,
         command,
         workingDir,
         riskLevel: 'high',
         riskReasons: analysis.reasons,
+        policy,
+        // Links vote anonymously; named-approver policies need Telegram or the CLI
+        ...(server && !policy?.approvers?.length ? server.linksFor(id) : {}),
       });
 
       // If we got a receipt, start background polling that resolves the pending approval
       if (notification.receipt) {
-        getNotifierInstance().pollForResponse(notification.receipt).then((result) => {
-          if (result.approved) {
-            pending.approve(id);
-          } else {
-            pending.reject(id);
-          }
-        }).catch(() => {
-          // Polling failed; timeout will handle it
-        });
+        pending.setReceipt(id, notification.receipt);
+        watchForDecision(id, notification.receipt, promise);
       }
     } catch (err) {
       logger.warn('Notification send failed', { error: err.message, request_id: id });
@@ -192,19 +538,12 @@ export async function clawshell_bash(command, workingDir = process.cwd()) {
 
     // Wait for decision
     const decision = await promise;
+    broadcastDecision(id, decision);
 
-    const entry = {
-      request_id: id,
-      tool: 'bash',
-      command,
-      working_dir: workingDir,
-      risk_level: 'high',
-      risk_reasons: analysis.reasons,
-      decision: decision.approved ? 'approved' : 'rejected',
-      decided_by: decision.decidedBy || 'unknown',
+    logger.log({
+      ...decisionEntry({ id, command, workingDir, riskLevel: 'high', riskReasons: analysis.reasons }, decision),
       latency_ms: Date.now() - startTime,
-    };
-    logger.log(entry);
+    });
 
     if (!decision.approved) {
       const reason = decision.reason || 'rejected by user';
@@ -218,14 +557,14 @@ export async function clawshell_bash(command, workingDir = process.cwd()) {
     // Approved — fall through to execute
   }
 
-  // MEDIUM: log and allow
-  if (analysis.level === 'medium') {
+  // MEDIUM and LOW: log and allow
+  if (analysis.level === 'medium' || analysis.level === 'low') {
     logger.log({
       request_id: requestId,
       tool: 'bash',
       command,
       working_dir: workingDir,
-      risk_level: 'medium',
+      risk_level: analysis.level,
       risk_reasons: analysis.reasons,
       decision: 'auto-allowed',
       decided_by: 'auto',
@@ -234,16 +573,18 @@ export async function clawshell_bash(command, workingDir = process.cwd()) {
   }
 
   // LOW or approved HIGH or MEDIUM: execute
-  return executeCommand(command, workingDir);
+  return executeCommand(command, workingDir, requestId, analysis, opts);
 }
 
 // --- Tool: clawshell_status ---
 
 export function clawshell_status() {
   const pendingList = pending.list();
-  const recentLogs = logger.getRecent(5);
+  // Execution and operational entries would crowd out the decisions
+  const recentLogs = logger.getRecent(20).filter((entry) => entry.decision).slice(-5);
 
-  const lines = ['=== ClawShell Status ===', ''];
+  const { version, hash, loadedAt } = analyzer.ruleSet;
+  const lines = ['=== ClawShell Status ===', '', `Rule set: v${version} (${hash}), loaded ${loadedAt}`, ''];
 
   if (pendingList.length === 0) {
     lines.push('No pending approvals.');
@@ -252,7 +593,8 @@ export function clawshell_status() {
     for (const req of pendingList) {
       const age = Math.round((Date.now() - req.timestamp.getTime()) / 1000);
       const cmdPreview = req.command.length > 60 ? req.command.slice(0, 57) + '...' : req.command;
-      lines.push(`  [${req.id}] ${cmdPreview} (${age}s ago, ${req.riskLevel})`);
+      const quorum = req.policy ? `, ${req.approvals.length}/${req.policy.required} approvals` : '';
+      lines.push(`  [${req.id}] ${cmdPreview} (${age}s ago, ${req.riskLevel}${quorum})`);
     }
   }
 
@@ -270,64 +612,224 @@ export function clawshell_status() {
   return lines.join('\n');
 }
 
+// --- Tool: clawshell_explain ---
+
+export function clawshell_explain(command, workingDir = process.cwd()) {
+  const explanation = analyzer.explainCommand(command, workingDir);
+  const describe = (rule) => {
+    const pattern = rule.pattern ? ` ${rule.match} ${rule.pattern}` : ` (${rule.match})`;
+    const source = rule.list ? `allowlist.${rule.list}` : rule.source;
+    return `${rule.level.toUpperCase()} ${rule.reason} [${source}${pattern}]`;
+  };
+
+  const lines = [
+    '=== ClawShell Explain (not executed) ===',
+    '',
+    `Command: ${explanation.command}`,
+    `Directory: ${explanation.workingDir}`,
+    `Result: ${explanation.level.toUpperCase()} -> ${explanation.recommendation} (${explanation.reasons.join(', ')})`,
+    `Decided by: ${explanation.decidingRule ? describe(explanation.decidingRule) : 'no rule fired'}${explanation.decidingRule?.segment ? ` in "${explanation.decidingRule.segment}"` : ''}`,
+  ];
+
+  if (explanation.whole.fired.length > 0 || explanation.whole.blocklistSkipped) {
+    lines.push('', 'Whole command:');
+    explanation.whole.fired.forEach((rule) => lines.push(`  fired: ${describe(rule)}`));
+    if (explanation.whole.blocklistSkipped) lines.push('  blocklist match ignored: every segment is allowlisted');
+  }
+
+  for (const segment of explanation.segments) {
+    lines.push('', `Segment: ${segment.command}${segment.context !== 'top' ? ` (${segment.context})` : ''}`);
+    lines.push(`  level: ${segment.level.toUpperCase()} (${segment.reasons.join(', ')})`);
+    if (segment.fired.length === 0) lines.push('  fired: none');
+    segment.fired.forEach((rule) => lines.push(`  fired: ${describe(rule)}${rule === segment.decidingRule ? '  <- decided' : ''}`));
+    for (const entry of segment.allowlist) {
+      lines.push(`  allowlist.${entry.list} ${entry.pattern}: ${entry.applied ? 'applied' : 'not applied'}, ${entry.note}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
 // --- Tool: clawshell_logs ---
 
-export function clawshell_logs(count = 20) {
-  const entries = logger.getRecent(count);
+/**
+ * Recent audit entries, oldest first. `filter` narrows the search across the
+ * current and rotated log files: command (substring or /regex/), reason,
+ * request_id, decided_by, working_dir, risk_level, decision, from, to, and
+ * offset to page back through older matches.
+ */
+export function clawshell_logs(count = 20, filter = {}) {
+  const { offset = 0, ...criteria } = filter;
+  let result;
+  try {
+    result = logger.query(criteria, { limit: count, offset });
+  } catch (err) {
+    return `Invalid log filter: ${err.message}`;
+  }
 
-  if (entries.length === 0) {
-    return 'No log entries found.';
+  if (result.entries.length === 0) {
+    return Object.keys(criteria).length > 0 || offset > 0 ? 'No matching log entries found.' : 'No log entries found.';
   }
 
-  return entries.map((e) => {
-    const cmd = (e.command || e.message || '').slice(0, 80);
-    return `${e.timestamp} | ${(e.risk_level || e.level || '').toUpperCase().padEnd(8)} | ${(e.decision || '').padEnd(12)} | ${cmd}`;
-  }).join('\n');
+  const lines = result.entries.reverse().map((e) => {
+    const cmd = (e.command || e.message || e.event || '').slice(0, 80);
+    const outcome = e.decision || (e.event === 'execution' ? `exit ${e.exit_code}` : '');
+    return `${e.timestamp} | ${(e.risk_level || e.level || '').toUpperCase().padEnd(8)} | ${outcome.padEnd(12)} | ${cmd}`;
+  });
+  if (result.hasMore) lines.unshift(`(older matches available: pass offset ${result.nextOffset})`);
+  return lines.join('\n');
 }
 
 // --- Tool: clawshell_config ---
 
 export function clawshell_config() {
-  const config = {
-    enabled: process.env.CLAWSHELL_ENABLED !== 'false',
-    timeout_seconds: parseInt(process.env.CLAWSHELL_TIMEOUT_SECONDS, 10) || 300,
-    notification_method: process.env.CLAWSHELL_PUSHOVER_USER ? 'pushover' :
-      process.env.CLAWSHELL_TELEGRAM_BOT_TOKEN ? 'telegram' : 'mock',
-    log_level: process.env.CLAWSHELL_LOG_LEVEL || 'info',
-    log_dir: process.env.CLAWSHELL_LOG_DIR || 'logs/',
-    blocklist_env: process.env.CLAWSHELL_BLOCKLIST ? 'set' : 'not set',
-    allowlist_env: process.env.CLAWSHELL_ALLOWLIST ? 'set' : 'not set',
+  // Settings whose default is derived from other values
+  const derived = {
+    'clawshell.log_dir': logDir,
+    'clawshell.approvals_file': approvalsFile,
+    'clawshell.socket': defaultSocketPath(),
+  };
+  const settings = {};
+  for (const { key, value, source } of config.entries()) {
+    settings[key] = { value: source === 'default' && key in derived ? derived[key] : value, source };
+  }
+
+  const report = {
+    config_file: config.path,
+    settings,
+    approval_policies: config.get('approvals.policies')?.length || 0,
+    notification_channels: Object.keys(config.get('notifications.channels') || {}),
+    credentials: {
+      pushover: process.env.CLAWSHELL_PUSHOVER_USER && process.env.CLAWSHELL_PUSHOVER_TOKEN ? 'set' : 'not set',
+      telegram: process.env.CLAWSHELL_TELEGRAM_BOT_TOKEN && process.env.CLAWSHELL_TELEGRAM_CHAT_ID ? 'set' : 'not set',
+    },
   };
+  if (config.warnings.length > 0) report.warnings = config.warnings;
 
-  return JSON.stringify(config, null, 2);
+  return JSON.stringify(report, null, 2);
 }
 
 // --- Manual approve/reject (CLI use, not agent tools) ---
 
-export function clawshell_approve(id) {
-  const success = pending.approve(id);
-  return success ? `Approved request ${id}` : `No pending request found with id ${id}`;
+export function clawshell_approve(id, approver) {
+  const before = pending.get(id);
+  const decided = pending.approve(id, 'user', approver);
+  return describeDecision('approve', id, approver || 'user', { decided, before, request: pending.get(id) });
 }
 
-export function clawshell_reject(id) {
-  const success = pending.reject(id);
-  return success ? `Rejected request ${id}` : `No pending request found with id ${id}`;
+export function clawshell_reject(id, approver) {
+  const before = pending.get(id);
+  const decided = pending.reject(id, 'user', approver);
+  return describeDecision('reject', id, approver || 'user', { decided, before, request: pending.get(id) });
 }
 
 // --- Command execution helper ---
 
-function executeCommand(command, workingDir) {
-  return new Promise((resolve) => {
-    exec(command, { cwd: workingDir, timeout: 60_000, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
-      resolve({
-        exitCode: error ? error.code || 1 : 0,
-        stdout: stdout || '',
-        stderr: stderr || '',
-      });
-    });
+// Runs the command and writes an `execution` audit entry with the same request_id as its decision
+async function executeCommand(command, workingDir, requestId, analysis, opts = {}) {
+  const timeout = analyzer.executionTimeout(analysis);
+  const executorName = config.get(`execution.sandbox.${analysis.level}`) || 'direct';
+  const executor = registeredExecutors.get(executorName) || executors.get(executorName);
+  const { env, removed } = envPolicy.apply(process.env);
+  const runOpts = {
+    cwd: workingDir,
+    env,
+    timeoutMs: timeout.seconds * 1000,
+    maxOutputBytes: config.get('execution.max_output_bytes'),
+    killGraceMs: config.get('execution.kill_grace_seconds') * 1000,
+    onOutput: opts.onOutput,
+  };
+  // An unknown executor fails closed rather than running the command unsandboxed
+  const result = executor
+    ? await executor.run(command, runOpts)
+    : notExecuted(`no executor named "${executorName}" for ${analysis.level}-risk commands`);
+
+  logger.log({
+    request_id: requestId,
+    tool: 'bash',
+    event: 'execution',
+    command,
+    working_dir: workingDir,
+    exit_code: result.exitCode,
+    signal: result.signal,
+    duration_ms: result.durationMs,
+    executor: executorName,
+    env_removed: removed,
+    timeout_seconds: timeout.seconds,
+    timeout_source: timeout.source,
+    timed_out: result.timedOut,
+    output_capped: result.stdoutTruncated || result.stderrTruncated,
+    ...(result.error ? { error: result.error } : {}),
+    ...capturedOutput('stdout', result.stdout, result.stdoutBytes),
+    ...capturedOutput('stderr', result.stderr, result.stderrBytes),
   });
+
+  let stderr = result.stderr;
+  const note = result.timedOut
+    ? `ClawShell: timed out after ${timeout.seconds}s; the process group was killed.`
+    : result.error && `ClawShell: ${result.error}`;
+  if (note) stderr += `${stderr && !stderr.endsWith('\n') ? '\n' : ''}${note}\n`;
+
+  return { exitCode: result.exitCode, stdout: result.stdout, stderr };
+}
+
+function notExecuted(error) {
+  return {
+    exitCode: 1,
+    signal: null,
+    stdout: '',
+    stderr: '',
+    stdoutBytes: 0,
+    stderrBytes: 0,
+    stdoutTruncated: false,
+    stderrTruncated: false,
+    timedOut: false,
+    durationMs: 0,
+    error,
+  };
+}
+
+/**
+ * Makes `executor` (an object with `run(command, opts)` resolving like
+ * runCommand) available to `execution.sandbox` under `name`. A registered
+ * executor takes precedence over a built-in one of the same name.
+ */
+export function registerExecutor(name, executor) {
+  if (typeof executor?.run !== 'function') throw new TypeError(`Executor "${name}" must have a run(command, opts) method.`);
+  registeredExecutors.set(name, executor);
+}
+
+function envPolicyFor(from) {
+  return new EnvPolicy({
+    allow: from.get('execution.env.allow'),
+    deny: from.get('execution.env.deny'),
+    secretNames: secretEnvNames(from.values),
+  });
+}
+
+function redactionSettings(from) {
+  return { enabled: from.get('redaction.enabled'), patterns: from.get('redaction.patterns') };
+}
+
+// Head and tail of the output within execution.capture_bytes; the logger redacts secrets
+// `total` counts what the command wrote, including output already capped by the executor
+function capturedOutput(name, text, total) {
+  const limit = config.get('execution.capture_bytes');
+  const bytes = Buffer.byteLength(text);
+  const captured = { [`${name}_bytes`]: total };
+  if (limit === 0) return captured;
+
+  let kept = text;
+  if (bytes > limit) {
+    const buffer = Buffer.from(text);
+    const half = Math.floor(limit / 2);
+    kept = `${buffer.toString('utf-8', 0, half)}\n...[${total - 2 * half} bytes truncated]...\n${buffer.toString('utf-8', bytes - half)}`;
+  }
+  captured[name] = kept;
+  captured[`${name}_truncated`] = total > limit;
+  return captured;
 }
 
 // --- Exports for testing ---
 
-export { analyzer, logger, pending };
+export { analyzer, logger, pending, approvalServer, controlServer, configWatcher };
@@ -0,0 +1,276 @@
+import { parseArgs } from 'node:util';
+import { join, resolve } from 'node:path';
+import { RiskAnalyzer } from './risk-analyzer.mjs';
+import { verifyLog } from './logger.mjs';
+import { loadConfig, ConfigError } from './config.mjs';
+import { controlRequest, followLogs, checkConfig, describeDecision, defaultSocketPath } from './control.mjs';
+
+const USAGE = `Usage: clawshell <command> [options]
+
+Commands:
+  status                     Show the running instance
+  pending                    List requests waiting for approval
+  approve <id>               Approve a request (as the operator the token belongs to)
+  reject <id>                Reject a request
+  logs [-n N] [--level L] [--follow]
+                             Show audit log entries; --level high also shows critical
+       [--grep TEXT|/RE/] [--reason R] [--request ID] [--by WHO]
+       [--dir DIR] [--since DATE] [--until DATE] [--offset N]
+                             Search all rotated log files
+  analyze "<cmd>" [--cwd DIR]
+                             Classify a command without running it
+  config check               Validate the loaded configuration
+  verify [--log-dir DIR]     Check the audit log hash chain, including rotated files
+
+Environment:
+  CLAWSHELL_CONTROL_TOKEN    Operator token for approve/reject (one of the
+                             instance's CLAWSHELL_CONTROL_TOKENS); its name
+                             is the vote under quorum policies
+  CLAWSHELL_LOG_KEY          Key the audit log chain was written with, for verify
+
+Options:
+  --socket PATH              Control socket (default: CLAWSHELL_SOCKET or ${defaultSocketPath()})
+  --json                     Print raw JSON
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+  socket: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  level: { type: 'string' },
+  follow: { type: 'boolean', short: 'f', default: false },
+  count: { type: 'string', short: 'n' },
+  cwd: { type: 'string' },
+  'log-dir': { type: 'string' },
+  grep: { type: 'string' },
+  reason: { type: 'string' },
+  request: { type: 'string' },
+  by: { type: 'string' },
+  dir: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  offset: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Runs the `clawshell` operator CLI. Returns the process exit code; output
+ * goes to `io.stdout` / `io.stderr`. `io.signal` stops `logs --follow`;
+ * `io.env` replaces process.env (CLAWSHELL_CONTROL_TOKEN).
+ */
+export async function runCli(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const out = (text) => stdout.write(text + '\n');
+  const err = (text) => stderr.write(text + '\n');
+
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    err(e.message);
+    err(USAGE);
+    return 2;
+  }
+
+  const { values, positionals: [command, ...rest] } = args;
+  if (values.help || !command || command === 'help') {
+    out(USAGE);
+    return command || values.help ? 0 : 2;
+  }
+
+  const env = io.env || process.env;
+  const request = (method, params) => controlRequest(method, params, { socketPath: values.socket, token: env.CLAWSHELL_CONTROL_TOKEN });
+  const print = (result, format) => out(values.json ? JSON.stringify(result, null, 2) : format(result));
+
+  try {
+    switch (command) {
+      case 'status':
+        print(await request('status'), formatStatus);
+        return 0;
+
+      case 'pending':
+        print(await request('pending'), formatPending);
+        return 0;
+
+      case 'approve':
+      case 'reject': {
+        if (!rest[0]) throw new UsageError(`Missing request id: clawshell ${command} <id>`);
+        const result = await request(command, { id: rest[0] });
+        print(result, (r) => describeDecision(command, rest[0], r.approver, r));
+        return result.decided ? 0 : 1;
+      }
+
+      case 'logs': {
+        const level = parseLevel(values.level);
+        if (values.follow) return await follow(values, level, io, out);
+        const count = values.count ? parseInt(values.count, 10) : 20;
+        const offset = values.offset ? parseInt(values.offset, 10) : 0;
+        const params = { count, level, offset, filter: logFilter(values) };
+        print(await request('logs', params), (entries) => entries.map(formatEntry).join('\n') || 'No log entries found.');
+        return 0;
+      }
+
+      case 'analyze': {
+        const text = rest.join(' ');
+        if (!text.trim()) throw new UsageError('Missing command: clawshell analyze "<cmd>"');
+        const params = { command: text, workingDir: values.cwd || process.cwd() };
+        const analysis = await withLocalFallback(() => request('analyze', params), () => analyzeLocally(params), err);
+        print(analysis, formatAnalysis);
+        return 0;
+      }
+
+      case 'config': {
+        if (rest[0] !== 'check') throw new UsageError('Usage: clawshell config check');
+        const report = await withLocalFallback(() => request('config.check'), checkLocalConfig, err);
+        print(report, formatConfigReport);
+        return report.errors.length > 0 ? 1 : 0;
+      }
+
+      case 'verify': {
+        // Reads the files directly, so it works whether or not an instance is running
+        const logDir = values['log-dir'] || loadConfig().get('clawshell.log_dir');
+        const report = verifyLog(join(resolve(logDir), 'clawshell.jsonl'), { key: env.CLAWSHELL_LOG_KEY });
+        print(report, formatVerifyReport);
+        return report.ok ? 0 : 1;
+      }
+
+      default:
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+  } catch (e) {
+    if (e instanceof UsageError) {
+      err(e.message);
+      return 2;
+    }
+    err(isNotRunning(e) ? `No running ClawShell instance at ${values.socket || defaultSocketPath()}` : e.message);
+    return 1;
+  }
+}
+
+class UsageError extends Error {}
+
+function parseLevel(level) {
+  if (level && !['low', 'medium', 'high', 'critical'].includes(level)) {
+    throw new UsageError(`Unknown level: ${level} (expected low, medium, high or critical)`);
+  }
+  return level;
+}
+
+function logFilter(values) {
+  const filter = {
+    command: values.grep,
+    reason: values.reason,
+    request_id: values.request,
+    decided_by: values.by,
+    working_dir: values.dir,
+    from: values.since,
+    to: values.until,
+  };
+  return Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== undefined));
+}
+
+function isNotRunning(error) {
+  return error.code === 'ENOENT' || error.code === 'ECONNREFUSED';
+}
+
+// Classification and config checks also work without a running instance
+async function withLocalFallback(remote, local, err) {
+  try {
+    return await remote();
+  } catch (e) {
+    if (!isNotRunning(e)) throw e;
+    err('(no running instance; using local config)');
+    return local();
+  }
+}
+
+function analyzeLocally({ command, workingDir }) {
+  const analyzer = new RiskAnalyzer();
+  const analysis = analyzer.analyzeCommand(command, workingDir);
+  return { ...analysis, approvalPolicy: analyzer.approvalPolicy(analysis) };
+}
+
+// Load errors (bad YAML, invalid env values) are reported as check errors
+function checkLocalConfig() {
+  try {
+    return checkConfig(loadConfig().values);
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    return { errors: e.issues.length > 0 ? e.issues : [e.message], warnings: [] };
+  }
+}
+
+function follow(values, level, io, out) {
+  const { stop, done } = followLogs((entry) => {
+    out(values.json ? JSON.stringify(entry) : formatEntry(entry));
+  }, { level }, { socketPath: values.socket });
+
+  const signal = io.signal;
+  signal?.addEventListener('abort', stop, { once: true });
+  return done.then(() => 0);
+}
+
+// --- Formatting ---
+
+function formatStatus(status) {
+  return [
+    `ClawShell running (pid ${status.pid})`,
+    `Pending approvals: ${status.pending}`,
+    `Approval timeout: ${status.timeoutSeconds}s`,
+    ...(status.ruleSet ? [`Rule set: v${status.ruleSet.version} (${status.ruleSet.hash}), loaded ${status.ruleSet.loadedAt}`] : []),
+    `Log: ${status.logPath}`,
+  ].join('\n');
+}
+
+function formatPending(requests) {
+  if (requests.length === 0) return 'No pending approvals.';
+  return requests.map((req) => {
+    const age = Math.round((Date.now() - new Date(req.timestamp).getTime()) / 1000);
+    const quorum = req.policy ? `, ${req.approvals.length}/${req.policy.required} approvals` : '';
+    return [
+      `[${req.id}] ${req.command}`,
+      `    ${req.riskLevel.toUpperCase()} (${req.riskReasons.join(', ')}) in ${req.workingDir}, ${age}s ago${quorum}`,
+    ].join('\n');
+  }).join('\n');
+}
+
+function formatEntry(e) {
+  const cmd = (e.command || e.message || e.event || '').slice(0, 80);
+  const outcome = e.decision || (e.event === 'execution' ? `exit ${e.exit_code}` : '');
+  return `${e.timestamp} | ${(e.risk_level || e.level || '').toUpperCase().padEnd(8)} | ${outcome.padEnd(12)} | ${cmd}`;
+}
+
+function formatAnalysis(analysis) {
+  const lines = [
+    `Level: ${analysis.level.toUpperCase()} (${analysis.recommendation})`,
+    `Reasons: ${analysis.reasons.join(', ')}`,
+  ];
+  if (analysis.approvalPolicy) {
+    const { name, required } = analysis.approvalPolicy;
+    lines.push(`Approval policy: ${name} (${required} approvals)`);
+  }
+  if (analysis.segments.length > 1) {
+    lines.push('Segments:');
+    for (const segment of analysis.segments) {
+      lines.push(`  ${segment.level.toUpperCase().padEnd(8)} ${segment.command}  [${segment.reasons.join(', ')}]`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatConfigReport({ errors, warnings }) {
+  const lines = [
+    ...errors.map((e) => `error: ${e}`),
+    ...warnings.map((w) => `warning: ${w}`),
+  ];
+  if (errors.length === 0) lines.push(`Config OK${warnings.length ? ` (${warnings.length} warning${warnings.length > 1 ? 's' : ''})` : ''}`);
+  return lines.join('\n');
+}
+
+function formatVerifyReport(report) {
+  if (report.files.length === 0) return 'No audit log found.';
+  if (!report.ok) return `Audit log FAILED verification: ${report.problem.message}`;
+  const range = report.firstSeq === null ? 'no chained records' : `seq ${report.firstSeq}-${report.lastSeq}`;
+  const legacy = report.legacy ? `, ${report.legacy} unchained legacy record${report.legacy > 1 ? 's' : ''}` : '';
+  return `Audit log OK: ${report.records} records in ${report.files.length} file${report.files.length > 1 ? 's' : ''} (${range}${legacy})`;
+}
@@ -0,0 +1,519 @@
+import { readFileSync, existsSync, watch } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, resolve, dirname, basename } from 'node:path';
+import YAML from 'yaml';
+import { SINK_TYPES, SINK_FORMATS, SYSLOG_TRANSPORTS, SYSLOG_FACILITIES } from './log-sinks.mjs';
+import { EXECUTOR_TYPES, NAMESPACE_TOOLS } from './sandbox.mjs';
+import { parseDestinationPattern } from './network.mjs';
+
+// --- Settings schema ---
+//
+// Scalar and list settings, keyed by their dotted path in config.yaml.
+// Precedence is env > file > default; `env` names the variable that
+// overrides the setting, and `file: false` marks env-only settings.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const NOTIFICATION_METHODS = ['auto', 'pushover', 'telegram', 'mock'];
+const CHANNEL_TYPES = ['pushover', 'telegram', 'mock'];
+const TOP_LEVEL_KEYS = new Set(['clawshell', 'notifications', 'rules', 'approvals', 'logging', 'execution', 'redaction']);
+
+const SETTINGS = [
+  { key: 'clawshell.enabled', type: 'boolean', default: true, env: 'CLAWSHELL_ENABLED' },
+  { key: 'clawshell.watch_config', type: 'boolean', default: false, env: 'CLAWSHELL_WATCH_CONFIG' },
+  { key: 'clawshell.timeout_seconds', type: 'integer', default: 300, env: 'CLAWSHELL_TIMEOUT_SECONDS', min: 1 },
+  { key: 'clawshell.log_level', type: 'enum', values: LOG_LEVELS, default: 'info', env: 'CLAWSHELL_LOG_LEVEL' },
+  { key: 'clawshell.log_dir', type: 'string', default: 'logs', env: 'CLAWSHELL_LOG_DIR' },
+  { key: 'clawshell.approvals_file', type: 'string', default: null, env: 'CLAWSHELL_APPROVALS_FILE', file: false },
+  { key: 'clawshell.socket', type: 'string', default: null, env: 'CLAWSHELL_SOCKET', file: false },
+  { key: 'execution.timeout_seconds', type: 'integer', default: 60, env: 'CLAWSHELL_EXEC_TIMEOUT_SECONDS', min: 1 },
+  { key: 'execution.timeouts.low', type: 'integer', default: null, min: 1 },
+  { key: 'execution.timeouts.medium', type: 'integer', default: null, min: 1 },
+  { key: 'execution.timeouts.high', type: 'integer', default: null, min: 1 },
+  { key: 'execution.max_output_bytes', type: 'integer', default: 1024 * 1024, env: 'CLAWSHELL_MAX_OUTPUT_BYTES', min: 1 },
+  { key: 'execution.kill_grace_seconds', type: 'integer', default: 5, min: 0 },
+  { key: 'execution.sandbox.low', type: 'string', default: 'direct' },
+  { key: 'execution.sandbox.medium', type: 'string', default: 'direct' },
+  { key: 'execution.sandbox.high', type: 'string', default: 'direct' },
+  { key: 'execution.env.allow', type: 'patterns', default: [] },
+  { key: 'execution.env.deny', type: 'patterns', default: [] },
+  { key: 'execution.capture_bytes', type: 'integer', default: 4096, env: 'CLAWSHELL_CAPTURE_BYTES', min: 0 },
+  { key: 'redaction.enabled', type: 'boolean', default: true },
+  { key: 'redaction.patterns', type: 'patterns', default: [] },
+  { key: 'notifications.method', type: 'enum', values: NOTIFICATION_METHODS, default: 'auto' },
+  { key: 'rules.blocklist.commands', type: 'patterns', default: [], env: 'CLAWSHELL_BLOCKLIST' },
+  { key: 'rules.blocklist.paths', type: 'patterns', default: [] },
+  { key: 'rules.allowlist.commands', type: 'patterns', default: [], env: 'CLAWSHELL_ALLOWLIST' },
+  { key: 'rules.allowlist.paths', type: 'patterns', default: [] },
+  { key: 'rules.network.allow', type: 'patterns', default: [] },
+  { key: 'rules.network.block', type: 'patterns', default: [] },
+  { key: 'rules.exfiltration.paths', type: 'patterns', default: [] },
+  { key: 'rules.exfiltration.variables', type: 'patterns', default: [] },
+  { key: 'rules.git.protected_branches', type: 'patterns', default: [] },
+  { key: 'rules.scripts.inspect', type: 'boolean', default: true },
+  { key: 'rules.scripts.max_bytes', type: 'integer', default: 256 * 1024, min: 1 },
+];
+
+/**
+ * Thrown for unreadable or invalid configuration. `issues` lists one
+ * human-readable line per problem.
+ */
+export class ConfigError extends Error {
+  constructor(message, issues = []) {
+    super(issues.length ? `${message}\n${issues.map((issue) => `  - ${issue}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Effective configuration: the merged values in config.yaml shape, plus
+ * where each schema setting came from.
+ */
+export class Config {
+  #values;
+  #sources;
+  #path;
+  #warnings;
+
+  constructor({ values, sources, path = null, warnings = [] }) {
+    this.#values = values;
+    this.#sources = sources;
+    this.#path = path;
+    this.#warnings = warnings;
+  }
+
+  /** Merged config object, shaped like config.yaml. */
+  get values() {
+    return this.#values;
+  }
+
+  /** Config file that was read, or null when running on defaults. */
+  get path() {
+    return this.#path;
+  }
+
+  get warnings() {
+    return [...this.#warnings];
+  }
+
+  get(key) {
+    return getPath(this.#values, key);
+  }
+
+  /** `env:NAME`, `file` or `default` for a schema setting. */
+  source(key) {
+    return this.#sources.get(key) ?? (getPath(this.#values, key) === undefined ? 'default' : 'file');
+  }
+
+  /** Every schema setting as `{ key, value, source }`. */
+  entries() {
+    return SETTINGS.map(({ key }) => ({ key, value: this.get(key), source: this.source(key) }));
+  }
+}
+
+/**
+ * Finds the config file: `CLAWSHELL_CONFIG` when set, otherwise config.yaml
+ * in the working directory or its parent. Returns null when there is none.
+ */
+export function findConfigFile(opts = {}) {
+  const env = opts.env || process.env;
+  const cwd = opts.cwd || process.cwd();
+
+  if (env.CLAWSHELL_CONFIG) {
+    const explicit = resolve(cwd, env.CLAWSHELL_CONFIG);
+    if (!existsSync(explicit)) throw new ConfigError(`CLAWSHELL_CONFIG points to a missing file: ${explicit}`);
+    return explicit;
+  }
+
+  return [join(cwd, 'config.yaml'), join(cwd, '..', 'config.yaml')].find((candidate) => existsSync(candidate)) || null;
+}
+
+/**
+ * Reads, validates and merges the configuration. Throws ConfigError for a
+ * file that does not parse, fails validation, or env values of the wrong
+ * type. `opts.path` skips the file lookup; `opts.env` replaces process.env.
+ */
+export function loadConfig(opts = {}) {
+  const env = opts.env || process.env;
+  const path = opts.path !== undefined ? opts.path : findConfigFile(opts);
+  const raw = path ? readConfigFile(path) : {};
+
+  const { errors, warnings } = validateConfig(raw);
+  if (errors.length > 0) throw new ConfigError(`Invalid configuration in ${path}:`, errors);
+
+  const values = structuredClone(raw);
+  const sources = new Map();
+  const envErrors = [];
+
+  for (const setting of SETTINGS) {
+    const fromEnv = setting.env ? env[setting.env] : undefined;
+    if (fromEnv !== undefined && fromEnv !== '') {
+      const parsed = parseEnv(setting, fromEnv);
+      if (parsed.error) {
+        envErrors.push(`${setting.env}: ${parsed.error}`);
+        continue;
+      }
+      setPath(values, setting.key, parsed.value);
+      sources.set(setting.key, `env:${setting.env}`);
+    } else if (setting.file !== false && getPath(raw, setting.key) !== undefined) {
+      sources.set(setting.key, 'file');
+    } else {
+      setPath(values, setting.key, structuredClone(setting.default));
+      sources.set(setting.key, 'default');
+    }
+  }
+
+  if (envErrors.length > 0) throw new ConfigError('Invalid configuration in environment:', envErrors);
+  return new Config({ values, sources, path, warnings });
+}
+
+function readConfigFile(path) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf-8');
+  } catch (err) {
+    throw new ConfigError(`Cannot read config file ${path}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = YAML.parse(text);
+  } catch (err) {
+    throw new ConfigError(`Config file ${path} is not valid YAML: ${err.message}`);
+  }
+
+  if (parsed === null || parsed === undefined) return {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(`Config file ${path} must contain a mapping at the top level.`);
+  }
+  return parsed;
+}
+
+// --- Reloading ---
+
+/**
+ * Watches the file a Config was loaded from and reloads it on change.
+ * `onReload(config)` gets each new, validated Config; `onError(err)` gets
+ * the ConfigError for a file that no longer loads, so the caller can keep
+ * its current config. Saves that leave the content unchanged are ignored.
+ * Returns a handle with `close()`; the watcher does not keep the process
+ * alive.
+ */
+export function watchConfig(config, { onReload, onError = () => {}, env, debounceMs = 200 } = {}) {
+  if (!config.path) throw new Error('Cannot watch a config that was not loaded from a file.');
+
+  const path = config.path;
+  let lastHash = fileHash(path);
+  let timer = null;
+
+  const reload = () => {
+    timer = null;
+    const hash = fileHash(path);
+    // Missing mid-save, or touched without changes
+    if (hash === null || hash === lastHash) return;
+    lastHash = hash;
+    try {
+      onReload(loadConfig({ path, env }));
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  // Watch the directory: editors often save by renaming a new file over the old one
+  const watcher = watch(dirname(path), (event, filename) => {
+    if (filename && filename !== basename(path)) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, debounceMs);
+  });
+  watcher.on('error', onError);
+  watcher.unref(); // Don't keep process alive
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+/**
+ * Rule changes between two config objects (config.yaml shape): one
+ * `{ key, added, removed }` per pattern list that differs, and one
+ * `{ key: 'approvals.policies', added, removed, changed }` (by policy name)
+ * when the approval policies differ.
+ */
+export function diffRules(before = {}, after = {}) {
+  const changes = [];
+
+  for (const { key } of SETTINGS.filter((setting) => setting.type === 'patterns')) {
+    const old = getPath(before, key) || [];
+    const next = getPath(after, key) || [];
+    const added = next.filter((pattern) => !old.includes(pattern));
+    const removed = old.filter((pattern) => !next.includes(pattern));
+    if (added.length || removed.length) changes.push({ key, added, removed });
+  }
+
+  const byName = (policies) => new Map((policies || []).map((policy, i) => [policy.name || `policy_${i + 1}`, JSON.stringify(policy)]));
+  const old = byName(before.approvals?.policies);
+  const next = byName(after.approvals?.policies);
+  const policies = {
+    key: 'approvals.policies',
+    added: [...next.keys()].filter((name) => !old.has(name)),
+    removed: [...old.keys()].filter((name) => !next.has(name)),
+    changed: [...next.keys()].filter((name) => old.has(name) && old.get(name) !== next.get(name)),
+  };
+  if (policies.added.length || policies.removed.length || policies.changed.length) changes.push(policies);
+
+  return changes;
+}
+
+/**
+ * Short content hash of the rules and approval policies, used to tell rule
+ * sets apart in status output and audit entries.
+ */
+export function ruleSetHash(values = {}) {
+  const rules = JSON.stringify({ rules: values.rules || {}, approvals: values.approvals || {} });
+  return createHash('sha256').update(rules).digest('hex').slice(0, 12);
+}
+
+function fileHash(path) {
+  try {
+    return createHash('sha256').update(readFileSync(path)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+// --- Validation ---
+
+/**
+ * Checks a config object (config.yaml shape) against the schema. Returns
+ * `{ errors, warnings }` with one human-readable line per problem.
+ */
+export function validateConfig(config = {}) {
+  const errors = [];
+  const warnings = [];
+
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_KEYS.has(key)) warnings.push(`unknown top-level key "${key}"`);
+  }
+
+  for (const setting of SETTINGS) {
+    const value = getPath(config, setting.key);
+    if (value === undefined || value === null) continue;
+    if (setting.file === false) continue;
+    if (setting.type === 'patterns') {
+      checkPatterns(setting.key, value, errors);
+      continue;
+    }
+    const problem = checkType(setting, value);
+    if (problem) errors.push(`${setting.key} ${problem}`);
+  }
+
+  checkPolicies(config.approvals?.policies, errors, warnings);
+  checkExecutionRules(config.execution?.rules, errors, warnings);
+  checkSandbox(config.execution, errors, warnings);
+  checkNetwork(config.rules?.network, errors);
+  checkChannels(config.notifications, errors);
+  checkSinks(config.logging?.sinks, errors);
+
+  return { errors, warnings };
+}
+
+function checkType(setting, value) {
+  switch (setting.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be a whole number';
+      return setting.min !== undefined && value < setting.min ? `must be at least ${setting.min}` : null;
+    case 'enum':
+      return setting.values.includes(value) ? null : `must be one of ${setting.values.join(', ')}`;
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    default:
+      return null;
+  }
+}
+
+function checkPatterns(key, list, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${key} must be a list`);
+    return;
+  }
+  list.forEach((pattern, i) => {
+    if (typeof pattern !== 'string') return errors.push(`${key}[${i}] must be a string`);
+    const regex = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (!regex) return;
+    try {
+      new RegExp(regex[1], regex[2]);
+    } catch (err) {
+      errors.push(`${key}[${i}] is not a valid regex: ${err.message}`);
+    }
+  });
+}
+
+function checkPolicies(policies, errors, warnings) {
+  if (policies === undefined) return;
+  if (!Array.isArray(policies)) {
+    errors.push('approvals.policies must be a list');
+    return;
+  }
+
+  policies.forEach((policy, i) => {
+    const label = `approvals.policies[${i}]${policy?.name ? ` (${policy.name})` : ''}`;
+    if (!policy?.reasons?.length && !policy?.commands?.length) warnings.push(`${label} has no reasons or commands and never applies`);
+    if (policy?.commands !== undefined) checkPatterns(`${label}.commands`, policy.commands, errors);
+    if (policy?.required !== undefined && !(parseInt(policy.required, 10) >= 1)) errors.push(`${label}.required must be a positive number`);
+    if (policy?.approvers?.length && policy.required > policy.approvers.length) {
+      errors.push(`${label} requires ${policy.required} approvals but lists ${policy.approvers.length} approvers`);
+    }
+  });
+}
+
+function checkExecutionRules(rules, errors, warnings) {
+  if (rules === undefined) return;
+  if (!Array.isArray(rules)) {
+    errors.push('execution.rules must be a list');
+    return;
+  }
+
+  rules.forEach((rule, i) => {
+    const label = `execution.rules[${i}]${rule?.name ? ` (${rule.name})` : ''}`;
+    if (!rule?.reasons?.length && !rule?.commands?.length) warnings.push(`${label} has no reasons or commands and never applies`);
+    if (rule?.commands !== undefined) checkPatterns(`${label}.commands`, rule.commands, errors);
+    if (!Number.isInteger(rule?.timeout_seconds) || rule.timeout_seconds < 1) errors.push(`${label}.timeout_seconds must be a positive whole number`);
+  });
+}
+
+function checkSandbox(execution, errors, warnings) {
+  for (const [level, name] of Object.entries(execution?.sandbox || {})) {
+    if (typeof name === 'string' && !EXECUTOR_TYPES.includes(name)) {
+      warnings.push(`execution.sandbox.${level} "${name}" is not built in (${EXECUTOR_TYPES.join(', ')}); it must be registered with registerExecutor()`);
+    }
+  }
+
+  const restricted = execution?.restricted;
+  if (restricted?.keep_env !== undefined && !isStringList(restricted.keep_env)) errors.push('execution.restricted.keep_env must be a list of variable names');
+  if (restricted?.umask !== undefined && !/^0?[0-7]{3}$/.test(String(restricted.umask))) errors.push('execution.restricted.umask must be an octal mask such as "077"');
+  for (const [key, value] of Object.entries(restricted?.limits || {})) {
+    if (!['cpu_seconds', 'memory_mb', 'processes', 'file_size_mb'].includes(key)) errors.push(`execution.restricted.limits.${key} is not a known limit`);
+    else if (!Number.isInteger(value) || value < 1) errors.push(`execution.restricted.limits.${key} must be a positive whole number`);
+  }
+
+  const namespace = execution?.namespace;
+  if (namespace?.tool !== undefined && !NAMESPACE_TOOLS.includes(namespace.tool)) errors.push(`execution.namespace.tool must be one of ${NAMESPACE_TOOLS.join(', ')}`);
+  if (namespace?.writable !== undefined && !isStringList(namespace.writable)) errors.push('execution.namespace.writable must be a list of paths');
+  if (namespace?.network !== undefined && typeof namespace.network !== 'boolean') errors.push('execution.namespace.network must be true or false');
+}
+
+function checkNetwork(network, errors) {
+  for (const list of ['allow', 'block']) {
+    if (!Array.isArray(network?.[list])) continue;
+    network[list].forEach((pattern, i) => {
+      // Non-strings and regexes are reported by checkPatterns
+      if (typeof pattern !== 'string' || /^\/(.+)\/([gimsuy]*)$/.test(pattern)) return;
+      try {
+        parseDestinationPattern(pattern);
+      } catch (err) {
+        errors.push(`rules.network.${list}[${i}] ${err.message}`);
+      }
+    });
+  }
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+function checkChannels(notifications, errors) {
+  const channels = notifications?.channels;
+  if (channels === undefined) return;
+  if (typeof channels !== 'object' || channels === null || Array.isArray(channels)) {
+    errors.push('notifications.channels must be a mapping of channel names');
+    return;
+  }
+
+  for (const [name, spec] of Object.entries(channels)) {
+    if (!CHANNEL_TYPES.includes(spec?.type)) {
+      errors.push(`notifications.channels.${name} has unknown type "${spec?.type}" (expected ${CHANNEL_TYPES.join(', ')})`);
+    }
+  }
+
+  (notifications.escalation || []).forEach((stage, i) => {
+    for (const name of stage?.notify || []) {
+      if (!(name in channels)) errors.push(`notifications.escalation[${i}] refers to unknown channel "${name}"`);
+    }
+  });
+}
+
+function checkSinks(sinks, errors) {
+  if (sinks === undefined) return;
+  if (!Array.isArray(sinks)) {
+    errors.push('logging.sinks must be a list');
+    return;
+  }
+
+  sinks.forEach((sink, i) => {
+    const label = `logging.sinks[${i}]`;
+    if (!SINK_TYPES.includes(sink?.type)) {
+      errors.push(`${label} has unknown type "${sink?.type}" (expected ${SINK_TYPES.join(', ')})`);
+      return;
+    }
+    if (sink.format !== undefined && !SINK_FORMATS.includes(sink.format)) {
+      errors.push(`${label}.format must be one of ${SINK_FORMATS.join(', ')}`);
+    }
+    if (sink.type === 'syslog') {
+      const transport = sink.transport || 'udp';
+      if (!SYSLOG_TRANSPORTS.includes(transport)) errors.push(`${label}.transport must be one of ${SYSLOG_TRANSPORTS.join(', ')}`);
+      if (transport === 'unix' && !sink.path) errors.push(`${label} needs a path for the unix transport`);
+      if (sink.port !== undefined && !(Number.isInteger(sink.port) && sink.port > 0 && sink.port < 65536)) errors.push(`${label}.port must be a port number`);
+      if (sink.facility !== undefined && !SYSLOG_FACILITIES.includes(sink.facility)) errors.push(`${label}.facility must be one of ${SYSLOG_FACILITIES.join(', ')}`);
+    }
+    if (sink.type === 'http' && !sink.url && !sink.url_env) errors.push(`${label} needs a url`);
+    if (sink.type === 'file' && !sink.path) errors.push(`${label} needs a path`);
+  });
+}
+
+// --- Helpers ---
+
+function parseEnv(setting, text) {
+  switch (setting.type) {
+    case 'boolean':
+      if (/^(true|1|yes)$/i.test(text)) return { value: true };
+      if (/^(false|0|no)$/i.test(text)) return { value: false };
+      return { error: `expected true or false, got "${text}"` };
+    case 'integer': {
+      const value = Number(text);
+      if (!Number.isInteger(value) || (setting.min !== undefined && value < setting.min)) {
+        return { error: `expected a whole number${setting.min !== undefined ? ` >= ${setting.min}` : ''}, got "${text}"` };
+      }
+      return { value };
+    }
+    case 'enum':
+      return setting.values.includes(text) ? { value: text } : { error: `expected one of ${setting.values.join(', ')}, got "${text}"` };
+    case 'patterns': {
+      // Comma-separated
+      const value = text.split(',').map((s) => s.trim()).filter(Boolean);
+      const errors = [];
+      checkPatterns(setting.key, value, errors);
+      return errors.length ? { error: errors.join('; ') } : { value };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  let node = object;
+  for (const part of parts.slice(0, -1)) {
+    if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+    node = node[part];
+  }
+  node[parts.at(-1)] = value;
+}
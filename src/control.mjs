@@ -0,0 +1,343 @@
+import { createServer, createConnection } from 'node:net';
+import { timingSafeEqual } from 'node:crypto';
+import { chmodSync, unlinkSync } from 'node:fs';
+import { tmpdir, userInfo } from 'node:os';
+import { join } from 'node:path';
+import { CompositeNotifier } from './notifier.mjs';
+import { validateConfig } from './config.mjs';
+
+const MAX_LINE_BYTES = 64 * 1024;
+const LEVELS = ['low', 'medium', 'high', 'critical'];
+// Methods that change a request and so need an operator token
+const DECISIONS = new Set(['approve', 'reject']);
+
+/**
+ * Default control socket: CLAWSHELL_SOCKET, or one per user in the temp dir.
+ */
+export function defaultSocketPath() {
+  return process.env.CLAWSHELL_SOCKET || join(tmpdir(), `clawshell-${userInfo().uid}.sock`);
+}
+
+/**
+ * Local Unix socket that lets an operator inspect and decide requests of a
+ * running instance. Each connection sends one JSON line
+ * `{ method, params }` and gets one JSON line back: `{ result }` or
+ * `{ error }`. `logs.follow` instead streams `{ entry }` lines until the
+ * client disconnects. The socket is created mode 0600.
+ *
+ * The agent runs as the same user, so the file mode alone cannot keep it
+ * from deciding its own requests: `approve` and `reject` also need a
+ * `token` from CLAWSHELL_CONTROL_TOKENS (`name:token,...`), a variable
+ * executed commands never inherit. Without tokens they are refused. The
+ * token's name is the identity that counts toward quorum policies.
+ */
+export class ControlServer {
+  #socketPath;
+  #pending;
+  #logger;
+  #analyzer;
+  #operators;
+  #server = null;
+
+  constructor(opts = {}) {
+    if (!opts.pending || !opts.logger || !opts.analyzer) {
+      throw new Error('ControlServer requires pending, logger and analyzer instances.');
+    }
+
+    this.#socketPath = opts.socketPath || defaultSocketPath();
+    this.#pending = opts.pending;
+    this.#logger = opts.logger;
+    this.#analyzer = opts.analyzer;
+    this.#operators = opts.operators || parseOperators(process.env.CLAWSHELL_CONTROL_TOKENS);
+  }
+
+  get socketPath() {
+    return this.#socketPath;
+  }
+
+  get listening() {
+    return !!this.#server?.listening;
+  }
+
+  async start() {
+    if (this.#server) return this;
+
+    try {
+      await this.#listen();
+    } catch (err) {
+      if (err.code !== 'EADDRINUSE' || await isAlive(this.#socketPath)) throw err;
+      // Left behind by a process that exited without cleaning up
+      unlinkSync(this.#socketPath);
+      await this.#listen();
+    }
+
+    chmodSync(this.#socketPath, 0o600);
+    return this;
+  }
+
+  close() {
+    if (!this.#server) return Promise.resolve();
+    const server = this.#server;
+    this.#server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  #listen() {
+    const server = createServer((socket) => this.#handle(socket));
+    server.unref(); // Don't keep process alive
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.#socketPath, () => {
+        server.off('error', reject);
+        this.#server = server;
+        resolve();
+      });
+    });
+  }
+
+  // --- Request handling ---
+
+  #handle(socket) {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('error', () => {});
+
+    const onData = (chunk) => {
+      buffer += chunk;
+      if (buffer.length > MAX_LINE_BYTES) return socket.destroy();
+
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      socket.off('data', onData);
+
+      let request;
+      try {
+        request = JSON.parse(buffer.slice(0, newline));
+      } catch {
+        return reply(socket, { error: 'Malformed request' });
+      }
+      if (!isObject(request) || (request.params !== undefined && !isObject(request.params))) {
+        return reply(socket, { error: 'Malformed request' });
+      }
+      this.#dispatch(socket, request.method, request.params || {}, request.token);
+    };
+    socket.on('data', onData);
+  }
+
+  #dispatch(socket, method, params, token) {
+    if (method === 'logs.follow') return this.#follow(socket, params);
+    let operator = null;
+    if (DECISIONS.has(method)) {
+      if (this.#operators.length === 0) return reply(socket, { error: 'Deciding requests over the control socket needs CLAWSHELL_CONTROL_TOKENS' });
+      operator = this.#authenticate(token);
+      if (!operator) return reply(socket, { error: 'Invalid or missing control token (set CLAWSHELL_CONTROL_TOKEN)' });
+    }
+
+    const handlers = {
+      status: () => this.#status(),
+      pending: () => this.#pending.list(),
+      approve: () => this.#decide('approve', params, operator.name),
+      reject: () => this.#decide('reject', params, operator.name),
+      logs: () => this.#logs(params),
+      analyze: () => this.#analyze(params),
+      'config.check': () => checkConfig(this.#analyzer.config),
+    };
+
+    const handler = handlers[method];
+    if (!handler) return reply(socket, { error: `Unknown method: ${method}` });
+
+    try {
+      reply(socket, { result: handler() });
+    } catch (err) {
+      reply(socket, { error: err.message });
+    }
+  }
+
+  // The operator a token belongs to, or null
+  #authenticate(token) {
+    if (typeof token !== 'string') return null;
+    return this.#operators.find((operator) => safeEqual(operator.token, token)) || null;
+  }
+
+  #status() {
+    return {
+      pid: process.pid,
+      logPath: this.#logger.logPath,
+      pending: this.#pending.list().length,
+      timeoutSeconds: this.#pending.timeoutMs / 1000,
+      ruleSet: this.#analyzer.ruleSet,
+    };
+  }
+
+  // The vote counts for the token's operator; a client-supplied name is ignored
+  #decide(action, { id }, approver) {
+    if (!id) throw new Error('Missing request id');
+    const before = this.#pending.get(id);
+    const decided = action === 'approve'
+      ? this.#pending.approve(id, 'user_cli', approver)
+      : this.#pending.reject(id, 'user_cli', approver);
+    return { decided, before, request: this.#pending.get(id), approver };
+  }
+
+  // Oldest first, like a log tail
+  #logs({ count, level, offset, filter }) {
+    const criteria = { ...filter, ...(level ? { min_risk_level: level } : {}) };
+    return this.#logger.query(criteria, { limit: count || 20, offset }).entries.reverse();
+  }
+
+  #analyze({ command, workingDir }) {
+    if (typeof command !== 'string' || !command.trim()) throw new Error('Missing command');
+    const analysis = this.#analyzer.analyzeCommand(command, workingDir || process.cwd());
+    return { ...analysis, approvalPolicy: this.#analyzer.approvalPolicy(analysis) };
+  }
+
+  #follow(socket, { level }) {
+    const unsubscribe = this.#logger.subscribe((entry) => {
+      if (filterLevel([entry], level).length > 0) socket.write(JSON.stringify({ entry }) + '\n');
+    });
+    socket.on('close', unsubscribe);
+  }
+}
+
+// --- Client ---
+
+/**
+ * Sends one request to a running instance and resolves with its result;
+ * `opts.token` authenticates decisions. Rejects with code
+ * ENOENT/ECONNREFUSED when nothing is listening.
+ */
+export function controlRequest(method, params = {}, opts = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(opts.socketPath, { method, params, ...(opts.token && { token: opts.token }) }, reject);
+    readLines(socket, (message) => {
+      socket.end();
+      if (message.error) reject(new Error(message.error));
+      else resolve(message.result);
+    });
+  });
+}
+
+/**
+ * Streams log entries from a running instance to `onEntry`. Returns a
+ * function that stops following; the promise in `.done` settles when the
+ * connection closes.
+ */
+export function followLogs(onEntry, params = {}, opts = {}) {
+  let socket;
+  const done = new Promise((resolve, reject) => {
+    socket = connect(opts.socketPath, { method: 'logs.follow', params }, reject);
+    readLines(socket, (message) => {
+      if (message.entry) onEntry(message.entry);
+    });
+    socket.on('close', resolve);
+  });
+  return { stop: () => socket.end(), done };
+}
+
+function connect(socketPath = defaultSocketPath(), request, onError) {
+  const socket = createConnection(socketPath, () => {
+    socket.write(JSON.stringify(request) + '\n');
+  });
+  socket.setEncoding('utf-8');
+  socket.on('error', onError);
+  return socket;
+}
+
+function readLines(socket, onMessage) {
+  let buffer = '';
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      try {
+        onMessage(JSON.parse(line));
+      } catch {
+        // Ignore malformed lines
+      }
+    }
+  });
+}
+
+function isAlive(socketPath) {
+  return new Promise((resolve) => {
+    const socket = createConnection(socketPath, () => {
+      socket.end();
+      resolve(true);
+    });
+    socket.on('error', () => resolve(false));
+  });
+}
+
+// --- Helpers ---
+
+/**
+ * One-line outcome of an approve/reject attempt by `who`, given the request
+ * before and after it (`{ decided, before, request }` as the control socket
+ * returns).
+ */
+export function describeDecision(action, id, who, { decided, before, request }) {
+  if (!decided) {
+    if (before?.status !== 'pending') return `No pending request found with id ${id}`;
+    if (before.approvals.includes(who)) return `${who} has already approved request ${id}`;
+    return `${who} is not an approver for request ${id} (policy ${before.policy.name})`;
+  }
+  if (request.status === 'pending') {
+    return `Recorded approval from ${who} for request ${id} (${request.approvals.length}/${request.policy.required})`;
+  }
+  return `${action === 'approve' ? 'Approved' : 'Rejected'} request ${id}`;
+}
+
+/**
+ * Parses CLAWSHELL_CONTROL_TOKENS: `name:token` pairs separated by commas.
+ * Entries without a name or token are skipped.
+ */
+export function parseOperators(text = '') {
+  return text.split(',').filter((pair) => pair.includes(':')).map((pair) => {
+    const colon = pair.indexOf(':');
+    return { name: pair.slice(0, colon).trim(), token: pair.slice(colon + 1).trim() };
+  }).filter(({ name, token }) => name && token);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+// A JSON object: not null, an array or a primitive
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function reply(socket, message) {
+  socket.end(JSON.stringify(message) + '\n');
+}
+
+// `--level high` keeps high and critical entries
+function filterLevel(entries, level) {
+  if (!level) return entries;
+  const min = LEVELS.indexOf(level);
+  return entries.filter((entry) => LEVELS.indexOf(entry.risk_level) >= min);
+}
+
+/**
+ * Sanity checks for the loaded configuration: the schema checks from
+ * validateConfig, then a trial build of the notification channels. Returns
+ * `{ errors, warnings }` with one human-readable line per problem.
+ */
+export function checkConfig(config = {}) {
+  const { errors, warnings } = validateConfig(config);
+
+  if (errors.length === 0 && config.notifications?.channels) {
+    try {
+      CompositeNotifier.fromConfig(config.notifications);
+    } catch (err) {
+      errors.push(`notifications: ${err.message}`);
+    }
+  }
+
+  return { errors, warnings };
+}
@@ -0,0 +1,202 @@
+import { literalOutput, decodeEscape } from './shell-parser.mjs';
+
+// --- Deobfuscation ---
+//
+// Finds the ways a command hides what it runs from pattern matching and
+// recovers the hidden text where that can be done without executing
+// anything. RiskAnalyzer re-analyzes each recovered form and adds
+// `obfuscation_detected`.
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash']);
+const INTERPRETERS = new Set([...SHELLS, 'python', 'python2', 'python3', 'perl', 'ruby', 'node', 'php']);
+const DECLARATIONS = new Set(['export', 'declare', 'typeset', 'local', 'readonly']);
+const DECODE_CALLS = /\bbase64\s+(?:-d|-D|--decode)\b|b64decode|atob\s*\(|from\(\s*\S+\s*,\s*['"]base64['"]|decode_base64|base64_decode|unpack\(\s*['"]m/i;
+const BASE64_TOKEN = /(?<![A-Za-z0-9+/=_-])[A-Za-z0-9+/]{8,}={0,2}(?![A-Za-z0-9+/=_-])/g;
+const MAX_FORMS = 10;
+
+/**
+ * Returns `[{ technique, text, speculative }]` for a command and the
+ * segments extractCommands() produced from it. `text` is recovered command
+ * text to analyze again, or null when the parser already decoded it in
+ * place (the segment was analyzed as decoded, but the disguise itself is
+ * reported). `speculative` forms only count when the decoded text is risky
+ * on its own: a base64 string may be data that is decoded only to be read.
+ */
+export function decodedForms(command, segments) {
+  const forms = [];
+  const add = (technique, text, speculative = false) => {
+    if (forms.length >= MAX_FORMS) return;
+    if (text !== null && (text.trim() === '' || forms.some((form) => form.text === text))) return;
+    forms.push({ technique, text, speculative });
+  };
+
+  if (hasPrintableAnsiC(command)) add('ansi_c_escapes', null);
+
+  for (const segment of segments) {
+    if (segment.unparsed || segment.dynamic) continue;
+    if (constructedName(segment)) add('constructed_command_name', null);
+  }
+
+  const variables = staticVariables(segments);
+  for (const segment of segments) {
+    const program = segment.argv[0] || '';
+    if (!segment.dynamic && program !== 'eval' && !SHELLS.has(program)) continue;
+    const expanded = expandVariables(segment.source || segment.text, variables);
+    if (expanded !== (segment.source || segment.text)) add('variable_indirection', expanded);
+  }
+
+  for (const segment of segments) {
+    if (segment.pipeline.index !== 0 || segment.pipeline.length < 2) continue;
+    // Substitution output becomes part of another command, e.g. eval "$(...)"
+    if (segment.context === 'substitution') {
+      const decoded = decodePipeline(segment, segment.pipeline.stages.slice(1));
+      if (decoded !== null) add('decoded_pipeline', decoded);
+      continue;
+    }
+    const decoded = decodePipeline(segment, segment.pipeline.stages.slice(1, -1));
+    const sink = segment.pipeline.stages[segment.pipeline.length - 1]?.[0];
+    if (decoded === null) continue;
+    if (SHELLS.has(sink)) add('decoded_pipeline', decoded);
+    else if (INTERPRETERS.has(sink)) add('decoded_pipeline', null);
+  }
+
+  const decodes = DECODE_CALLS.test(command);
+  for (const [token] of command.matchAll(BASE64_TOKEN)) {
+    // Short tokens are only worth decoding next to a decoder
+    if (!decodes && token.length < 16) continue;
+    const decoded = decodeBase64(token, { text: true });
+    if (decoded !== null) add('base64_blob', decoded, true);
+  }
+
+  return forms;
+}
+
+// `$'...'` spelling out printable characters rather than control codes
+function hasPrintableAnsiC(command) {
+  for (const [, body] of command.matchAll(/\$'((?:[^'\\]|\\.)*)'/g)) {
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] !== '\\') continue;
+      if (/[xuU0-7]/.test(body[i + 1])) {
+        const [decoded, length] = decodeEscape(body, i + 1, { ansiC: true });
+        if (/^[\x21-\x7e]+$/.test(decoded)) return true;
+        i += length;
+      } else {
+        i++;
+      }
+    }
+  }
+  return false;
+}
+
+// The program name does not appear literally in the source: it was built
+// from quote fragments, backslashes or a statically evaluated substitution
+function constructedName(segment) {
+  const program = segment.argv[0];
+  if (!program || !segment.source) return false;
+  const escaped = program.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return !new RegExp(`(?:^|[\\s/'"=\\\\;&|(])${escaped}(?:$|[\\s'";&|)<>])`).test(segment.source);
+}
+
+function staticVariables(segments) {
+  const variables = new Map();
+  for (const segment of segments) {
+    if (segment.argv.length === 0) {
+      for (const { name, value, dynamic } of segment.assignments) {
+        if (!dynamic) variables.set(name, value);
+      }
+    } else if (DECLARATIONS.has(segment.argv[0])) {
+      for (const arg of segment.argv.slice(1)) {
+        const match = arg.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s);
+        if (match) variables.set(match[1], match[2]);
+      }
+    }
+  }
+  return variables;
+}
+
+function expandVariables(text, variables) {
+  if (variables.size === 0) return text;
+  return text.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}|\$([A-Za-z_][A-Za-z0-9_]*)/g, (match, braced, bare) => {
+    const name = braced || bare;
+    return variables.has(name) ? variables.get(name) : match;
+  });
+}
+
+/**
+ * Evaluates a pipeline that starts with a literal `echo`/`printf` (or a
+ * here-string) and runs it through the `transforms` stages: base64 -d,
+ * xxd -r -p, rev and tr. Returns the result, or null when a stage cannot be
+ * evaluated or nothing was actually decoded.
+ */
+function decodePipeline(segment, transforms) {
+  const first = segment.pipeline.stages[0] || [];
+  const hereString = segment.redirects.find((r) => r.op === '<<<');
+  let data;
+  let decoded = false;
+
+  if (hereString) {
+    data = `${hereString.target}\n`;
+    transforms = [first, ...transforms];
+  } else {
+    data = literalOutput(first);
+    if (data === null) return null;
+    // printf/echo -e escapes count as encoding; plain echo does not
+    const literal = first.slice(1).filter((arg) => !arg.startsWith('-')).join(' ');
+    decoded = data.trim() !== literal.trim();
+  }
+
+  for (const argv of transforms) {
+    if (!argv) return null;
+    data = transform(argv, data);
+    if (data === null) return null;
+    if (argv[0] !== 'cat') decoded = true;
+  }
+  return decoded ? data : null;
+}
+
+function transform(argv, data) {
+  const [program, ...args] = argv;
+  if (program === 'cat' && args.length === 0) return data;
+  if (program === 'base64' && args.some((arg) => /^(-d|-D|--decode)$/.test(arg))) return decodeBase64(data.replace(/\s+/g, ''), { text: false });
+  if (program === 'xxd' && args.some((arg) => /^-(r|rp|pr)$/.test(arg)) && args.some((arg) => /^-(p|ps|rp|pr|plain)$/.test(arg))) {
+    const hex = data.replace(/\s+/g, '');
+    return /^([0-9a-fA-F]{2})+$/.test(hex) ? Buffer.from(hex, 'hex').toString('utf-8') : null;
+  }
+  if (program === 'rev' && args.length === 0) {
+    return data.split('\n').map((line) => [...line].reverse().join('')).join('\n');
+  }
+  if (program === 'tr' && args.length === 2 && !args[0].startsWith('-')) {
+    const from = expandSet(args[0]);
+    const to = expandSet(args[1]);
+    if (to.length === 0) return null;
+    return [...data].map((ch) => {
+      const index = from.indexOf(ch);
+      return index === -1 ? ch : to[Math.min(index, to.length - 1)];
+    }).join('');
+  }
+  return null;
+}
+
+// tr character sets: literal characters and `a-z` style ranges
+function expandSet(set) {
+  const chars = [];
+  for (let i = 0; i < set.length; i++) {
+    if (set[i + 1] === '-' && set[i + 2] !== undefined) {
+      for (let code = set.charCodeAt(i); code <= set.charCodeAt(i + 2); code++) chars.push(String.fromCharCode(code));
+      i += 2;
+    } else {
+      chars.push(set[i]);
+    }
+  }
+  return chars;
+}
+
+// Decodes base64 to readable text; binary and random data give null. With
+// `text`, the result must also look like a command line, not a single word.
+function decodeBase64(encoded, { text }) {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(encoded) || encoded.length % 4 === 1) return null;
+  const decoded = Buffer.from(encoded, 'base64').toString('utf-8');
+  if (!/^[\x20-\x7e\t\n]+$/.test(decoded)) return null;
+  if (text && (decoded.length < 4 || !/[ ;|&/]/.test(decoded))) return null;
+  return decoded;
+}
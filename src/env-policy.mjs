@@ -0,0 +1,62 @@
+import { minimatch } from 'minimatch';
+
+// ClawShell's own settings and credentials never reach executed commands
+const OWN_VARIABLES = /^CLAWSHELL_/;
+
+/**
+ * Decides which environment variables an executed command inherits.
+ * A non-empty `allow` keeps only matching names, `deny` then removes
+ * matching names, and CLAWSHELL_* variables plus `secretNames` are always
+ * removed. Patterns are exact names, globs (`AWS_*`) or `/regex/flags`.
+ */
+export class EnvPolicy {
+  #allow;
+  #deny;
+  #secretNames;
+
+  constructor({ allow = [], deny = [], secretNames = [] } = {}) {
+    this.#allow = allow;
+    this.#deny = deny;
+    this.#secretNames = new Set(secretNames);
+  }
+
+  /** Returns `{ env, removed }`; `removed` lists the stripped names, sorted. */
+  apply(source = process.env) {
+    const env = {};
+    const removed = [];
+    for (const [name, value] of Object.entries(source)) {
+      if (value === undefined) continue;
+      if (this.#keeps(name)) env[name] = value;
+      else removed.push(name);
+    }
+    return { env, removed: removed.sort() };
+  }
+
+  #keeps(name) {
+    if (OWN_VARIABLES.test(name) || this.#secretNames.has(name)) return false;
+    if (this.#allow.length > 0 && !this.#allow.some((pattern) => matchName(name, pattern))) return false;
+    return !this.#deny.some((pattern) => matchName(name, pattern));
+  }
+}
+
+/**
+ * Names of the variables config.yaml points at for credentials: `*_env`
+ * options of notification channels and log sinks, and sink `headers_env`.
+ */
+export function secretEnvNames(values = {}) {
+  const specs = [...Object.values(values.notifications?.channels || {}), ...(values.logging?.sinks || [])];
+  const names = new Set();
+  for (const spec of specs) {
+    for (const [key, value] of Object.entries(spec || {})) {
+      if (key === 'headers_env') Object.values(value || {}).forEach((name) => names.add(name));
+      else if (key.endsWith('_env') && typeof value === 'string') names.add(value);
+    }
+  }
+  return [...names];
+}
+
+function matchName(name, pattern) {
+  const regex = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]).test(name);
+  return name === pattern || minimatch(name, pattern, { dot: true });
+}
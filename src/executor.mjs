@@ -0,0 +1,209 @@
+import { spawn } from 'node:child_process';
+import { StringDecoder } from 'node:string_decoder';
+
+const DEFAULT_TIMEOUT_MS = 60_000;
+const DEFAULT_MAX_OUTPUT_BYTES = 1024 * 1024;
+const DEFAULT_KILL_GRACE_MS = 5_000;
+
+/**
+ * Runs `command` with /bin/sh in its own process group and resolves with
+ * `{ exitCode, signal, stdout, stderr, stdoutBytes, stderrBytes,
+ * stdoutTruncated, stderrTruncated, timedOut, durationMs, error? }`.
+ *
+ * - `timeoutMs`: on expiry the whole group gets SIGTERM, then SIGKILL after
+ *   `killGraceMs`, so children the command started are stopped too.
+ * - `maxOutputBytes`: per stream; beyond it the head and tail are kept
+ *   around a `...[N bytes truncated]...` marker. The command keeps running.
+ * - `onOutput({ type, data })`: called with every decoded stdout/stderr
+ *   chunk as it arrives, before any truncation.
+ * - `signal`: an AbortSignal that kills the group like a timeout.
+ * - `prefix`: argv that wraps the shell, e.g. a sandbox launcher ending in
+ *   `--`; the command then runs as `...prefix /bin/sh -c <command>`.
+ *
+ * Never rejects; a command that cannot be started resolves with exit code
+ * 1 and `error`.
+ */
+export function runCommand(command, opts = {}) {
+  const timeoutMs = opts.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const killGraceMs = opts.killGraceMs ?? DEFAULT_KILL_GRACE_MS;
+  const maxOutputBytes = opts.maxOutputBytes ?? DEFAULT_MAX_OUTPUT_BYTES;
+  const onOutput = opts.onOutput || (() => {});
+  const startTime = Date.now();
+
+  return new Promise((resolve) => {
+    const output = { stdout: new OutputBuffer(maxOutputBytes), stderr: new OutputBuffer(maxOutputBytes) };
+    let timedOut = false;
+    let killTimer = null;
+    let settled = false;
+
+    const [file, ...args] = [...(opts.prefix || []), '/bin/sh', '-c', command];
+    const child = spawn(file, args, {
+      cwd: opts.cwd,
+      env: opts.env,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    const stop = () => {
+      if (killTimer || settled) return;
+      killGroup(child, 'SIGTERM');
+      killTimer = setTimeout(() => killGroup(child, 'SIGKILL'), killGraceMs);
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeoutMs);
+    opts.signal?.addEventListener('abort', stop, { once: true });
+    if (opts.signal?.aborted) stop();
+
+    for (const type of ['stdout', 'stderr']) {
+      const decoder = new StringDecoder('utf-8');
+      child[type].on('data', (chunk) => {
+        output[type].push(chunk);
+        const data = decoder.write(chunk);
+        if (data) emit(onOutput, { type, data });
+      });
+      child[type].on('end', () => {
+        const data = decoder.end();
+        if (data) emit(onOutput, { type, data });
+      });
+    }
+
+    const finish = (code, signal, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      opts.signal?.removeEventListener('abort', stop);
+      resolve({
+        exitCode: typeof code === 'number' ? code : 1,
+        signal: signal || null,
+        stdout: output.stdout.toString(),
+        stderr: output.stderr.toString(),
+        stdoutBytes: output.stdout.bytes,
+        stderrBytes: output.stderr.bytes,
+        stdoutTruncated: output.stdout.truncated,
+        stderrTruncated: output.stderr.truncated,
+        timedOut,
+        durationMs: Date.now() - startTime,
+        ...(error ? { error: error.message } : {}),
+      });
+    };
+
+    child.on('error', (err) => finish(null, null, err));
+    child.on('close', (code, signal) => finish(code, signal));
+  });
+}
+
+/**
+ * Async-iterator form of runCommand: yields `{ type: 'stdout' | 'stderr',
+ * data }` chunks as they arrive and finally `{ type: 'exit', result }`.
+ * Leaving the loop early kills the command.
+ */
+export async function* streamCommand(command, opts = {}) {
+  const queue = [];
+  let wake = null;
+  let result = null;
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  opts.signal?.addEventListener('abort', abort, { once: true });
+
+  const done = runCommand(command, {
+    ...opts,
+    signal: controller.signal,
+    onOutput: (chunk) => {
+      queue.push(chunk);
+      wake?.();
+    },
+  });
+  done.then((value) => {
+    result = value;
+    wake?.();
+  });
+
+  try {
+    while (true) {
+      if (queue.length > 0) {
+        yield queue.shift();
+      } else if (result) {
+        yield { type: 'exit', result };
+        return;
+      } else {
+        await new Promise((resolve) => { wake = resolve; });
+        wake = null;
+      }
+    }
+  } finally {
+    opts.signal?.removeEventListener('abort', abort);
+    if (!result) {
+      controller.abort();
+      await done;
+    }
+  }
+}
+
+// Keeps the first and last halves of `limit` bytes and counts the rest
+class OutputBuffer {
+  #limit;
+  #head = [];
+  #headBytes = 0;
+  #tail = [];
+  #tailBytes = 0;
+  bytes = 0;
+
+  constructor(limit) {
+    this.#limit = limit;
+  }
+
+  get truncated() {
+    return this.bytes > this.#limit;
+  }
+
+  push(chunk) {
+    this.bytes += chunk.length;
+    const headRoom = Math.ceil(this.#limit / 2) - this.#headBytes;
+    if (headRoom > 0) {
+      const head = chunk.subarray(0, headRoom);
+      this.#head.push(head);
+      this.#headBytes += head.length;
+      chunk = chunk.subarray(head.length);
+    }
+    if (chunk.length === 0) return;
+
+    this.#tail.push(chunk);
+    this.#tailBytes += chunk.length;
+    const tailLimit = this.#limit - Math.ceil(this.#limit / 2);
+    while (this.#tail.length > 1 && this.#tailBytes - this.#tail[0].length >= tailLimit) {
+      this.#tailBytes -= this.#tail.shift().length;
+    }
+  }
+
+  toString() {
+    const head = Buffer.concat(this.#head);
+    let tail = Buffer.concat(this.#tail);
+    if (!this.truncated) return Buffer.concat([head, tail]).toString('utf-8');
+
+    tail = tail.subarray(tail.length - (this.#limit - head.length));
+    const omitted = this.bytes - head.length - tail.length;
+    return `${head.toString('utf-8')}\n...[${omitted} bytes truncated]...\n${tail.toString('utf-8')}`;
+  }
+}
+
+function killGroup(child, signal) {
+  if (!child.pid) return;
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Group already gone; fall back to the shell itself
+    try { child.kill(signal); } catch { /* already exited */ }
+  }
+}
+
+function emit(onOutput, chunk) {
+  try {
+    onOutput(chunk);
+  } catch {
+    // A failing listener must not break the command's bookkeeping
+  }
+}
@@ -0,0 +1,161 @@
+import { toolArguments, remoteSpec } from './network.mjs';
+
+// --- Outbound payloads ---
+//
+// Reads what a command sends to the hosts it contacts: request bodies and
+// uploads (`curl -d @file`, `-F`, `-T`, `wget --post-file`), the local files
+// scp and rsync copy to a remote host, and the stdin nc and ssh forward
+// (`nc host < file`, `tar c dir | ssh host ...`). RiskAnalyzer escalates
+// uploads of credentials and secret environment variables to critical.
+
+/**
+ * Files and directories whose contents are credentials. `~` is the user's
+ * home directory; `rules.exfiltration.paths` adds entries.
+ */
+export const SENSITIVE_PATHS = [
+  '~/.ssh', '~/.ssh/**', '~/.aws', '~/.aws/**', '~/.gnupg', '~/.gnupg/**',
+  '~/.netrc', '~/.git-credentials', '~/.docker/config.json', '~/.kube/config', '~/.config/gh/hosts.yml',
+  '~/.openclaw/credentials', '~/.openclaw/credentials/**', '~/.bash_history', '~/.zsh_history',
+  '/etc/shadow', '/etc/gshadow', '/etc/sudoers',
+  '**/.env', '**/.env.*', '**/*.pem', '**/*.key', '**/id_rsa', '**/id_dsa', '**/id_ecdsa', '**/id_ed25519',
+];
+
+// Variable names that hold secrets; `rules.exfiltration.variables` adds names
+const SENSITIVE_VARIABLES = /SECRET|TOKEN|PASSW(?:OR)?D|API_?KEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIAL|^AWS_|^CLAWSHELL_/i;
+
+// curl options whose value is a body: `@file` reads a file (`@-` stdin)
+// for the `file` options, `name=@file` or `name=<file` for forms
+const CURL_BODY = {
+  file: ['-d', '--data', '--data-ascii', '--data-binary', '--json'],
+  raw: ['--data-raw', '--form-string'],
+  urlencode: ['--data-urlencode'],
+  form: ['-F', '--form'],
+  upload: ['-T', '--upload-file'],
+};
+
+const WGET_BODY = { file: ['--post-file', '--body-file'], raw: ['--post-data', '--body-data'] };
+
+// Programs that forward whatever arrives on stdin to the remote host
+const STDIN_SENDERS = new Set(['nc', 'ncat', 'netcat', 'ssh']);
+
+// Upstream pipeline stages whose operands are files they write to stdout
+const FILE_READERS = new Set(['cat', 'tac', 'head', 'tail', 'base64', 'xxd', 'od', 'gzip', 'bzip2', 'xz', 'zstd', 'tar', 'zip']);
+
+/**
+ * What a command view sends: `[{ kind, value }]` where `kind` is `file`
+ * (a path as written), `variable` (a name), `environment` (the whole
+ * environment, from `env` or `printenv` upstream) or `data` (a literal
+ * body). Empty when the command uploads nothing. `segment` supplies the
+ * redirects and pipeline around the command.
+ */
+export function outboundPayloads(argv, segment) {
+  const [program, ...args] = argv;
+  const payloads = [];
+  let readsStdin = STDIN_SENDERS.has(program);
+
+  if (program === 'curl' || program === 'wget') {
+    const { options, operands } = toolArguments(program, args);
+    for (const [name, value] of options) {
+      if (value === undefined) continue;
+      const body = program === 'curl' ? curlBody(name, value) : wgetBody(name, value);
+      if (body === 'stdin') readsStdin = true;
+      else if (body) payloads.push(body, ...references(body.value));
+    }
+    // Values interpolated into the URL leave with the request too
+    for (const operand of operands) payloads.push(...references(operand));
+  } else if (program === 'scp' || program === 'rsync') {
+    const { operands } = toolArguments(program, args);
+    const target = operands[operands.length - 1];
+    if (operands.length >= 2 && remoteSpec(target, program)) {
+      for (const source of operands.slice(0, -1)) {
+        if (!remoteSpec(source, program)) payloads.push({ kind: 'file', value: source });
+      }
+    }
+  }
+
+  if (readsStdin) payloads.push(...stdinPayloads(segment));
+  return dedupe(payloads);
+}
+
+/** Whether a variable's name marks it as holding a secret. */
+export function isSensitiveVariable(name) {
+  return SENSITIVE_VARIABLES.test(name);
+}
+
+function curlBody(name, value) {
+  if (CURL_BODY.upload.includes(name)) return value === '-' || value === '.' ? 'stdin' : { kind: 'file', value };
+  if (CURL_BODY.file.includes(name)) return fileOrData(value.startsWith('@') ? value.slice(1) : null, value);
+  if (CURL_BODY.raw.includes(name)) return { kind: 'data', value };
+  if (CURL_BODY.urlencode.includes(name)) {
+    // `content`, `=content`, `name=content`, `@file`, `name@file`
+    const at = value.indexOf('@');
+    const eq = value.indexOf('=');
+    return fileOrData(at !== -1 && (eq === -1 || at < eq) ? value.slice(at + 1) : null, value);
+  }
+  if (CURL_BODY.form.includes(name)) {
+    const match = value.match(/^[^=]*=[@<]([^;]*)/);
+    return fileOrData(match ? match[1] : null, value);
+  }
+  return null;
+}
+
+function wgetBody(name, value) {
+  if (WGET_BODY.file.includes(name)) return fileOrData(value, value);
+  if (WGET_BODY.raw.includes(name)) return { kind: 'data', value };
+  return null;
+}
+
+function fileOrData(path, value) {
+  if (path === null) return { kind: 'data', value };
+  return path === '-' || path === '/dev/stdin' ? 'stdin' : { kind: 'file', value: path };
+}
+
+// Redirected files, here-strings and the output of earlier pipeline stages
+function stdinPayloads(segment) {
+  const payloads = [];
+  for (const redirect of segment.redirects) {
+    if (redirect.op === '<' && redirect.fd === null) payloads.push({ kind: 'file', value: redirect.target });
+    else if (redirect.op === '<<<') payloads.push({ kind: 'data', value: redirect.target }, ...references(redirect.target));
+  }
+  for (const stage of segment.pipeline.stages.slice(0, segment.pipeline.index)) {
+    payloads.push(...stageOutput(stage));
+  }
+  return payloads;
+}
+
+function stageOutput([path = '', ...args]) {
+  const program = path.slice(path.lastIndexOf('/') + 1);
+  if ((program === 'env' || program === 'printenv') && args.length === 0) return [{ kind: 'environment', value: 'environment' }];
+  if (program === 'printenv') return args.filter((arg) => !arg.startsWith('-')).map((name) => ({ kind: 'variable', value: name }));
+  if (program === 'echo' || program === 'printf') return args.flatMap(references);
+  if (!FILE_READERS.has(program)) return [];
+
+  let operands = args.filter((arg) => !arg.startsWith('-'));
+  // `tar czf - dir`: the first operand is a flag cluster, `-` the archive
+  if (program === 'tar' && /^[A-Za-z]+$/.test(args[0] || '')) operands = operands.slice(1);
+  return operands.map((value) => ({ kind: 'file', value }));
+}
+
+// `$NAME`, `${NAME}`, and files read by `$(cat file)`, `$(< file)` or
+// backticks inside a value
+function references(text) {
+  const found = [];
+  for (const [, braced, bare] of text.matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}|\$([A-Za-z_][A-Za-z0-9_]*)/g)) {
+    const name = braced || bare;
+    if (name !== 'HOME') found.push({ kind: 'variable', value: name });
+  }
+  for (const [, path] of text.matchAll(/(?:\$\(|`)\s*(?:<|cat\s+|base64\s+)\s*([^\s)`]+)/g)) {
+    found.push({ kind: 'file', value: path });
+  }
+  return found;
+}
+
+function dedupe(payloads) {
+  const seen = new Set();
+  return payloads.filter(({ kind, value }) => {
+    const key = `${kind}:${value}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
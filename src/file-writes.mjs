@@ -0,0 +1,119 @@
+import { join } from 'node:path';
+import { gitCommand } from './git.mjs';
+import { inlineCode } from './inline-code.mjs';
+
+// --- File writes ---
+//
+// Reads which files a command overwrites, edits in place, moves or deletes:
+// output redirects, `tee`, `cp`/`mv`/`install` destinations, `sed -i`,
+// `awk -i inplace`, `dd of=`, editors, `rm`/`truncate`/`chmod` operands, the
+// starting points of `find -delete`/`-exec rm` and the pathspecs of
+// `git checkout`/`restore`/`rm`/`mv`. Inline interpreter
+// code may write any path it names, so its string literals count too.
+// RiskAnalyzer uses it to keep the agent away from ClawShell's own config
+// file and audit log.
+
+// Programs whose every operand is changed; `removes` programs also take
+// along whatever is inside a directory operand
+const CHANGES_OPERANDS = new Set(['tee', 'touch', 'truncate', 'chmod', 'chown', 'chgrp', 'vi', 'vim', 'nvim', 'nano', 'emacs', 'ed']);
+const REMOVES_OPERANDS = new Set(['rm', 'rmdir', 'unlink', 'shred', 'mv']);
+// Programs that write only their last operand
+const WRITES_LAST = new Set(['cp', 'install', 'ln', 'rsync']);
+// Programs that edit their operands with `-i`
+const IN_PLACE = new Set(['sed', 'perl', 'ruby']);
+const AWKS = new Set(['awk', 'gawk']);
+
+// git subcommands that overwrite or remove their pathspecs
+const GIT_WRITES = { checkout: false, restore: false, rm: true, mv: true };
+const GIT_VALUES = ['-s', '--source', '-b', '-B', '--orphan', '--conflict', '--pathspec-from-file'];
+
+// find actions that run a command on each match
+const FIND_EXEC = new Set(['-exec', '-execdir', '-ok', '-okdir']);
+
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '<>', '&>', '&>>']);
+
+/**
+ * Paths a command view changes: `[{ path, removes }]`, paths as written.
+ * `removes` marks deletes and moves, which also affect everything under a
+ * directory. `segment` supplies the redirects.
+ */
+export function writtenPaths(argv, segment) {
+  const [program, ...args] = argv;
+  const operands = operandsOf(args);
+  const written = [];
+
+  if (REMOVES_OPERANDS.has(program)) written.push(...operands.map((path) => ({ path, removes: true })));
+  else if (CHANGES_OPERANDS.has(program)) written.push(...operands.map((path) => ({ path, removes: false })));
+  else if (WRITES_LAST.has(program) && operands.length >= 2) written.push({ path: operands[operands.length - 1], removes: false });
+  else if (IN_PLACE.has(program) && args.some(isInPlaceFlag)) written.push(...operands.map((path) => ({ path, removes: false })));
+  else if (AWKS.has(program) && isAwkInPlace(args)) written.push(...operands.filter((arg) => arg !== 'inplace').map((path) => ({ path, removes: false })));
+  else if (program === 'git') written.push(...gitPathspecs(argv));
+  else if (program === 'find') written.push(...findTargets(args));
+  else if (program === 'dd') {
+    for (const arg of args) if (arg.startsWith('of=')) written.push({ path: arg.slice(3), removes: false });
+  }
+
+  for (const redirect of segment?.redirects || []) {
+    if (WRITE_REDIRECTS.has(redirect.op)) written.push({ path: redirect.target, removes: false });
+  }
+
+  const inline = inlineCode(argv, segment);
+  if (inline && inline.language !== 'shell') {
+    written.push(...stringLiterals(inline.code).map((path) => ({ path, removes: false })));
+  }
+  return written;
+}
+
+// Pathspecs of a writing git subcommand, under `-C dir` when given
+function gitPathspecs(argv) {
+  const git = gitCommand(argv);
+  if (!git || !(git.subcommand in GIT_WRITES)) return [];
+
+  // After `--` only pathspecs follow; before it a tree-ish may lead
+  const end = git.args.indexOf('--');
+  const paths = end === -1 ? [] : git.args.slice(end + 1);
+  for (let i = 0; end === -1 && i < git.args.length; i++) {
+    if (GIT_VALUES.includes(git.args[i])) i++;
+    else if (!git.args[i].startsWith('-')) paths.push(git.args[i]);
+  }
+  const removes = GIT_WRITES[git.subcommand];
+  return paths.map((path) => ({ path: git.dir && !/^[/~]/.test(path) ? join(git.dir, path) : path, removes }));
+}
+
+// Starting points of a find that deletes or edits what it matches; the
+// matches can be anywhere below them
+function findTargets(args) {
+  const start = args.findIndex((arg) => /^[-(!]/.test(arg));
+  const roots = start === -1 ? args : args.slice(0, start);
+  const writes = args.some((arg, i) => arg === '-delete' || (FIND_EXEC.has(arg) && writesOperands(args[i + 1], args.slice(i + 2))));
+  return writes ? (roots.length > 0 ? roots : ['.']).map((path) => ({ path, removes: true })) : [];
+}
+
+// Whether the command a find action runs changes the file it is given
+function writesOperands(program = '', args) {
+  const name = program.slice(program.lastIndexOf('/') + 1);
+  return REMOVES_OPERANDS.has(name) || CHANGES_OPERANDS.has(name) || (IN_PLACE.has(name) && args.some(isInPlaceFlag));
+}
+
+// Arguments that are not options; everything after `--` is an operand
+function operandsOf(args) {
+  const end = args.indexOf('--');
+  const options = end === -1 ? args : args.slice(0, end);
+  return [...options.filter((arg) => arg && !arg.startsWith('-')), ...(end === -1 ? [] : args.slice(end + 1))];
+}
+
+// gawk's `-i inplace`, `-iinplace` and `--include=inplace`
+function isAwkInPlace(args) {
+  return args.some((arg, i) => arg === '-iinplace' || arg === '--include=inplace'
+    || ((arg === '-i' || arg === '--include') && args[i + 1] === 'inplace'));
+}
+
+// Quoted strings in code, which may be paths it opens
+function stringLiterals(code) {
+  return [...code.matchAll(/(['"`])((?:(?!\1)[^\\\n]|\\.)+)\1/g)].map((match) => match[2]);
+}
+
+// `-i`, `-i.bak`, `--in-place`, and clusters like perl's `-pi`
+function isInPlaceFlag(arg) {
+  return arg.startsWith('--in-place') || /^-[a-zA-Z]*i/.test(arg);
+}
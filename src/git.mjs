@@ -0,0 +1,208 @@
+import { readFileSync, statSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+
+// --- Git commands ---
+//
+// Reads what a git command does to history, the working tree, remotes and
+// hooks (force pushes, `reset --hard`, `clean -f`, `filter-branch`, remote
+// URL and `core.hooksPath` changes), and which branches a push updates.
+// Repository state (current branch, upstream) comes from the files under
+// `.git`; git itself is never run.
+
+// Global options that take a value: `git -C dir -c key=value push`
+const GLOBAL_VALUES = ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--exec-path', '--config-env'];
+
+const PUSH_VALUES = ['-o', '--push-option', '--repo', '--receive-pack', '--exec'];
+const FORCE_OPTIONS = /^(?:-f|--force|--force-with-lease(?:=.*)?|--force-if-includes)$/;
+
+const HOOKS_DIR = /(?:^|\/)\.git\/hooks\/[^/]+$/;
+const HOOK_WRITERS = new Set(['cp', 'mv', 'ln', 'install', 'tee', 'chmod', 'touch']);
+
+/**
+ * Splits a git command view into `{ subcommand, args, dir, config }`:
+ * `dir` is the last `-C` directory (null when not given) and `config` the
+ * `-c key=value` settings. Returns null for other programs.
+ */
+export function gitCommand(argv) {
+  const [program, ...rest] = argv;
+  if (program !== 'git') return null;
+
+  let dir = null;
+  const config = [];
+  let i = 0;
+  while (i < rest.length && rest[i].startsWith('-')) {
+    const [name, inline] = splitOption(rest[i]);
+    const value = inline ?? (GLOBAL_VALUES.includes(name) ? rest[++i] : undefined);
+    if (name === '-C' && value !== undefined) dir = dir && !value.startsWith('/') ? join(dir, value) : value;
+    else if (name === '-c' && value !== undefined) config.push(value);
+    i++;
+  }
+  return { subcommand: rest[i] ?? null, args: rest.slice(i + 1), dir, config };
+}
+
+/**
+ * Findings for a command view that need no repository state: `force_push`,
+ * `reset_hard`, `clean`, `history_rewrite`, `remote_change`, `hooks_path`
+ * and `hook_install`. `segment` supplies redirects, so `> .git/hooks/x`
+ * counts as installing a hook.
+ */
+export function gitFindings(argv, segment) {
+  const findings = [];
+  if (writesHook(argv, segment)) findings.push('hook_install');
+
+  const git = gitCommand(argv);
+  if (!git) return findings;
+  const { subcommand, args } = git;
+  const flags = args.filter((arg) => arg.startsWith('-'));
+
+  if (git.config.some((setting) => /^core\.hookspath=/i.test(setting))) findings.push('hooks_path');
+  if (subcommand === 'push' && pushTargets(args).some((target) => target.force)) findings.push('force_push');
+  if (subcommand === 'reset' && flags.includes('--hard')) findings.push('reset_hard');
+  if (subcommand === 'clean' && isForcedClean(flags)) findings.push('clean');
+  if (subcommand === 'filter-branch' || subcommand === 'filter-repo') findings.push('history_rewrite');
+  if (subcommand === 'remote' && ['add', 'set-url', 'rename'].includes(args.find((arg) => !arg.startsWith('-')))) findings.push('remote_change');
+  if (subcommand === 'config') {
+    const [key, value] = args.filter((arg) => !arg.startsWith('-'));
+    const sets = value !== undefined || flags.some((flag) => /^--(?:unset|replace-all|add)/.test(flag));
+    if (sets && /^core\.hookspath$/i.test(key || '')) findings.push('hooks_path');
+    if (sets && /^remote\..+\.(?:push)?url$/i.test(key || '')) findings.push('remote_change');
+  }
+  return findings;
+}
+
+/**
+ * Branches a `git push` updates: `[{ remote, branch, force, delete }]`.
+ * `args` follow the subcommand. Without refspecs the current branch is
+ * pushed to its upstream, read from `repo` (see readRepository); `branch`
+ * is null when that is unknown and `'*'` for `--all` and `--mirror`.
+ * `--repo <remote>` names the remote in place of the first operand. A dry
+ * run (`-n`) pushes nothing.
+ */
+export function pushTargets(args, repo = null) {
+  let force = false;
+  let deleting = false;
+  let all = false;
+  let repoOption;
+  const operands = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const [name, inline] = splitOption(args[i]);
+    if (!args[i].startsWith('-')) operands.push(args[i]);
+    else if (name === '-n' || name === '--dry-run') return [];
+    else if (FORCE_OPTIONS.test(args[i])) force = true;
+    else if (name === '-d' || name === '--delete') deleting = true;
+    else if (name === '--all' || name === '--branches') all = true;
+    else if (name === '--mirror') all = force = true;
+    else if (name === '--repo') repoOption = inline ?? args[++i];
+    else if (PUSH_VALUES.includes(name) && inline === undefined) i++;
+  }
+
+  // With `--repo` every operand is a refspec
+  const [remote = repo?.upstream?.remote ?? 'origin', ...refspecs] = repoOption === undefined ? operands : [repoOption, ...operands];
+  if (all) return [{ remote, branch: '*', force, delete: false }];
+  if (refspecs.length === 0) {
+    const branch = repo?.upstream?.remote === remote ? repo.upstream.branch : repo?.branch ?? null;
+    return [{ remote, branch, force, delete: deleting }];
+  }
+
+  return refspecs.map((refspec) => {
+    const plus = refspec.startsWith('+');
+    const spec = plus ? refspec.slice(1) : refspec;
+    const colon = spec.indexOf(':');
+    const destination = colon === -1 ? spec : spec.slice(colon + 1);
+    return {
+      remote,
+      branch: branchName(destination || spec.slice(0, colon), repo),
+      force: force || plus,
+      delete: deleting || (colon === 0),
+    };
+  }).filter((target) => target.branch !== undefined);
+}
+
+/**
+ * Reads the repository that contains `dir`: `{ gitDir, branch, upstream }`,
+ * where `branch` is null on a detached HEAD and `upstream` is
+ * `{ remote, branch }` from `branch.<name>.remote/merge`, or null. Returns
+ * null outside a repository. Linked worktrees (`.git` files) are followed.
+ */
+export function readRepository(dir) {
+  const gitDir = findGitDir(resolve(dir));
+  if (!gitDir) return null;
+
+  const head = readText(join(gitDir, 'HEAD'))?.trim() ?? '';
+  const branch = head.startsWith('ref: refs/heads/') ? head.slice('ref: refs/heads/'.length) : null;
+  const commonDir = resolve(gitDir, readText(join(gitDir, 'commondir'))?.trim() || '.');
+  const sections = parseConfig(readText(join(commonDir, 'config')) ?? '');
+  const tracking = branch ? sections[`branch "${branch}"`] : null;
+  const upstream = tracking?.remote && tracking?.merge
+    ? { remote: tracking.remote, branch: tracking.merge.replace(/^refs\/heads\//, '') }
+    : null;
+  return { gitDir, branch, upstream };
+}
+
+function splitOption(arg) {
+  const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+  return eq === -1 ? [arg, undefined] : [arg.slice(0, eq), arg.slice(eq + 1)];
+}
+
+// `-f`, `-fdx`, `--force`, but not with `-n`/`--dry-run`
+function isForcedClean(flags) {
+  const short = flags.filter((flag) => /^-[a-zA-Z]+$/.test(flag)).join('');
+  if (short.includes('n') || flags.includes('--dry-run')) return false;
+  return short.includes('f') || flags.includes('--force');
+}
+
+// A refspec destination as a branch name; tags give undefined (not a branch)
+function branchName(ref, repo) {
+  if (ref === 'HEAD' || ref === '@') return repo?.branch ?? null;
+  if (ref.startsWith('refs/tags/')) return undefined;
+  return ref.replace(/^refs\/heads\//, '');
+}
+
+function writesHook(argv, segment) {
+  const redirected = segment?.redirects.some((r) => (r.op === '>' || r.op === '>>' || r.op === '>|') && HOOKS_DIR.test(r.target));
+  return redirected || (HOOK_WRITERS.has(argv[0]) && argv.slice(1).some((arg) => HOOKS_DIR.test(arg)));
+}
+
+function findGitDir(dir) {
+  for (let current = dir; ; current = dirname(current)) {
+    const candidate = join(current, '.git');
+    try {
+      const stat = statSync(candidate);
+      if (stat.isDirectory()) return candidate;
+      // Linked worktrees and submodules: `gitdir: <path>`
+      const match = readText(candidate)?.match(/^gitdir:\s*(.+)$/m);
+      if (match) return resolve(current, match[1].trim());
+    } catch {
+      // not here; keep walking up
+    }
+    if (dirname(current) === current) return null;
+  }
+}
+
+function readText(path) {
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+// Minimal git config reader: `[section "sub"]` headers and `key = value`
+// lines, keys lower-cased as git treats them
+function parseConfig(text) {
+  const sections = {};
+  let current = null;
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/(^|\s)[#;].*$/, '').trim();
+    const header = line.match(/^\[\s*([A-Za-z0-9.-]+)(?:\s+"((?:[^"\\]|\\.)*)")?\s*\]$/);
+    if (header) {
+      current = header[2] === undefined ? header[1].toLowerCase() : `${header[1].toLowerCase()} "${header[2]}"`;
+      sections[current] ||= {};
+    } else if (current && line.includes('=')) {
+      const eq = line.indexOf('=');
+      sections[current][line.slice(0, eq).trim().toLowerCase()] = line.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+    }
+  }
+  return sections;
+}
@@ -3,9 +3,11 @@ export {
   clawshell_bash,
   clawshell_status,
   clawshell_logs,
+  clawshell_explain,
   clawshell_config,
   clawshell_approve,
   clawshell_reject,
+  registerExecutor,
   PendingApprovals,
 } from './clawshell.mjs';
 
@@ -15,15 +17,70 @@ export {
   getAnalyzer,
 } from './risk-analyzer.mjs';
 
+export {
+  parseShell,
+  extractCommands,
+} from './shell-parser.mjs';
+
 export {
   PushoverNotifier,
   TelegramNotifier,
   MockNotifier,
+  CompositeNotifier,
   getNotifier,
   getMockNotifier,
 } from './notifier.mjs';
 
+export {
+  ApprovalServer,
+} from './approval-server.mjs';
+
+export {
+  ControlServer,
+  controlRequest,
+  followLogs,
+} from './control.mjs';
+
+export {
+  MemoryApprovalStore,
+  FileApprovalStore,
+} from './approval-store.mjs';
+
+export {
+  Config,
+  ConfigError,
+  loadConfig,
+  validateConfig,
+} from './config.mjs';
+
+export {
+  SyslogSink,
+  HttpSink,
+  FileSink,
+  createSinks,
+  formatCef,
+  formatLeef,
+  formatSyslog,
+} from './log-sinks.mjs';
+
+export {
+  runCommand,
+  streamCommand,
+} from './executor.mjs';
+
+export {
+  DirectExecutor,
+  RestrictedExecutor,
+  NamespaceExecutor,
+  createExecutors,
+} from './sandbox.mjs';
+
+export {
+  EnvPolicy,
+} from './env-policy.mjs';
+
 export {
   Logger,
   getLogger,
+  verifyLog,
 } from './logger.mjs';
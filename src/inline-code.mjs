@@ -0,0 +1,310 @@
+import { literalOutput } from './shell-parser.mjs';
+
+// --- Inline interpreter code ---
+//
+// Finds code handed to an interpreter on the command line (`python3 -c`,
+// `node -e`, `perl -e`, `ruby -e`), in a heredoc or here-string, or piped
+// from a literal echo/printf, and checks it for process spawning, dynamic
+// evaluation, file deletion, network access and credential paths. RiskAnalyzer turns the
+// findings into reasons and analyzes spawned command strings as shell.
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash']);
+const LOCALHOST_PATTERN = /(?:localhost|127\.0\.0\.1|0\.0\.0\.0|::1)(?::\d+)?/;
+const REMOTE_URL = /\b(?:https?|ftp|wss?):\/\/(?!(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1\])[:/]|(?:localhost|127\.0\.0\.1|0\.0\.0\.0)$)/;
+const CREDENTIAL_PATHS = /(?:^|[~/'"`])\.(?:ssh|aws|gnupg|kube|docker|netrc|git-credentials|pgpass)\b|\.openclaw\/credentials|\.config\/gh\/hosts|\/etc\/(?:shadow|gshadow|sudoers)\b|\bid_(?:rsa|dsa|ecdsa|ed25519)\b/;
+
+/**
+ * Per language: how the interpreter takes inline code (`code` matches the
+ * option whose value is code, `valueOptions` consume a value that is not,
+ * `attached` options carry theirs in the same word, `repeat` when several
+ * code options concatenate) and the checks to run. `spawn` patterns end
+ * where the command argument starts; `spawnModule` means spawning is
+ * possible even if no call was recognized; `interpolation` marks string
+ * literals whose value is only known at run time; `evaluation` finds code
+ * run from a string (eval and its relatives), which hides what it does.
+ */
+const LANGUAGES = {
+  python: {
+    programs: /^python[\d.]*$/,
+    code: /^-[A-Za-z]*c$/,
+    valueOptions: ['-W', '-X', '-Q'],
+    attached: /^-[WXQ]./,
+    stopOptions: ['-m'],
+    spawn: [
+      /(?:\b(?:os|posix)|__import__\(\s*['"]os['"]\s*\))\.(?:system|popen|exec[lv]p?e?|spawn[lv]p?e?)\s*\(/g,
+      /\bsubprocess\.(?:run|call|check_call|check_output|Popen|getoutput|getstatusoutput)\s*\(/g,
+      /\bpty\.spawn\s*\(/g,
+    ],
+    spawnModule: /\bimport\s+(?:subprocess|pty)\b|\bfrom\s+(?:subprocess|pty)\s+import\b|\bfrom\s+os\s+import\s+[^\n;]*\b(?:system|popen|exec\w*|spawn\w*)\b/,
+    evaluation: /(?<![\w.])(?:exec|eval|compile)\s*\(|\bbuiltins\.(?:exec|eval|compile)\b/,
+    fileDelete: /\bos\.(?:remove|unlink|rmdir|removedirs)\s*\(|\bshutil\.rmtree\s*\(|\.(?:unlink|rmdir)\s*\(/,
+    network: /\b(?:import|from)\s+(?:socket|urllib\d?|requests|httpx|aiohttp|http\.client|ftplib|smtplib|telnetlib|paramiko)\b|\b(?:socket|urllib\.request|requests|httpx)\.\w+\s*\(/,
+  },
+  javascript: {
+    programs: /^(?:node|nodejs)$/,
+    code: /^(?:-e|--eval|-p|--print)$/,
+    codeAssignment: /^--(?:eval|print)=/,
+    valueOptions: ['-r', '--require', '--import', '--loader', '--experimental-loader', '--input-type', '--conditions', '-C', '--env-file'],
+    stopOptions: [],
+    spawn: [/\b(?:exec|execSync|execFile|execFileSync|spawn|spawnSync|fork)\s*\(/g],
+    spawnModule: /\bchild_process\b/,
+    requiresModule: true,
+    evaluation: /(?<![\w.])eval\s*\(|\b(?:globalThis|global)\.eval\b|\bFunction\s*\(|\b(?:require|import)\s*\(\s*['"](?:node:)?vm['"]|\bfrom\s+['"](?:node:)?vm['"]/,
+    fileDelete: /\.(?:unlink|rm|rmdir)(?:Sync)?\s*\(|\brimraf\b/,
+    network: /\b(?:require|import)\s*\(\s*['"](?:node:)?(?:net|http|https|http2|dgram|tls)['"]|\bfrom\s+['"](?:node:)?(?:net|http|https|http2|dgram|tls)['"]|\bfetch\s*\(|\bWebSocket\b|\bXMLHttpRequest\b/,
+  },
+  perl: {
+    programs: /^perl[\d.]*$/,
+    code: /^-[A-Za-z]*[eE]$/,
+    valueOptions: ['-I'],
+    attached: /^-[MmIx]./,
+    stopOptions: [],
+    repeat: true,
+    interpolation: /[$@]\w|\$\{/,
+    spawn: [/\b(?:system|exec)\b\s*/g],
+    backticks: true,
+    quotedCommand: /\bqx\s*([({[<|\/!])/g,
+    // String eval; `eval { ... }` only catches exceptions
+    evaluation: /\beval\b(?!\s*\{)/,
+    fileDelete: /\b(?:unlink|rmdir|rmtree|remove_tree)\b/,
+    network: /\b(?:IO::Socket\w*|LWP\w*|HTTP::Tiny|Net::\w+)\b|\bsocket\s*\(/,
+  },
+  ruby: {
+    programs: /^ruby[\d.]*$/,
+    code: /^-[A-Za-z]*e$/,
+    valueOptions: ['-r', '-I', '-C', '-E'],
+    attached: /^-[rICE]./,
+    stopOptions: [],
+    repeat: true,
+    interpolation: /#\{/,
+    spawn: [/\b(?:system|exec|spawn)\b\s*/g, /\bIO\.popen\s*/g, /\bOpen3\.\w+\s*/g],
+    backticks: true,
+    quotedCommand: /%x\s*([({[<|\/!])/g,
+    evaluation: /\b(?:eval|instance_eval|class_eval|module_eval)\b/,
+    fileDelete: /\bFileUtils\.(?:rm\w*|remove\w*)|\bFile\.(?:delete|unlink)\b|\bDir\.(?:rmdir|delete|unlink)\b/,
+    network: /\b(?:TCPSocket|UDPSocket|TCPServer|UNIXSocket|Socket|Net::\w+|URI\.open|HTTParty|Faraday)\b|\brequire\s*\(?\s*['"](?:socket|net\/\w+|open-uri)['"]/,
+  },
+};
+
+const CLOSING = { '(': ')', '{': '}', '[': ']', '<': '>' };
+
+/**
+ * Returns `{ language, code }` when `argv` runs an interpreter on inline
+ * code, else null. Scripts read from a file are not inline. Shells count
+ * only when reading a heredoc or here-string (`-c` is nested analysis).
+ */
+export function inlineCode(argv, segment) {
+  const [program, ...args] = argv;
+  if (!program) return null;
+
+  if (SHELLS.has(program)) {
+    if (args.some((arg) => !arg.startsWith('-') || /^-[a-z]*c[a-z]*$/.test(arg))) return null;
+    const code = stdinCode(segment, false);
+    return code === null ? null : { language: 'shell', code };
+  }
+
+  const language = interpreterLanguage(program);
+  if (!language) return null;
+  const parsed = interpreterArgs(LANGUAGES[language], args);
+  if (parsed.code.length > 0) return { language, code: parsed.code.join('\n') };
+  if (parsed.script !== null || parsed.stopped) return null;
+  const stdin = stdinCode(segment, true);
+  return stdin === null ? null : { language, code: stdin };
+}
+
+/**
+ * Returns `{ language, path }` when `argv` runs a script file with a shell
+ * or interpreter (`bash deploy.sh`, `source env.sh`, `python3 tool.py`),
+ * else null. `path` is as written.
+ */
+export function interpreterScript(argv) {
+  const [program, ...args] = argv;
+  if (!program) return null;
+
+  if (program === 'source' || program === '.') {
+    return args[0] ? { language: 'shell', path: args[0] } : null;
+  }
+  if (SHELLS.has(program)) {
+    for (let i = 0; i < args.length; i++) {
+      if (/^-[a-z]*c[a-z]*$/.test(args[i]) || args[i] === '-s') return null;
+      if (/^[-+]o$/.test(args[i])) i++;
+      else if (args[i] === '--') return args[i + 1] ? { language: 'shell', path: args[i + 1] } : null;
+      else if (!/^[-+]/.test(args[i])) return { language: 'shell', path: args[i] };
+    }
+    return null;
+  }
+
+  const language = interpreterLanguage(program);
+  if (!language) return null;
+  const { script } = interpreterArgs(LANGUAGES[language], args);
+  return script === null ? null : { language, path: script };
+}
+
+/** The language of an interpreter name (`python3.12`, `bash`), or null. */
+export function interpreterLanguage(program) {
+  if (SHELLS.has(program)) return 'shell';
+  const entry = Object.entries(LANGUAGES).find(([, spec]) => spec.programs.test(program));
+  return entry ? entry[0] : null;
+}
+
+// Splits interpreter arguments into inline `code`, the `script` operand and
+// whether an option such as `python -m` `stopped` both from being used
+function interpreterArgs(spec, args) {
+  const code = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (spec.attached?.test(arg)) {
+      continue;
+    } else if (spec.codeAssignment?.test(arg)) {
+      code.push(arg.slice(arg.indexOf('=') + 1));
+    } else if (spec.code.test(arg) && args[i + 1] !== undefined) {
+      code.push(args[++i]);
+    } else if (spec.valueOptions.includes(arg)) {
+      i++;
+    } else if (spec.stopOptions.includes(arg)) {
+      return { code, script: null, stopped: true };
+    } else if (arg === '--') {
+      return { code, script: code.length === 0 && args[i + 1] ? args[i + 1] : null, stopped: false };
+    } else if (arg === '-') {
+      break;
+    } else if (!arg.startsWith('-')) {
+      // A script file, or the arguments that follow inline code
+      return { code, script: code.length === 0 ? arg : null, stopped: false };
+    }
+    if (code.length > 0 && !spec.repeat) break;
+  }
+  return { code, script: null, stopped: false };
+}
+
+/**
+ * Checks inline code. Returns `{ findings, commands }`: findings are
+ * `process_spawn` (every spawned command was recovered into `commands`),
+ * `dynamic_process_spawn` (at least one was not), `dynamic_eval`, `file_delete`,
+ * `network_access` (skipped when only localhost is addressed) and
+ * `credential_access`.
+ */
+export function inspectCode(language, code) {
+  if (language === 'shell') return { findings: [], commands: [code] };
+  const spec = LANGUAGES[language];
+  const findings = [];
+  const commands = [];
+
+  const spawns = spec.requiresModule && !spec.spawnModule.test(code) ? [] : spawnCalls(spec, code);
+  if (spawns.length > 0 || spec.spawnModule?.test(code)) {
+    const unresolved = spawns.length === 0 || spawns.some((command) => command === null);
+    findings.push(unresolved ? 'dynamic_process_spawn' : 'process_spawn');
+    commands.push(...spawns.filter((command) => command !== null));
+  }
+  if (spec.evaluation.test(code)) findings.push('dynamic_eval');
+  if (spec.fileDelete.test(code)) findings.push('file_delete');
+  if (spec.network.test(code) && (REMOTE_URL.test(code) || !LOCALHOST_PATTERN.test(code))) {
+    findings.push('network_access');
+  }
+  if (CREDENTIAL_PATHS.test(code)) findings.push('credential_access');
+
+  return { findings, commands: [...new Set(commands)] };
+}
+
+// Heredoc and here-string bodies, and literal echo/printf piped in
+function stdinCode(segment, fromPipe) {
+  if (!segment) return null;
+  const heredoc = segment.redirects.find((r) => r.op === '<<' || r.op === '<<-');
+  if (heredoc && typeof heredoc.body === 'string') return heredoc.body;
+  const hereString = segment.redirects.find((r) => r.op === '<<<');
+  if (hereString) return hereString.target;
+  if (fromPipe && segment.pipeline.index > 0) {
+    return literalOutput(segment.pipeline.stages[segment.pipeline.index - 1] || []);
+  }
+  return null;
+}
+
+// Command strings passed to spawn calls; null for each call whose command
+// is not a string literal (a variable, a concatenation, ...)
+function spawnCalls(spec, code) {
+  const commands = [];
+  for (const pattern of spec.spawn) {
+    for (const match of code.matchAll(pattern)) {
+      commands.push(commandArgument(code, match.index + match[0].length, spec));
+    }
+  }
+  const interpolates = (text) => spec.interpolation?.test(text) ?? false;
+  if (spec.backticks) {
+    for (const match of code.matchAll(/`([^`]*)`/g)) commands.push(interpolates(match[1]) ? null : match[1]);
+  }
+  for (const match of spec.quotedCommand ? code.matchAll(spec.quotedCommand) : []) {
+    const open = match[1];
+    const start = match.index + match[0].length;
+    const end = code.indexOf(CLOSING[open] || open, start);
+    const body = end === -1 ? null : code.slice(start, end);
+    commands.push(body === null || interpolates(body) ? null : body);
+  }
+  return commands;
+}
+
+/**
+ * Reads the literal arguments of a call starting at `index`: one string
+ * (a shell command line) or several strings and `[...]` lists (an argv),
+ * up to keyword arguments or an options object. Returns the command text,
+ * or null when any argument before that is not a literal.
+ */
+function commandArgument(code, index, spec) {
+  const argv = [];
+  let i = index;
+  if (code[i] === '(') i++;
+
+  while (i < code.length) {
+    while (/\s/.test(code[i] || '')) i++;
+    if (code[i] === '[') {
+      i++;
+      while (true) {
+        while (/[\s,]/.test(code[i] || '')) i++;
+        if (code[i] === ']') break;
+        const literal = stringLiteral(code, i, spec);
+        if (!literal) return null;
+        argv.push(literal.value);
+        i = literal.end;
+      }
+      i++;
+    } else {
+      const literal = stringLiteral(code, i, spec);
+      if (!literal) return null;
+      argv.push(literal.value);
+      i = literal.end;
+    }
+    while (/\s/.test(code[i] || '')) i++;
+    if (code[i] !== ',') break;
+    i++;
+    while (/\s/.test(code[i] || '')) i++;
+    // shell=True, { stdio: 'inherit' }, trailing comma
+    if (/^(?:\w+\s*=(?!=)|[{)])/.test(code.slice(i))) break;
+  }
+
+  return argv.length === 1 ? argv[0] : joinArgv(argv);
+}
+
+// A single- or double-quoted literal (Python r/b/u prefixes allowed) whose
+// value is fixed; returns `{ value, end }` or null
+function stringLiteral(code, index, spec) {
+  const prefix = code.slice(index).match(/^[rRbBuU]{0,2}(['"])/);
+  if (!prefix) return null;
+  const quote = prefix[1];
+  let value = '';
+  for (let i = index + prefix[0].length; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === quote) {
+      if (quote === '"' && spec.interpolation?.test(value)) return null;
+      return { value, end: i + 1 };
+    }
+    if (ch === '\\' && i + 1 < code.length) {
+      const next = code[++i];
+      value += { n: '\n', t: '\t' }[next] ?? next;
+    } else {
+      value += ch;
+    }
+  }
+  return null;
+}
+
+function joinArgv(argv) {
+  return argv.map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`)).join(' ');
+}
@@ -0,0 +1,478 @@
+import { appendFileSync, readFileSync, mkdirSync, existsSync, unlinkSync, statSync } from 'node:fs';
+import { createSocket } from 'node:dgram';
+import { createConnection } from 'node:net';
+import { hostname } from 'node:os';
+import { dirname } from 'node:path';
+import axios from 'axios';
+
+// --- Log sinks ---
+//
+// Sinks forward audit records to other systems after the Logger has written
+// them to clawshell.jsonl. A sink implements:
+//
+//   write(record)  -> queue the record for delivery; never throws or blocks
+//   flush()        -> Promise that settles once queued records were delivered
+//                     (or, for HttpSink, buffered on disk)
+//   close()        -> flush, then release sockets and timers
+//
+// Delivery failures are reported through `opts.onError(err)` and never
+// affect the local log.
+
+const { version: VERSION } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+const CEF_SEVERITY = { debug: 1, low: 2, info: 3, medium: 4, warn: 6, high: 7, error: 8, critical: 10 };
+const SYSLOG_SEVERITY = { critical: 2, error: 3, high: 4, warn: 4, medium: 5, low: 6, info: 6, debug: 7 };
+const FACILITIES = {
+  user: 1, auth: 4, authpriv: 10, audit: 13,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23,
+};
+
+// Private enterprise number reserved for documentation (RFC 5612)
+const SD_ID = 'clawshell@32473';
+
+export const SINK_TYPES = ['syslog', 'http', 'file'];
+export const SINK_FORMATS = ['json', 'cef', 'leef'];
+export const SYSLOG_TRANSPORTS = ['udp', 'tcp', 'unix'];
+export const SYSLOG_FACILITIES = Object.keys(FACILITIES);
+
+// --- Formats ---
+
+/**
+ * ArcSight Common Event Format: `CEF:0|vendor|product|version|id|name|severity|ext`.
+ * The command goes in `msg`; request id, risk reasons, working directory and
+ * sequence number use labelled custom fields.
+ */
+export function formatCef(record) {
+  const extension = [
+    ['rt', Date.parse(record.timestamp) || null],
+    ['act', record.decision],
+    ['suser', record.decided_by],
+    ['msg', record.command ?? record.message],
+    ...custom('cs1', 'requestId', record.request_id),
+    ...custom('cs2', 'riskReasons', record.risk_reasons?.join(',')),
+    ...custom('cs3', 'workingDir', record.working_dir),
+    ...custom('cn1', 'seq', record.seq),
+  ]
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${escapeCefValue(value)}`)
+    .join(' ');
+
+  const header = ['CEF:0', 'ClawShell', 'ClawShell', VERSION, eventId(record), eventName(record), CEF_SEVERITY[severityKey(record)] ?? 3];
+  return `${header.map((field, i) => (i === 0 ? field : escapeHeader(field))).join('|')}|${extension}`;
+}
+
+/**
+ * IBM QRadar Log Event Extended Format 1.0: tab-separated attributes after
+ * a `LEEF:1.0|vendor|product|version|id|` header.
+ */
+export function formatLeef(record) {
+  const attributes = [
+    ['devTime', record.timestamp],
+    ['devTimeFormat', "yyyy-MM-dd'T'HH:mm:ss.SSSX"],
+    ['sev', CEF_SEVERITY[severityKey(record)] ?? 3],
+    ['cat', record.risk_level || record.level],
+    ['usrName', record.decided_by],
+    ['action', record.decision],
+    ['command', record.command ?? record.message],
+    ['requestId', record.request_id],
+    ['riskReasons', record.risk_reasons?.join(',')],
+    ['workingDir', record.working_dir],
+    ['seq', record.seq],
+  ]
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${escapeLeefValue(value)}`)
+    .join('\t');
+
+  const header = ['LEEF:1.0', 'ClawShell', 'ClawShell', VERSION, eventId(record)];
+  return `${header.map((field, i) => (i === 0 ? field : escapeHeader(field))).join('|')}|${attributes}`;
+}
+
+const FORMATTERS = { json: (record) => JSON.stringify(record), cef: formatCef, leef: formatLeef };
+
+/**
+ * RFC 5424 syslog message carrying the record in `opts.format` (json, cef or
+ * leef). Severity follows the risk level (critical -> crit, high ->
+ * warning) or, for operational entries, the log level.
+ */
+export function formatSyslog(record, opts = {}) {
+  const facility = FACILITIES[opts.facility || 'local0'];
+  const severity = SYSLOG_SEVERITY[severityKey(record)] ?? 6;
+  const params = [
+    ['requestId', record.request_id],
+    ['seq', record.seq],
+  ].filter(([, value]) => value !== undefined && value !== null);
+  const structured = params.length
+    ? `[${SD_ID} ${params.map(([key, value]) => `${key}="${String(value).replace(/["\\\]]/g, '\\$&')}"`).join(' ')}]`
+    : '-';
+
+  return [
+    `<${facility * 8 + severity}>1`,
+    record.timestamp || new Date().toISOString(),
+    syslogToken(opts.hostname || hostname(), 255),
+    syslogToken(opts.appName || 'clawshell', 48),
+    process.pid,
+    syslogToken(eventId(record), 32),
+    structured,
+    FORMATTERS[opts.format || 'json'](record),
+  ].join(' ');
+}
+
+// --- Sinks ---
+
+/**
+ * Sends each record as an RFC 5424 message over UDP, TCP or a Unix stream
+ * socket. TCP and Unix messages use octet-counting framing (RFC 6587); the
+ * connection is opened on first use and reopened after errors.
+ */
+export class SyslogSink {
+  #transport;
+  #host;
+  #port;
+  #path;
+  #messageOpts;
+  #onError;
+  #socket = null;
+  #inflight = new Set();
+
+  constructor(opts = {}) {
+    this.#transport = opts.transport || 'udp';
+    if (!SYSLOG_TRANSPORTS.includes(this.#transport)) {
+      throw new Error(`Unknown syslog transport "${this.#transport}" (expected ${SYSLOG_TRANSPORTS.join(', ')}).`);
+    }
+    if (this.#transport === 'unix' && !opts.path) throw new Error('Syslog over a Unix socket requires a path.');
+
+    this.#host = opts.host || '127.0.0.1';
+    this.#port = opts.port || 514;
+    this.#path = opts.path;
+    this.#messageOpts = { format: opts.format, facility: opts.facility, appName: opts.appName, hostname: opts.hostname };
+    this.#onError = opts.onError || (() => {});
+  }
+
+  get type() { return 'syslog'; }
+
+  write(record) {
+    let message;
+    try {
+      message = formatSyslog(record, this.#messageOpts);
+    } catch (err) {
+      return this.#onError(err);
+    }
+
+    if (this.#transport === 'udp') {
+      const sent = new Promise((resolve) => {
+        this.#datagramSocket().send(message, this.#port, this.#host, (err) => {
+          if (err) this.#onError(err);
+          resolve();
+        });
+      });
+      this.#inflight.add(sent);
+      sent.then(() => this.#inflight.delete(sent));
+      return;
+    }
+
+    this.#streamSocket().write(`${Buffer.byteLength(message)} ${message}`);
+  }
+
+  async flush() {
+    await Promise.all(this.#inflight);
+    const socket = this.#socket;
+    if (socket && this.#transport !== 'udp' && !socket.destroyed) {
+      await new Promise((resolve) => socket.write('', resolve));
+    }
+  }
+
+  async close() {
+    await this.flush();
+    const socket = this.#socket;
+    this.#socket = null;
+    if (!socket) return;
+    if (this.#transport === 'udp') socket.close();
+    else await new Promise((resolve) => socket.end(resolve));
+  }
+
+  #datagramSocket() {
+    if (!this.#socket) {
+      this.#socket = createSocket(this.#host.includes(':') ? 'udp6' : 'udp4');
+      this.#socket.on('error', (err) => this.#onError(err));
+      this.#socket.unref(); // Don't keep process alive
+    }
+    return this.#socket;
+  }
+
+  #streamSocket() {
+    if (!this.#socket) {
+      const socket = this.#transport === 'unix'
+        ? createConnection(this.#path)
+        : createConnection(this.#port, this.#host);
+      socket.on('error', (err) => this.#onError(err));
+      // Reconnect on the next write
+      socket.on('close', () => {
+        if (this.#socket === socket) this.#socket = null;
+      });
+      socket.unref(); // Don't keep process alive
+      this.#socket = socket;
+    }
+    return this.#socket;
+  }
+}
+
+/**
+ * Posts records in batches: a JSON array for the `json` format, otherwise
+ * newline-separated CEF or LEEF lines. A batch is sent when `batchSize`
+ * records are queued or `flushIntervalMs` after the first one. Failed sends
+ * are retried with exponential backoff; batches that still fail, and records
+ * queued when the process exits, are appended to `bufferPath` and sent first
+ * on the next flush, also after a restart.
+ */
+export class HttpSink {
+  #url;
+  #headers;
+  #format;
+  #batchSize;
+  #flushIntervalMs;
+  #maxRetries;
+  #retryDelayMs;
+  #timeoutMs;
+  #bufferPath;
+  #maxBufferBytes;
+  #onError;
+  #queue = [];
+  #timer = null;
+  #sending = null;
+  #onExit = () => this.#spill(this.#queue.splice(0));
+
+  constructor(opts = {}) {
+    if (!opts.url) throw new Error('HTTP log sink requires a url.');
+
+    this.#url = opts.url;
+    this.#headers = opts.headers || {};
+    this.#format = opts.format || 'json';
+    this.#batchSize = opts.batchSize || 100;
+    this.#flushIntervalMs = opts.flushIntervalMs ?? 5000;
+    this.#maxRetries = opts.maxRetries ?? 3;
+    this.#retryDelayMs = opts.retryDelayMs ?? 1000;
+    this.#timeoutMs = opts.timeoutMs || 10_000;
+    this.#bufferPath = opts.bufferPath || null;
+    this.#maxBufferBytes = opts.maxBufferBytes || 10 * 1024 * 1024;
+    this.#onError = opts.onError || (() => {});
+
+    process.on('exit', this.#onExit);
+    // Pick up records a previous run could not deliver
+    if (this.#bufferPath && existsSync(this.#bufferPath)) this.#schedule();
+  }
+
+  get type() { return 'http'; }
+
+  write(record) {
+    this.#queue.push(record);
+    if (this.#queue.length >= this.#batchSize) this.flush();
+    else this.#schedule();
+  }
+
+  flush() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    if (!this.#sending) {
+      this.#sending = this.#drain().finally(() => {
+        this.#sending = null;
+      });
+    }
+    return this.#sending;
+  }
+
+  async close() {
+    await this.flush();
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    process.off('exit', this.#onExit);
+  }
+
+  #schedule() {
+    if (this.#timer) return;
+    this.#timer = setTimeout(() => this.flush(), this.#flushIntervalMs);
+    this.#timer.unref(); // Don't keep process alive
+  }
+
+  async #drain() {
+    this.#queue.unshift(...this.#takeBuffer());
+
+    while (this.#queue.length > 0) {
+      const batch = this.#queue.splice(0, this.#batchSize);
+      if (await this.#send(batch)) continue;
+
+      // Keep order: the failed batch goes to disk ahead of everything still queued
+      this.#spill([...batch, ...this.#queue.splice(0)]);
+      if (this.#bufferPath) this.#schedule();
+      return;
+    }
+  }
+
+  async #send(batch) {
+    const text = this.#format === 'json';
+    const body = text ? batch : batch.map(FORMATTERS[this.#format]).join('\n') + '\n';
+    const headers = { 'Content-Type': text ? 'application/json' : 'text/plain', ...this.#headers };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await axios.post(this.#url, body, { headers, timeout: this.#timeoutMs });
+        return true;
+      } catch (err) {
+        if (attempt >= this.#maxRetries) {
+          this.#onError(new Error(`HTTP log sink failed after ${attempt + 1} attempts: ${err.message}`));
+          return false;
+        }
+        await sleep(this.#retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+
+  #takeBuffer() {
+    if (!this.#bufferPath || !existsSync(this.#bufferPath)) return [];
+    try {
+      const lines = readFileSync(this.#bufferPath, 'utf-8').split('\n').filter(Boolean);
+      unlinkSync(this.#bufferPath);
+      return lines.flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    } catch (err) {
+      this.#onError(err);
+      return [];
+    }
+  }
+
+  // Synchronous so it also works from the process 'exit' handler
+  #spill(records) {
+    if (records.length === 0) return;
+    if (!this.#bufferPath) {
+      this.#onError(new Error(`HTTP log sink dropped ${records.length} records (no buffer_path configured)`));
+      return;
+    }
+
+    try {
+      const size = existsSync(this.#bufferPath) ? statSync(this.#bufferPath).size : 0;
+      const data = records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+      if (size + Buffer.byteLength(data) > this.#maxBufferBytes) {
+        this.#onError(new Error(`HTTP log sink buffer is full; dropped ${records.length} records`));
+        return;
+      }
+      mkdirSync(dirname(this.#bufferPath), { recursive: true });
+      appendFileSync(this.#bufferPath, data, { mode: 0o600 });
+    } catch (err) {
+      this.#onError(err);
+    }
+  }
+}
+
+/**
+ * Appends each record as one line in the chosen format, for collectors
+ * that tail files.
+ */
+export class FileSink {
+  #path;
+  #format;
+  #onError;
+
+  constructor(opts = {}) {
+    if (!opts.path) throw new Error('File log sink requires a path.');
+    this.#path = opts.path;
+    this.#format = opts.format || 'json';
+    this.#onError = opts.onError || (() => {});
+    mkdirSync(dirname(this.#path), { recursive: true });
+  }
+
+  get type() { return 'file'; }
+
+  write(record) {
+    try {
+      appendFileSync(this.#path, FORMATTERS[this.#format](record) + '\n', 'utf-8');
+    } catch (err) {
+      this.#onError(err);
+    }
+  }
+
+  flush() {
+    return Promise.resolve();
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+const SINKS = { syslog: SyslogSink, http: HttpSink, file: FileSink };
+
+/**
+ * Builds sinks from the `logging.sinks` list in config.yaml. Options are
+ * snake_case in the file; options ending in `_env` name the environment
+ * variable that holds the value, and `headers_env` maps header names to
+ * environment variables, so tokens stay out of the file.
+ */
+export function createSinks(specs = [], opts = {}) {
+  return specs.map((spec) => {
+    const Sink = SINKS[spec?.type];
+    if (!Sink) throw new Error(`Log sink has unknown type "${spec?.type}".`);
+    return new Sink({ ...sinkOptions(spec), onError: opts.onError });
+  });
+}
+
+// --- Helpers ---
+
+function sinkOptions(spec) {
+  const opts = {};
+  for (const [key, value] of Object.entries(spec)) {
+    if (key === 'type' || key === 'headers' || key === 'headers_env') continue;
+    const camel = key.replace(/_env$/, '').replace(/_([a-z])/g, (_, ch) => ch.toUpperCase());
+    opts[camel] = key.endsWith('_env') ? process.env[value] : value;
+  }
+
+  if (spec.headers || spec.headers_env) {
+    opts.headers = { ...spec.headers };
+    for (const [name, variable] of Object.entries(spec.headers_env || {})) {
+      if (process.env[variable] !== undefined) opts.headers[name] = process.env[variable];
+    }
+  }
+  return opts;
+}
+
+function severityKey(record) {
+  return record.risk_level || record.level || 'info';
+}
+
+function eventId(record) {
+  return record.decision || record.event || record.level || 'log';
+}
+
+function eventName(record) {
+  if (record.decision) return `Command ${record.decision}`;
+  return record.message || record.event || 'ClawShell event';
+}
+
+function custom(key, label, value) {
+  return value === undefined || value === null || value === '' ? [] : [[`${key}Label`, label], [key, value]];
+}
+
+function escapeHeader(value) {
+  return String(value).replace(/[\\|]/g, '\\$&').replace(/[\r\n]+/g, ' ');
+}
+
+function escapeCefValue(value) {
+  return String(value).replace(/[\\=]/g, '\\$&').replace(/\r?\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+function escapeLeefValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5424 header fields: printable ASCII without spaces, "-" when empty
+function syslogToken(value, maxLength) {
+  const token = String(value ?? '').replace(/[^\x21-\x7e]/g, '_').slice(0, maxLength);
+  return token || '-';
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
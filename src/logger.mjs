@@ -1,18 +1,36 @@
-import { appendFileSync, readFileSync, renameSync, statSync, mkdirSync, existsSync } from 'node:fs';
-import { join, dirname } from 'node:path';
+import { appendFileSync, readFileSync, renameSync, statSync, mkdirSync, existsSync, openSync, fstatSync, readSync, closeSync } from 'node:fs';
+import { createHash, createHmac } from 'node:crypto';
+import { join, basename } from 'node:path';
+import { Redactor } from './redact.mjs';
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_ROTATIONS = 5;
+const GENESIS_HASH = '0'.repeat(64);
 
+/**
+ * Audit log writer. Every record carries `seq` and `prev_hash`, the SHA-256
+ * of the previous record's line, so edits, deletions and reordering show up
+ * in verifyLog(). With a key (`opts.key` or CLAWSHELL_LOG_KEY, which
+ * executed commands never see) the hash is an HMAC, so the chain cannot be
+ * rebuilt without it. The chain continues across rotated files. Secrets in
+ * any string field are masked by `opts.redactor` (built-in patterns by
+ * default) before the record is written or passed to subscribers.
+ */
 export class Logger {
   #logPath;
   #level;
   #levels = { debug: 0, info: 1, warn: 2, error: 3 };
+  #listeners = new Set();
+  #index = new Map();
+  #redactor;
+  #key;
 
   constructor(opts = {}) {
     const logDir = process.env.CLAWSHELL_LOG_DIR || opts.logDir || join(process.cwd(), 'logs');
     this.#logPath = join(logDir, 'clawshell.jsonl');
     this.#level = process.env.CLAWSHELL_LOG_LEVEL || opts.level || 'info';
+    this.#redactor = opts.redactor || new Redactor();
+    this.#key = process.env.CLAWSHELL_LOG_KEY || opts.key || null;
 
     if (!existsSync(logDir)) {
       mkdirSync(logDir, { recursive: true });
@@ -28,16 +46,33 @@ export class Logger {
       // risk_level isn't a log level, always log
     }
 
+    this.#rotateIfNeeded();
+    // Read back from disk each time so the chain survives restarts and other writers
+    const head = this.#chainHead();
     const record = {
       timestamp: new Date().toISOString(),
-      ...entry,
+      ...this.#redactor.redactRecord(entry),
+      seq: head.seq + 1,
+      prev_hash: head.hash,
     };
 
-    this.#rotateIfNeeded();
     appendFileSync(this.#logPath, JSON.stringify(record) + '\n', 'utf-8');
+
+    for (const listener of this.#listeners) {
+      try { listener(record); } catch { /* listeners must not break logging */ }
+    }
     return record;
   }
 
+  /**
+   * Calls `listener` with every record written from now on. Returns a
+   * function that unsubscribes.
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
   info(message, data = {}) {
     if (this.#levels[this.#level] > this.#levels.info) return;
     return this.log({ level: 'info', message, ...data });
@@ -58,33 +93,110 @@ export class Logger {
   }
 
   getRecent(count = 20) {
-    if (!existsSync(this.#logPath)) return [];
+    return this.query({}, { limit: count }).entries.reverse();
+  }
+
+  search(filter = {}) {
+    return this.query(filter, { limit: Infinity }).entries.reverse();
+  }
 
-    const content = readFileSync(this.#logPath, 'utf-8').trim();
-    if (!content) return [];
+  /**
+   * Finds records in the log and its rotated files, newest first, reading
+   * each file backwards in chunks. Filters (all optional, combined with AND):
+   * `command` (substring, or `/regex/flags`), `reason` (one of
+   * risk_reasons), `request_id`, `decided_by`, `working_dir` (that directory
+   * or below), `risk_level`, `min_risk_level`, `decision`, and `from` / `to`
+   * (dates). Files whose time range lies outside `from`..`to` are skipped
+   * unread. `opts.limit` (default 20) and `opts.offset` page through the
+   * matches; returns `{ entries, offset, hasMore, nextOffset }`.
+   */
+  query(filter = {}, opts = {}) {
+    const limit = opts.limit ?? 20;
+    const offset = opts.offset || 0;
+    const matches = compileFilter(filter);
+    const from = filter.from ? new Date(filter.from).getTime() : null;
+    const to = filter.to ? new Date(filter.to).getTime() : null;
 
-    const lines = content.split('\n');
-    const recent = lines.slice(-count);
+    const entries = [];
+    let skipped = 0;
+    let hasMore = false;
 
-    return recent.map((line) => {
+    files: for (const file of logFiles(this.#logPath).reverse()) {
+      const range = this.#timeRange(file);
+      if (range && to !== null && range.first > to) continue;
+      // Records are appended in time order, so every older file is out of range too
+      if (range && from !== null && range.last < from) break;
+
+      for (const line of readLinesReverse(file)) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (from !== null && new Date(entry.timestamp).getTime() < from) break files;
+        if (!matches(entry)) continue;
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        if (entries.length === limit) {
+          hasMore = true;
+          break files;
+        }
+        entries.push(entry);
+      }
+    }
+
+    return { entries, offset, hasMore, nextOffset: hasMore ? offset + entries.length : null };
+  }
+
+  /**
+   * Walks the log and its rotated files; see verifyLog().
+   */
+  verify() {
+    return verifyLog(this.#logPath, { key: this.#key });
+  }
+
+  // First and last timestamp per file, cached until the file changes
+  #timeRange(file) {
+    let stats;
+    try {
+      stats = statSync(file);
+    } catch {
+      return null;
+    }
+
+    const key = `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    const cached = this.#index.get(file);
+    if (cached?.key === key) return cached.range;
+
+    const timeOf = (line) => {
       try {
-        return JSON.parse(line);
+        return new Date(JSON.parse(line).timestamp).getTime() || null;
       } catch {
         return null;
       }
-    }).filter(Boolean);
+    };
+    const first = timeOf(firstLine(file));
+    const last = timeOf(lastLine(file));
+    const range = first !== null && last !== null ? { first, last } : null;
+    this.#index.set(file, { key, range });
+    return range;
   }
 
-  search(filter = {}) {
-    const entries = this.getRecent(1000);
-
-    return entries.filter((entry) => {
-      if (filter.risk_level && entry.risk_level !== filter.risk_level) return false;
-      if (filter.decision && entry.decision !== filter.decision) return false;
-      if (filter.from && new Date(entry.timestamp) < new Date(filter.from)) return false;
-      if (filter.to && new Date(entry.timestamp) > new Date(filter.to)) return false;
-      return true;
-    });
+  // Last record of the newest non-empty file
+  #chainHead() {
+    for (const path of [this.#logPath, `${this.#logPath}.1`]) {
+      const line = lastLine(path);
+      if (!line) continue;
+      let seq = 0;
+      try {
+        seq = JSON.parse(line).seq || 0;
+      } catch { /* a damaged tail restarts the count; verify reports it */ }
+      return { seq, hash: hashLine(line, this.#key) };
+    }
+    return { seq: 0, hash: GENESIS_HASH };
   }
 
   #rotateIfNeeded() {
@@ -112,6 +224,188 @@ export class Logger {
   }
 }
 
+/**
+ * Checks the hash chain of `logPath` and its rotated files, oldest first.
+ * Returns `{ ok, files, records, legacy, firstSeq, lastSeq }`, plus
+ * `problem: { type, file, line, seq, message }` for the first gap
+ * (`gap`), edited or deleted record (`modified`) or unparseable line
+ * (`malformed`). Records written before chaining was introduced are
+ * counted in `legacy`. The oldest surviving file may start mid-chain when
+ * older rotations were dropped; the newest record can only be checked
+ * against a `lastSeq` recorded elsewhere. `opts.key` must be the key the
+ * log was written with.
+ */
+export function verifyLog(logPath, opts = {}) {
+  const files = logFiles(logPath);
+
+  const result = { ok: true, files, records: 0, legacy: 0, firstSeq: null, lastSeq: null };
+  const fail = (type, file, line, seq, message) => ({ ...result, ok: false, problem: { type, file, line, seq, message } });
+  let prev = null;
+
+  for (const file of files) {
+    const lines = readFileSync(file, 'utf-8').split('\n');
+    if (lines.at(-1) === '') lines.pop();
+
+    for (let i = 0; i < lines.length; i++) {
+      const where = `${basename(file)}:${i + 1}`;
+      let record;
+      try {
+        record = JSON.parse(lines[i]);
+      } catch {
+        return fail('malformed', file, i + 1, null, `${where} is not a valid log record`);
+      }
+
+      if (record.seq === undefined) {
+        if (result.firstSeq !== null) {
+          return fail('modified', file, i + 1, null, `${where} has no sequence number after chained records`);
+        }
+        result.legacy++;
+        prev = { line: lines[i], seq: 0, file, lineNo: i + 1 };
+        continue;
+      }
+
+      if (prev === null) {
+        if (record.seq === 1 && record.prev_hash !== GENESIS_HASH) {
+          return fail('modified', file, i + 1, 1, `${where} (seq 1) does not start the chain`);
+        }
+      } else {
+        if (record.seq !== prev.seq + 1) {
+          return fail('gap', file, i + 1, record.seq, `${where} has seq ${record.seq}, expected ${prev.seq + 1}`);
+        }
+        if (record.prev_hash !== hashLine(prev.line, opts.key)) {
+          const seq = prev.seq || null;
+          return fail('modified', prev.file, prev.lineNo, seq,
+            `${basename(prev.file)}:${prev.lineNo}${seq ? ` (seq ${seq})` : ''} was modified; its hash does not match seq ${record.seq}`);
+        }
+      }
+
+      result.firstSeq ??= record.seq;
+      result.lastSeq = record.seq;
+      result.records++;
+      prev = { line: lines[i], seq: record.seq, file, lineNo: i + 1 };
+    }
+  }
+
+  return result;
+}
+
+function hashLine(line, key = null) {
+  return (key ? createHmac('sha256', key) : createHash('sha256')).update(line).digest('hex');
+}
+
+// Existing log files, oldest rotation first
+function logFiles(logPath) {
+  const files = [];
+  for (let i = MAX_ROTATIONS; i >= 1; i--) {
+    if (existsSync(`${logPath}.${i}`)) files.push(`${logPath}.${i}`);
+  }
+  if (existsSync(logPath)) files.push(logPath);
+  return files;
+}
+
+// Yields non-empty lines from the end of the file, so large logs are never loaded whole
+function* readLinesReverse(path, chunkSize = 64 * 1024) {
+  let fd;
+  try {
+    fd = openSync(path, 'r');
+  } catch {
+    return;
+  }
+
+  try {
+    let position = fstatSync(fd).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const start = Math.max(0, position - chunkSize);
+      const chunk = Buffer.alloc(position - start);
+      readSync(fd, chunk, 0, chunk.length, start);
+      position = start;
+
+      // Split on bytes so multi-byte characters at chunk edges stay intact
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      let newline;
+      while ((newline = buffer.lastIndexOf(0x0a, end - 1)) !== -1) {
+        if (newline + 1 < end) yield buffer.toString('utf-8', newline + 1, end);
+        end = newline;
+        if (end === 0) break;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length > 0) yield rest.toString('utf-8');
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function lastLine(path) {
+  for (const line of readLinesReverse(path)) return line;
+  return null;
+}
+
+function firstLine(path, maxBytes = 64 * 1024) {
+  let fd;
+  try {
+    fd = openSync(path, 'r');
+  } catch {
+    return null;
+  }
+
+  try {
+    const buffer = Buffer.alloc(maxBytes);
+    const read = readSync(fd, buffer, 0, maxBytes, 0);
+    const newline = buffer.subarray(0, read).indexOf(0x0a);
+    return newline === -1 ? null : buffer.toString('utf-8', 0, newline);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+function compileFilter(filter) {
+  const checks = [];
+
+  if (filter.command) {
+    const regex = filter.command.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regex) {
+      let pattern;
+      try {
+        pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+      } catch (err) {
+        throw new Error(`Invalid command pattern ${filter.command}: ${err.message}`);
+      }
+      checks.push((e) => typeof e.command === 'string' && pattern.test(e.command));
+    } else {
+      checks.push((e) => typeof e.command === 'string' && e.command.includes(filter.command));
+    }
+  }
+  if (filter.reason) checks.push((e) => Array.isArray(e.risk_reasons) && e.risk_reasons.includes(filter.reason));
+  if (filter.request_id) checks.push((e) => e.request_id === filter.request_id);
+  if (filter.decided_by) checks.push((e) => e.decided_by === filter.decided_by);
+  if (filter.working_dir) {
+    const dir = filter.working_dir.replace(/\/+$/, '');
+    checks.push((e) => typeof e.working_dir === 'string' && (e.working_dir === dir || e.working_dir.startsWith(`${dir}/`)));
+  }
+  if (filter.risk_level) checks.push((e) => e.risk_level === filter.risk_level);
+  if (filter.min_risk_level) {
+    if (!RISK_LEVELS.includes(filter.min_risk_level)) throw new Error(`Unknown risk level: ${filter.min_risk_level}`);
+    const min = RISK_LEVELS.indexOf(filter.min_risk_level);
+    checks.push((e) => RISK_LEVELS.indexOf(e.risk_level) >= min);
+  }
+  if (filter.decision) checks.push((e) => e.decision === filter.decision);
+
+  for (const key of ['from', 'to']) {
+    if (filter[key] && Number.isNaN(new Date(filter[key]).getTime())) throw new Error(`Invalid date for ${key}: ${filter[key]}`);
+  }
+  if (filter.to) {
+    const to = new Date(filter.to).getTime();
+    checks.push((e) => new Date(e.timestamp).getTime() <= to);
+  }
+
+  return (entry) => checks.every((check) => check(entry));
+}
+
 // Singleton for convenience
 let _defaultLogger;
 export function getLogger(opts) {
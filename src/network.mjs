@@ -0,0 +1,384 @@
+import { BlockList, isIP } from 'node:net';
+import { minimatch } from 'minimatch';
+
+// --- Network destinations ---
+//
+// Reads the hosts and ports a command contacts from its arguments (curl,
+// wget, nc, ssh, scp, rsync, git remote operations, package managers) and
+// matches them against the `rules.network` allow and block lists. Host
+// names are compared as written; nothing is resolved.
+
+const LOCAL_HOSTS = new Set(['localhost', '::1']);
+const DEFAULT_PORTS = { http: 80, https: 443, ftp: 21, ftps: 990, ssh: 22, git: 9418, rsync: 873, ws: 80, wss: 443 };
+
+// Options that take a value, per tool: `destination` values are hosts or
+// URLs too, `unknown` ones mean the destination is in a file, `ports` set
+// the port and `resolve` redirects curl to another address. `listen`
+// options make nc a server.
+const TOOLS = {
+  curl: {
+    values: ['-o', '-H', '-d', '-X', '-u', '-A', '-e', '-b', '-c', '-F', '-T', '-w', '-m', '-r', '-Y', '-y', '-z', '-C', '-D', '-U', '-Q', '-t', '-E',
+      '--data', '--data-raw', '--data-binary', '--data-urlencode', '--data-ascii', '--json', '--header', '--request', '--user', '--user-agent',
+      '--referer', '--cookie', '--cookie-jar', '--form', '--form-string', '--upload-file', '--output', '--output-dir', '--write-out', '--max-time',
+      '--connect-timeout', '--retry', '--retry-delay', '--cert', '--key', '--cacert', '--capath', '--range', '--interface', '--limit-rate',
+      '--dump-header', '--proxy-user', '--oauth2-bearer', '--time-cond', '--continue-at', '--quote', '--telnet-option', '--max-filesize'],
+    destination: ['-x', '--proxy', '--url', '--preproxy'],
+    unknown: ['-K', '--config'],
+    resolve: ['--resolve', '--connect-to'],
+  },
+  wget: {
+    values: ['-O', '-o', '-a', '-e', '-P', '-U', '-t', '-T', '-w', '-Q', '-l', '-A', '-R', '-D', '-I', '-X',
+      '--header', '--post-data', '--post-file', '--body-data', '--body-file', '--method', '--user', '--password', '--http-user', '--http-password',
+      '--output-document', '--output-file', '--append-output', '--directory-prefix', '--user-agent', '--tries', '--timeout', '--wait', '--quota',
+      '--level', '--accept', '--reject', '--domains', '--referer', '--load-cookies', '--save-cookies'],
+    destination: ['-B', '--base'],
+    unknown: ['-i', '--input-file'],
+  },
+  nc: { values: ['-p', '-s', '-w', '-i', '-q', '-X', '-e', '-c', '-I', '-O', '-T', '-V'], destination: ['-x'], unknown: [], listen: ['-l'] },
+  ssh: {
+    values: ['-b', '-c', '-D', '-E', '-e', '-F', '-I', '-i', '-L', '-l', '-m', '-O', '-o', '-Q', '-R', '-S', '-W', '-w', '-B'],
+    destination: ['-J'],
+    unknown: [],
+    ports: ['-p'],
+  },
+  scp: { values: ['-c', '-F', '-i', '-l', '-o', '-S', '-X'], destination: ['-J'], unknown: [], ports: ['-P'] },
+  rsync: {
+    values: ['-e', '--rsh', '-f', '--filter', '--exclude', '--include', '--exclude-from', '--include-from', '--files-from', '--password-file',
+      '-B', '--block-size', '--log-file', '-T', '--temp-dir', '--compare-dest', '--copy-dest', '--link-dest', '-M', '--remote-option', '--chmod',
+      '--chown', '--timeout', '--bwlimit', '--backup-dir', '--suffix', '--partial-dir'],
+    destination: [],
+    unknown: [],
+    ports: ['--port'],
+  },
+};
+TOOLS.ncat = TOOLS.nc;
+TOOLS.netcat = TOOLS.nc;
+
+const GIT_REMOTE_COMMANDS = new Set(['clone', 'fetch', 'pull', 'push', 'ls-remote', 'remote', 'submodule', 'archive']);
+
+// Subcommands whose first operand is the repository and the rest refspecs
+// (`git push origin feature:main`), with the options that take a separate
+// value; `--repo` names the repository too
+const FETCH_VALUES = ['--upload-pack', '--depth', '--deepen', '--shallow-since', '--shallow-exclude', '-j', '--jobs', '--negotiation-tip', '--refmap', '-o', '--server-option', '--filter'];
+const GIT_REPOSITORY_COMMANDS = {
+  clone: ['-o', '--origin', '-b', '--branch', '-u', '--upload-pack', '--reference', '--reference-if-able', '--separate-git-dir', '--depth',
+    '--shallow-since', '--shallow-exclude', '--template', '-c', '--config', '--filter', '-j', '--jobs', '--bundle-uri', '--server-option'],
+  fetch: FETCH_VALUES,
+  pull: [...FETCH_VALUES, '-s', '--strategy', '-X', '--strategy-option'],
+  push: ['-o', '--push-option', '--repo', '--receive-pack', '--exec'],
+  'ls-remote': ['--upload-pack', '-o', '--server-option', '--sort'],
+};
+
+// Package managers: subcommands that download, the registry they use by
+// default, and the options that name another source
+const PACKAGE_MANAGERS = {
+  npm: { commands: ['install', 'i', 'add', 'ci', 'update', 'publish', 'exec'], registries: ['registry.npmjs.org'], sources: ['--registry'] },
+  pnpm: { commands: ['install', 'i', 'add', 'update', 'up', 'publish', 'dlx'], registries: ['registry.npmjs.org'], sources: ['--registry'] },
+  yarn: { commands: ['install', 'add', 'upgrade', 'publish', 'dlx'], registries: ['registry.yarnpkg.com'], sources: ['--registry'] },
+  pip: {
+    commands: ['install', 'download', 'wheel'],
+    registries: ['pypi.org', 'files.pythonhosted.org'],
+    sources: ['-i', '--index-url', '--extra-index-url', '-f', '--find-links'],
+  },
+  gem: { commands: ['install', 'fetch', 'update'], registries: ['rubygems.org'], sources: ['-s', '--source'] },
+  cargo: { commands: ['install', 'add', 'fetch'], registries: ['index.crates.io', 'static.crates.io'], sources: ['--git', '--index', '--registry'] },
+  go: { commands: ['get', 'install', 'mod'], registries: ['proxy.golang.org'], sources: [] },
+};
+PACKAGE_MANAGERS.pip3 = PACKAGE_MANAGERS.pip;
+
+/**
+ * Destinations a command view contacts: `[{ host, port, implicit? }]`.
+ * `host` is null when it cannot be read statically (variables, URLs in a
+ * config or input file); `port` is null when unknown. `implicit` marks a
+ * package manager's default registry.
+ */
+export function networkDestinations(argv) {
+  const [program, ...args] = argv;
+  if (TOOLS[program]) return toolDestinations(program, args);
+  if (program === 'git') return gitDestinations(args);
+  if (PACKAGE_MANAGERS[program]) return packageDestinations(PACKAGE_MANAGERS[program], args);
+  return [];
+}
+
+/**
+ * Whether a destination is this machine: `localhost`, `::1` or an IPv4
+ * loopback address. Names like `127.0.0.1.nip.io` are not. A null host is
+ * not.
+ */
+export function isLocalDestination({ host }) {
+  return host !== null && (LOCAL_HOSTS.has(host) || (isIP(host) === 4 && host.startsWith('127.')));
+}
+
+/**
+ * Compiled `rules.network` lists. Entries are `host`, `host:port` or
+ * `*:port`; hosts may be globs (`*.github.com`), IP addresses, CIDR ranges
+ * (`10.0.0.0/8`) or `/regex/flags`; IPv6 addresses with a port go in
+ * brackets (`[::1]:8080`). Ports may be ranges (`8000-8999`).
+ */
+export class NetworkPolicy {
+  #allow;
+  #block;
+
+  constructor({ allow = [], block = [] } = {}) {
+    this.#allow = allow.map(parseDestinationPattern);
+    this.#block = block.map(parseDestinationPattern);
+  }
+
+  get hasAllowList() {
+    return this.#allow.length > 0;
+  }
+
+  /** The first block entry a destination matches, or null. */
+  blocked(destination) {
+    return this.#block.find((entry) => matches(entry, destination))?.pattern ?? null;
+  }
+
+  /** The first allow entry a destination matches, or null. */
+  allowed(destination) {
+    return this.#allow.find((entry) => matches(entry, destination))?.pattern ?? null;
+  }
+}
+
+/**
+ * Parses one allow/block entry into `{ pattern, host, ports }`. Throws with
+ * a readable message for entries that cannot match anything.
+ */
+export function parseDestinationPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') throw new Error('must be a non-empty string');
+  const regex = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regex) return { pattern, host: { regex: new RegExp(regex[1], regex[2]) }, ports: null };
+
+  let hostPart = pattern;
+  let portPart = null;
+  const bracketed = pattern.match(/^\[([^\]]+)\](?::(.+))?$/);
+  if (bracketed) {
+    [, hostPart, portPart = null] = bracketed;
+  } else if ((pattern.match(/:/g) || []).length === 1) {
+    [hostPart, portPart] = pattern.split(':');
+  }
+
+  const ports = portPart === null || portPart === '*' ? null : parsePorts(portPart);
+  if (ports === undefined) throw new Error(`has an invalid port "${portPart}"`);
+  return { pattern, host: parseHost(hostPart.toLowerCase()), ports };
+}
+
+function parseHost(host) {
+  if (host === '*') return { any: true };
+  const [address, prefix] = host.split('/');
+  const family = isIP(address);
+  if (family) {
+    const list = new BlockList();
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      const length = Number(prefix);
+      if (!Number.isInteger(length) || length < 0 || length > (family === 6 ? 128 : 32)) throw new Error(`has an invalid prefix length "/${prefix}"`);
+      list.addSubnet(address, length, type);
+    }
+    return { ip: list };
+  }
+  if (!/^[a-z0-9*?.[\]{},_-]+$/.test(host)) throw new Error(`"${host}" is not a host name, IP address or CIDR range`);
+  return { glob: host };
+}
+
+function parsePorts(text) {
+  const match = text.match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) return undefined;
+  const low = Number(match[1]);
+  const high = Number(match[2] ?? match[1]);
+  return low <= high && high <= 65535 ? [low, high] : undefined;
+}
+
+function matches(entry, { host, port }) {
+  if (entry.ports && (port === null || port < entry.ports[0] || port > entry.ports[1])) return false;
+  if (entry.host.any) return true;
+  if (host === null) return false;
+  if (entry.host.regex) return entry.host.regex.test(host);
+  if (entry.host.ip) {
+    const family = isIP(host);
+    return family !== 0 && entry.host.ip.check(host, family === 6 ? 'ipv6' : 'ipv4');
+  }
+  return minimatch(host, entry.host.glob, { nocase: true });
+}
+
+// --- Argument parsing ---
+
+/**
+ * Splits the arguments of curl, wget, nc, ssh, scp or rsync into
+ * `{ options, operands }`, where `options` lists `[name, value]` pairs in
+ * order (`value` is undefined for flags). Handles `--name=value`,
+ * `--name value` and short clusters such as `-sSLo out`.
+ */
+export function toolArguments(program, args) {
+  const spec = TOOLS[program];
+  const options = [];
+  const operands = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      operands.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      operands.push(arg);
+      continue;
+    }
+
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const name = eq === -1 ? arg : arg.slice(0, eq);
+      options.push([name, eq !== -1 ? arg.slice(eq + 1) : takesValue(spec, name) ? args[++i] : undefined]);
+    } else {
+      for (let j = 1; j < arg.length; j++) {
+        const name = `-${arg[j]}`;
+        if (takesValue(spec, name)) {
+          options.push([name, j + 1 < arg.length ? arg.slice(j + 1) : args[++i]]);
+          break;
+        }
+        options.push([name, undefined]);
+      }
+    }
+  }
+  return { options, operands };
+}
+
+function toolDestinations(program, args) {
+  const spec = TOOLS[program];
+  const { options, operands } = toolArguments(program, args);
+  const destinations = [];
+  let port = null;
+  let listening = false;
+
+  for (const [name, value] of options) {
+    if (spec.destination.includes(name)) destinations.push(...(value ?? '').split(',').map((target) => parseTarget(target, program)));
+    else if (spec.unknown.includes(name)) destinations.push({ host: null, port: null });
+    else if (spec.ports?.includes(name)) port = Number(value) || null;
+    else if (spec.resolve?.includes(name)) destinations.push(resolveTarget(value));
+    else if (spec.listen?.includes(name)) listening = true;
+  }
+
+  if (program === 'ssh') {
+    if (operands[0]) destinations.push(withPort(parseTarget(operands[0], 'ssh'), port));
+  } else if (program === 'scp' || program === 'rsync') {
+    for (const operand of operands) {
+      const remote = remoteSpec(operand, program);
+      if (remote) destinations.push(withPort(remote, port));
+    }
+  } else if (spec === TOOLS.nc) {
+    if (!listening && operands[0]) destinations.push({ host: normalizeHost(operands[0]), port: Number.parseInt(operands[1], 10) || null });
+  } else {
+    destinations.push(...operands.map((operand) => parseTarget(operand, program)));
+  }
+  return destinations;
+}
+
+function takesValue(spec, name) {
+  return [spec.values, spec.destination, spec.unknown, spec.ports || [], spec.resolve || []].some((list) => list.includes(name));
+}
+
+// curl --resolve host:port:addr and --connect-to host:port:addr:port send
+// the request to `addr`
+function resolveTarget(value = '') {
+  const [, port, address, connectPort] = value.split(':');
+  return { host: address ? normalizeHost(address.replace(/^\[|\]$/g, '')) : null, port: Number(connectPort ?? port) || null };
+}
+
+function gitDestinations(args) {
+  let i = 0;
+  while (i < args.length && args[i].startsWith('-')) i += ['-C', '-c'].includes(args[i]) ? 2 : 1;
+  if (!GIT_REMOTE_COMMANDS.has(args[i])) return [];
+  const rest = args.slice(i + 1);
+  const repositories = GIT_REPOSITORY_COMMANDS[args[i]] ? gitRepositories(rest, GIT_REPOSITORY_COMMANDS[args[i]]) : rest;
+  return repositories.map((arg) => remoteSpec(arg, 'git')).filter(Boolean);
+}
+
+// The repository operand, or the `--repo` value that replaces it; refspecs
+// are skipped
+function gitRepositories(args, valueOptions) {
+  const repositories = [];
+  for (let i = 0; i < args.length; i++) {
+    const operand = args[i] === '--' ? args[i + 1] : args[i].startsWith('-') ? null : args[i];
+    if (operand !== null) return repositories.length > 0 || operand === undefined ? repositories : [operand];
+
+    const eq = args[i].startsWith('--') ? args[i].indexOf('=') : -1;
+    const name = eq === -1 ? args[i] : args[i].slice(0, eq);
+    const value = eq !== -1 ? args[i].slice(eq + 1) : valueOptions.includes(name) ? args[++i] : undefined;
+    if (name === '--repo' && value !== undefined) repositories.push(value);
+  }
+  return repositories;
+}
+
+function packageDestinations(spec, args) {
+  const command = args.find((arg) => !arg.startsWith('-'));
+  if (!spec.commands.includes(command)) return [];
+
+  const destinations = [];
+  let sources = false;
+  for (let i = 0; i < args.length; i++) {
+    const [name, inline] = args[i].includes('=') && args[i].startsWith('--') ? [args[i].slice(0, args[i].indexOf('=')), args[i].slice(args[i].indexOf('=') + 1)] : [args[i], undefined];
+    if (spec.sources.includes(name)) {
+      const value = inline ?? args[++i];
+      if (value !== undefined && !isLocalPath(value)) {
+        destinations.push(parseTarget(value, 'https'));
+        sources = sources || name !== '--extra-index-url';
+      }
+    } else if (/^(?:git\+)?(?:https?|ssh|git):\/\//.test(args[i]) || /^git\+ssh:/.test(args[i])) {
+      destinations.push(parseTarget(args[i].replace(/^git\+/, ''), 'https'));
+    } else if (/^github:/.test(args[i])) {
+      destinations.push({ host: 'github.com', port: 443 });
+    }
+  }
+  if (!sources) destinations.push(...spec.registries.map((host) => ({ host, port: 443, implicit: true })));
+  return destinations;
+}
+
+/**
+ * A URL (`https://host/...`, `ssh://user@host:2222/...`) or bare
+ * `host[:port]/path`; `scheme` is the default for bare targets.
+ */
+function parseTarget(text, scheme) {
+  const defaultScheme = DEFAULT_PORTS[scheme] ? scheme : 'http';
+  const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `${defaultScheme}://${text}`;
+  try {
+    const url = new URL(candidate);
+    const protocol = url.protocol.slice(0, -1);
+    const host = normalizeHost(url.hostname.replace(/^\[|\]$/g, ''));
+    return { host, port: url.port ? Number(url.port) : DEFAULT_PORTS[protocol] ?? null };
+  } catch {
+    return { host: null, port: null };
+  }
+}
+
+/**
+ * The destination of an scp, rsync or git remote operand (`[user@]host:path`,
+ * `host::module`, URLs), or null for a local path.
+ */
+export function remoteSpec(operand, program) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(operand)) {
+    if (/^file:/i.test(operand)) return null;
+    return parseTarget(operand, program === 'git' ? 'https' : program);
+  }
+  const match = operand.match(/^(?:[^@/:]+@)?(\[[^\]]+\]|[^:/]+):(:?)/);
+  if (!match) return null;
+  const host = normalizeHost(match[1].replace(/^\[|\]$/g, ''));
+  const port = match[2] ? DEFAULT_PORTS.rsync : DEFAULT_PORTS.ssh;
+  return { host, port };
+}
+
+function withPort(destination, port) {
+  return port && destination.host !== null ? { ...destination, port } : destination;
+}
+
+// Lower-cased host; null for text that is not a literal host name or IP
+function normalizeHost(host) {
+  if (!host) return null;
+  const name = host.replace(/^[^@]*@/, '').toLowerCase();
+  if (isIP(name)) return name;
+  return /^[a-z0-9_]([a-z0-9_.-]*[a-z0-9_])?$/.test(name) ? name.replace(/\.$/, '') : null;
+}
+
+function isLocalPath(value) {
+  return /^(?:\.{0,2}\/|~|file:)/.test(value);
+}
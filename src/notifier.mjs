@@ -1,12 +1,16 @@
 import axios from 'axios';
+import { redactSecrets } from './redact.mjs';
 
 export class PushoverNotifier {
   #userKey;
   #apiToken;
+  #receipts = new Map();
+  #redact;
 
   constructor(opts = {}) {
     this.#userKey = opts.userKey || process.env.CLAWSHELL_PUSHOVER_USER;
     this.#apiToken = opts.apiToken || process.env.CLAWSHELL_PUSHOVER_TOKEN;
+    this.#redact = opts.redact || redactSecrets;
 
     if (!this.#userKey || !this.#apiToken) {
       throw new Error('Pushover credentials missing. Set CLAWSHELL_PUSHOVER_USER and CLAWSHELL_PUSHOVER_TOKEN.');
@@ -16,29 +20,35 @@ export class PushoverNotifier {
   get type() { return 'pushover'; }
 
   async sendApprovalRequest(request) {
-    const { id, command, workingDir, riskLevel, riskReasons } = request;
+    const { id, riskLevel, riskReasons, approveUrl, rejectUrl, policy } = request;
+    const command = this.#redact(request.command);
     const truncatedCmd = command.length > 100 ? command.slice(0, 97) + '...' : command;
     const priority = riskLevel === 'high' ? 1 : 0;
 
-    const message = [
+    const lines = [
       `Command: ${truncatedCmd}`,
-      `Directory: ${workingDir}`,
+      `Directory: ${this.#redact(request.workingDir)}`,
       `Risk: ${riskLevel.toUpperCase()}`,
       `Reason: ${(riskReasons || []).join(', ')}`,
-      '',
-      `Request ID: ${id}`,
-    ].join('\n');
+    ];
+    if (policy) lines.push(quorumLine(policy));
+    lines.push('', `Request ID: ${id}`);
+    // Pushover shows a single supplementary URL; the reject link goes in the body
+    if (rejectUrl) lines.push(`Reject: ${rejectUrl}`);
 
     const payload = {
       token: this.#apiToken,
       user: this.#userKey,
       title: `CLAWSHELL: ${riskLevel.toUpperCase()}`,
-      message,
+      message: lines.join('\n'),
       priority,
-      url: `clawshell://approve/${id}`,
-      url_title: 'Approve',
     };
 
+    if (approveUrl) {
+      payload.url = approveUrl;
+      payload.url_title = 'Approve';
+    }
+
     // Priority 1 requires retry/expire for Pushover receipt polling
     if (priority === 1) {
       payload.retry = 30;
@@ -47,6 +57,7 @@ export class PushoverNotifier {
 
     try {
       const response = await axios.post('https://api.pushover.net/1/messages.json', payload);
+      if (response.data.receipt) this.#receipts.set(id, response.data.receipt);
       return {
         notificationId: response.data.request,
         receipt: response.data.receipt || null,
@@ -58,7 +69,7 @@ export class PushoverNotifier {
     }
   }
 
-  async pollForResponse(receipt, timeoutMs = 300_000) {
+  async pollForResponse(receipt, timeoutMs = 300_000, opts = {}) {
     if (!receipt) {
       // No receipt means priority 0 — can't poll, wait for timeout
       return this.#waitForManualResponse(timeoutMs);
@@ -68,6 +79,10 @@ export class PushoverNotifier {
     const pollInterval = 5_000;
 
     while (Date.now() < deadline) {
+      if (opts.signal?.aborted) {
+        return { approved: false, decidedBy: 'cancelled' };
+      }
+
       try {
         const res = await axios.get(
           `https://api.pushover.net/1/receipts/${receipt}.json?token=${this.#apiToken}`
@@ -90,6 +105,31 @@ export class PushoverNotifier {
     return { approved: false, decidedBy: 'timeout' };
   }
 
+  /**
+   * Tells the phone a request was settled: stops receipt retries and, when
+   * the decision came from another channel, sends a quiet follow-up.
+   */
+  async notifyDecision(requestId, decision) {
+    const receipt = this.#receipts.get(requestId);
+    this.#receipts.delete(requestId);
+
+    if (receipt) {
+      await axios.post(`https://api.pushover.net/1/receipts/${receipt}/cancel.json`, {
+        token: this.#apiToken,
+      }).catch(() => {});
+    }
+
+    if (decision.decidedBy === 'user_pushover' || decision.decidedBy === 'timeout') return;
+
+    await axios.post('https://api.pushover.net/1/messages.json', {
+      token: this.#apiToken,
+      user: this.#userKey,
+      title: `CLAWSHELL: ${decision.approved ? 'APPROVED' : 'REJECTED'}`,
+      message: `Request ${requestId} was ${decision.approved ? 'approved' : 'rejected'} (${decision.decidedBy}).`,
+      priority: -1,
+    }).catch(() => {});
+  }
+
   #waitForManualResponse(timeoutMs) {
     // For priority 0 messages, we can't poll receipts.
     // The pending-approvals system handles resolution via approve/reject calls.
@@ -102,10 +142,21 @@ export class PushoverNotifier {
 export class TelegramNotifier {
   #botToken;
   #chatId;
+  #apiBase;
+  #allowedUsers;
+  #useWebhook;
+  #messages = new Map();
+  #redact;
 
   constructor(opts = {}) {
     this.#botToken = opts.botToken || process.env.CLAWSHELL_TELEGRAM_BOT_TOKEN;
     this.#chatId = opts.chatId || process.env.CLAWSHELL_TELEGRAM_CHAT_ID;
+    this.#apiBase = opts.apiBase || TELEGRAM_API;
+    this.#allowedUsers = opts.allowedUserIds
+      || (process.env.CLAWSHELL_TELEGRAM_ALLOWED_USERS || '').split(',').map(s => s.trim()).filter(Boolean);
+    // Telegram refuses getUpdates while a webhook is set; decisions then arrive via ApprovalServer
+    this.#useWebhook = opts.useWebhook ?? !!process.env.CLAWSHELL_TELEGRAM_WEBHOOK_SECRET;
+    this.#redact = opts.redact || redactSecrets;
 
     if (!this.#botToken || !this.#chatId) {
       throw new Error('Telegram credentials missing. Set CLAWSHELL_TELEGRAM_BOT_TOKEN and CLAWSHELL_TELEGRAM_CHAT_ID.');
@@ -114,21 +165,26 @@ export class TelegramNotifier {
 
   get type() { return 'telegram'; }
 
+  get #api() {
+    return `${this.#apiBase}/bot${this.#botToken}`;
+  }
+
   async sendApprovalRequest(request) {
-    const { id, command, workingDir, riskLevel, riskReasons } = request;
+    const { id, riskLevel, riskReasons, policy } = request;
+    const command = this.#redact(request.command);
     const truncatedCmd = command.length > 100 ? command.slice(0, 97) + '...' : command;
 
     const text = [
       `*CLAWSHELL: ${riskLevel.toUpperCase()}*`,
       '',
       `Command: \`${truncatedCmd}\``,
-      `Directory: ${workingDir}`,
+      `Directory: ${this.#redact(request.workingDir)}`,
       `Reason: ${(riskReasons || []).join(', ')}`,
+      ...(policy ? [escapeMarkdown(quorumLine(policy))] : []),
       '',
       `Request ID: \`${id}\``,
     ].join('\n');
 
-    const url = `https://api.telegram.org/bot${this.#botToken}/sendMessage`;
     const payload = {
       chat_id: this.#chatId,
       text,
@@ -142,10 +198,13 @@ export class TelegramNotifier {
     };
 
     try {
-      const response = await axios.post(url, payload);
+      const response = await axios.post(`${this.#api}/sendMessage`, payload);
+      const messageId = response.data.result.message_id;
+      this.#messages.set(id, { messageId, text });
       return {
-        notificationId: String(response.data.result.message_id),
-        receipt: null,
+        notificationId: String(messageId),
+        // Button taps are matched by request id on the shared update loop
+        receipt: this.#useWebhook ? null : id,
         timestamp: new Date().toISOString(),
       };
     } catch (err) {
@@ -154,46 +213,188 @@ export class TelegramNotifier {
     }
   }
 
-  async pollForResponse(requestId, timeoutMs = 300_000) {
-    const deadline = Date.now() + timeoutMs;
-    const pollInterval = 3_000;
-    let offset = 0;
+  /**
+   * Waits for a button tap on the request. With `opts.onVote`, each
+   * authorized tap is reported as a vote and polling continues until the
+   * signal aborts or the timeout passes (quorum approvals).
+   */
+  async pollForResponse(requestId, timeoutMs = 300_000, opts = {}) {
+    const outcome = await getUpdateLoop(this.#api).wait(requestId, {
+      timeoutMs,
+      signal: opts.signal,
+      onVote: opts.onVote,
+      authorize: (cb) => this.#isAuthorized(cb),
+    });
 
-    while (Date.now() < deadline) {
-      try {
-        const url = `https://api.telegram.org/bot${this.#botToken}/getUpdates`;
-        const res = await axios.get(url, { params: { offset, timeout: 2 } });
-
-        for (const update of res.data.result || []) {
-          offset = update.update_id + 1;
-          const cb = update.callback_query;
-          if (!cb) continue;
-
-          const [action, id] = (cb.data || '').split(':');
-          if (id === requestId) {
-            // Acknowledge the callback
-            await axios.post(`https://api.telegram.org/bot${this.#botToken}/answerCallbackQuery`, {
-              callback_query_id: cb.id,
-              text: action === 'approve' ? 'Approved' : 'Rejected',
-            }).catch(() => {});
-
-            return {
-              approved: action === 'approve',
-              decidedBy: 'user_telegram',
-            };
-          }
+    await this.#finalizeMessage(requestId, outcome);
+
+    const result = { approved: outcome.approved, decidedBy: outcome.decidedBy };
+    if (outcome.approver) result.approver = outcome.approver;
+    return result;
+  }
+
+  async notifyDecision(requestId, decision) {
+    await this.#finalizeMessage(requestId, decision);
+  }
+
+  #isAuthorized(cb) {
+    if (String(cb.message?.chat?.id) !== String(this.#chatId)) return false;
+    if (this.#allowedUsers.length === 0) return true;
+    return this.#allowedUsers.includes(String(cb.from?.id));
+  }
+
+  // Replace the buttons with the outcome so the chat shows what happened
+  async #finalizeMessage(requestId, outcome) {
+    const sent = this.#messages.get(requestId);
+    this.#messages.delete(requestId);
+    if (!sent || outcome.decidedBy === 'cancelled') return;
+
+    const approvedBy = outcome.approver || (outcome.approved ? outcome.approvals?.join(', ') : null);
+
+    const status = outcome.decidedBy === 'timeout'
+      ? 'TIMED OUT \u2014 not executed'
+      : `${outcome.approved ? 'APPROVED \u2713' : 'REJECTED \u2717'}${approvedBy ? ` by ${escapeMarkdown(approvedBy)}` : ''}`;
+
+    await axios.post(`${this.#api}/editMessageText`, {
+      chat_id: this.#chatId,
+      message_id: sent.messageId,
+      text: `${sent.text}\n\n*${status}*`,
+      parse_mode: 'Markdown',
+    }).catch(() => {});
+  }
+}
+
+// --- Shared Telegram update loop ---
+//
+// getUpdates offsets are per bot, so concurrent approvals must share one
+// poller: a per-request loop would acknowledge (and drop) updates meant for
+// other requests. Callbacks are dispatched to waiters by request id.
+
+const TELEGRAM_API = 'https://api.telegram.org';
+const LONG_POLL_SECONDS = 20;
+const ERROR_BACKOFF_MS = 3_000;
+const updateLoops = new Map();
+
+function getUpdateLoop(api) {
+  if (!updateLoops.has(api)) {
+    updateLoops.set(api, new TelegramUpdateLoop(api));
+  }
+  return updateLoops.get(api);
+}
+
+class TelegramUpdateLoop {
+  #api;
+  #offset = 0;
+  #waiters = new Map();
+  #running = false;
+  #controller = null;
+
+  constructor(api) {
+    this.#api = api;
+  }
+
+  wait(requestId, { timeoutMs, signal, authorize, onVote }) {
+    return new Promise((resolve) => {
+      const waiter = {
+        authorize,
+        onVote,
+        finish: (outcome) => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          if (this.#waiters.get(requestId) === waiter) this.#waiters.delete(requestId);
+          if (this.#waiters.size === 0) this.#controller?.abort();
+          resolve(outcome);
+        },
+      };
+      const onAbort = () => waiter.finish({ approved: false, decidedBy: 'cancelled' });
+      const timer = setTimeout(() => waiter.finish({ approved: false, decidedBy: 'timeout' }), timeoutMs);
+
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // A second poll for the same request supersedes the first
+      this.#waiters.get(requestId)?.finish({ approved: false, decidedBy: 'cancelled' });
+      this.#waiters.set(requestId, waiter);
+      this.#run();
+    });
+  }
+
+  async #run() {
+    if (this.#running) return;
+    this.#running = true;
+
+    try {
+      while (this.#waiters.size > 0) {
+        this.#controller = new AbortController();
+        let updates;
+        try {
+          const res = await axios.get(`${this.#api}/getUpdates`, {
+            params: { offset: this.#offset, timeout: LONG_POLL_SECONDS },
+            timeout: (LONG_POLL_SECONDS + 10) * 1000,
+            signal: this.#controller.signal,
+          });
+          updates = res.data.result || [];
+        } catch (err) {
+          // Aborted because the last waiter left, or a network error — back off
+          if (!axios.isCancel(err) && this.#waiters.size > 0) await sleep(ERROR_BACKOFF_MS);
+          continue;
+        }
+
+        for (const update of updates) {
+          this.#offset = Math.max(this.#offset, update.update_id + 1);
+          if (update.callback_query) await this.#dispatch(update.callback_query);
         }
-      } catch {
-        // Network error — keep trying
       }
+    } finally {
+      this.#running = false;
+      this.#controller = null;
+    }
 
-      await sleep(pollInterval);
+    // A waiter may have registered while the loop was winding down
+    if (this.#waiters.size > 0) this.#run();
+  }
+
+  async #dispatch(cb) {
+    const [action, id] = (cb.data || '').split(':');
+    const waiter = this.#waiters.get(id);
+    const answer = (text) => axios.post(`${this.#api}/answerCallbackQuery`, {
+      callback_query_id: cb.id,
+      text,
+    }).catch(() => {});
+
+    if (!waiter || (action !== 'approve' && action !== 'reject')) {
+      return answer('Request is no longer pending');
+    }
+    if (!waiter.authorize(cb)) {
+      return answer('Not authorized');
     }
 
-    return { approved: false, decidedBy: 'timeout' };
+    const approved = action === 'approve';
+    const outcome = {
+      approved,
+      decidedBy: 'user_telegram',
+      approver: cb.from?.username || (cb.from?.id !== undefined ? String(cb.from.id) : undefined),
+    };
+
+    // Quorum requests keep listening; the caller settles them
+    if (waiter.onVote) {
+      return answer(waiter.onVote(outcome) ? 'Vote recorded' : 'Vote not accepted');
+    }
+
+    await answer(approved ? 'Approved' : 'Rejected');
+    waiter.finish(outcome);
   }
 }
 
+function quorumLine(policy) {
+  const who = policy.approvers?.length ? ` of ${policy.approvers.join(', ')}` : '';
+  return `Approvals needed: ${policy.required}${who}`;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/[_*`[]/g, (ch) => `\\${ch}`);
+}
+
 export class MockNotifier {
   #autoApprove;
   #delayMs;
@@ -213,8 +414,11 @@ export class MockNotifier {
     };
   }
 
-  async pollForResponse(_requestId, _timeoutMs) {
+  async pollForResponse(_requestId, _timeoutMs, opts = {}) {
     await sleep(this.#delayMs);
+    if (opts.signal?.aborted) {
+      return { approved: false, decidedBy: 'cancelled' };
+    }
     return {
       approved: this.#autoApprove,
       decidedBy: 'mock',
@@ -222,20 +426,255 @@ export class MockNotifier {
   }
 }
 
+// --- Multi-channel fan-out ---
+
+const CHANNEL_TYPES = {
+  pushover: PushoverNotifier,
+  telegram: TelegramNotifier,
+  mock: MockNotifier,
+};
+
+/**
+ * Sends one approval request to several channels. The first decision from
+ * any channel wins, unless the caller passes `onVote` to collect a quorum;
+ * later escalation stages notify more channels when no one has answered
+ * after `afterSeconds`. Lifecycle events are reported through `onEvent` so
+ * the caller can audit them.
+ */
+export class CompositeNotifier {
+  #stages;
+  #onEvent;
+  #requests = new Map();
+
+  constructor(opts = {}) {
+    if (opts.stages?.length) {
+      this.#stages = opts.stages.map((stage) => ({ afterSeconds: stage.afterSeconds || 0, channels: stage.channels }));
+    } else if (opts.channels?.length) {
+      this.#stages = [{ afterSeconds: 0, channels: opts.channels }];
+    } else {
+      throw new Error('CompositeNotifier needs at least one channel.');
+    }
+    this.#stages.sort((a, b) => a.afterSeconds - b.afterSeconds);
+    this.#onEvent = opts.onEvent || (() => {});
+  }
+
+  /**
+   * Builds channels and escalation stages from the `notifications` section
+   * of config.yaml. Channel options ending in `_env` name the environment
+   * variable that holds the value, so secrets stay out of the file.
+   */
+  static fromConfig(notifications, opts = {}) {
+    const channels = new Map();
+    for (const [name, spec] of Object.entries(notifications.channels || {})) {
+      const Notifier = CHANNEL_TYPES[spec?.type];
+      if (!Notifier) {
+        throw new Error(`Notification channel "${name}" has unknown type "${spec?.type}".`);
+      }
+      channels.set(name, { name, notifier: new Notifier({ ...channelOptions(spec), redact: opts.redact }) });
+    }
+
+    const pick = (names) => (names || []).map((name) => {
+      if (!channels.has(name)) throw new Error(`Escalation refers to unknown channel "${name}".`);
+      return channels.get(name);
+    });
+
+    const stages = notifications.escalation?.length
+      ? notifications.escalation.map((stage) => ({ afterSeconds: stage.after_seconds || 0, channels: pick(stage.notify) }))
+      : [{ afterSeconds: 0, channels: [...channels.values()] }];
+
+    return new CompositeNotifier({ stages, onEvent: opts.onEvent });
+  }
+
+  get type() { return 'composite'; }
+
+  get channels() {
+    return this.#stages.flatMap((stage) => stage.channels.map((channel) => channel.name));
+  }
+
+  async sendApprovalRequest(request) {
+    const state = { request, sent: [], decidedBy: null, timers: [] };
+    this.#requests.set(request.id, state);
+
+    const sent = await this.#sendStage(state, 0);
+    if (sent.length === 0 && this.#stages.length === 1) {
+      this.#requests.delete(request.id);
+      throw new Error('All notification channels failed.');
+    }
+
+    return {
+      notificationId: sent.map((s) => `${s.channel.name}:${s.notification.notificationId}`).join(','),
+      // Composite always polls: it drives escalation as well as channel receipts
+      receipt: request.id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  pollForResponse(requestId, timeoutMs = 300_000, opts = {}) {
+    const state = this.#requests.get(requestId);
+    if (!state) return Promise.resolve({ approved: false, decidedBy: 'timeout' });
+
+    const controller = new AbortController();
+    const started = Date.now();
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(deadline);
+        state.timers.forEach(clearTimeout);
+        controller.abort();
+        resolve(result);
+      };
+
+      const received = (channel, result) => {
+        this.#emit('decision_received', state, {
+          channel: channel.name,
+          decided_by: result.decidedBy,
+          approved: result.approved,
+          ...(result.approver ? { approver: result.approver } : {}),
+        });
+      };
+
+      // Quorum: every channel's answers are votes, and only the caller settles
+      const vote = (channel, result) => {
+        received(channel, result);
+        return opts.onVote({ ...result, channel: channel.name });
+      };
+
+      const poll = ({ channel, notification }) => {
+        if (!notification.receipt || typeof channel.notifier.pollForResponse !== 'function') return;
+        const remaining = Math.max(timeoutMs - (Date.now() - started), 0);
+        const channelOpts = { signal: controller.signal };
+        if (opts.onVote) channelOpts.onVote = (result) => vote(channel, result);
+
+        channel.notifier.pollForResponse(notification.receipt, remaining, channelOpts).then((result) => {
+          if (settled || result.decidedBy === 'timeout' || result.decidedBy === 'cancelled') return;
+          if (opts.onVote) return vote(channel, result);
+          state.decidedBy = channel.name;
+          received(channel, result);
+          finish({ ...result, channel: channel.name });
+        }).catch(() => {
+          // Channel polling failed; other channels or the timeout decide
+        });
+      };
+
+      const deadline = setTimeout(() => finish({ approved: false, decidedBy: 'timeout' }), timeoutMs);
+      if (opts.signal?.aborted) return finish({ approved: false, decidedBy: 'cancelled' });
+      opts.signal?.addEventListener('abort', () => finish({ approved: false, decidedBy: 'cancelled' }), { once: true });
+
+      state.sent.forEach(poll);
+
+      // Escalate to later stages while nobody has answered
+      this.#stages.forEach((stage, index) => {
+        if (index === 0) return;
+        const delay = Math.max(stage.afterSeconds * 1000 - (Date.now() - started), 0);
+        state.timers.push(setTimeout(async () => {
+          if (settled) return;
+          const sent = await this.#sendStage(state, index);
+          if (!settled) sent.forEach(poll);
+        }, delay));
+      });
+    });
+  }
+
+  /**
+   * Updates every notified channel once a request is settled, whichever
+   * channel (or other path) decided it.
+   */
+  async notifyDecision(requestId, decision) {
+    const state = this.#requests.get(requestId);
+    if (!state) return;
+    this.#requests.delete(requestId);
+    state.timers.forEach(clearTimeout);
+
+    const targets = state.sent.filter(({ channel }) => typeof channel.notifier.notifyDecision === 'function');
+    await Promise.allSettled(targets.map(({ channel }) => channel.notifier.notifyDecision(requestId, decision)));
+
+    this.#emit('decision_broadcast', state, {
+      channels: targets.map(({ channel }) => channel.name),
+      decided_by: decision.decidedBy,
+      approved: !!decision.approved,
+    });
+  }
+
+  async #sendStage(state, index) {
+    const { channels } = this.#stages[index];
+    const results = await Promise.allSettled(
+      channels.map((channel) => channel.notifier.sendApprovalRequest(state.request))
+    );
+
+    const sent = [];
+    const failed = [];
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') sent.push({ channel: channels[i], notification: result.value });
+      else failed.push({ channel: channels[i].name, error: result.reason?.message });
+    });
+    state.sent.push(...sent);
+
+    this.#emit(index === 0 ? 'notification_sent' : 'approval_escalated', state, {
+      stage: index,
+      channels: sent.map((s) => s.channel.name),
+      ...(failed.length > 0 ? { failed } : {}),
+    });
+    return sent;
+  }
+
+  #emit(event, state, data) {
+    try {
+      this.#onEvent({ event, request_id: state.request.id, ...data });
+    } catch {
+      // Auditing must never break delivery
+    }
+  }
+}
+
+function channelOptions(spec) {
+  const opts = {};
+  for (const [key, value] of Object.entries(spec)) {
+    if (key === 'type') continue;
+    const camel = key.replace(/_env$/, '').replace(/_([a-z])/g, (_, ch) => ch.toUpperCase());
+    opts[camel] = key.endsWith('_env') ? process.env[value] : value;
+  }
+  return opts;
+}
+
 /**
- * Factory: returns the appropriate notifier based on available env vars.
+ * Factory: returns the appropriate notifier based on config and env vars.
+ * `notifications.channels` in config.yaml builds a CompositeNotifier;
+ * otherwise `notifications.method` picks one channel, and `auto` (the
+ * default) notifies whichever of Pushover and Telegram have credentials.
  */
 export function getNotifier(opts = {}) {
-  if (opts.mock) {
+  const method = opts.notifications?.method || 'auto';
+
+  if (opts.mock || method === 'mock') {
     return new MockNotifier(opts);
   }
 
+  if (opts.notifications?.channels) {
+    return CompositeNotifier.fromConfig(opts.notifications, opts);
+  }
+
+  if (method === 'pushover') return new PushoverNotifier(opts);
+  if (method === 'telegram') return new TelegramNotifier(opts);
+
+  const channels = [];
+
   if (process.env.CLAWSHELL_PUSHOVER_USER && process.env.CLAWSHELL_PUSHOVER_TOKEN) {
-    return new PushoverNotifier(opts);
+    channels.push({ name: 'pushover', notifier: new PushoverNotifier(opts) });
   }
 
   if (process.env.CLAWSHELL_TELEGRAM_BOT_TOKEN && process.env.CLAWSHELL_TELEGRAM_CHAT_ID) {
-    return new TelegramNotifier(opts);
+    channels.push({ name: 'telegram', notifier: new TelegramNotifier(opts) });
+  }
+
+  if (channels.length > 1) {
+    return new CompositeNotifier({ channels, onEvent: opts.onEvent });
+  }
+
+  if (channels.length === 1) {
+    return channels[0].notifier;
   }
 
   // Fall back to mock in dev/test
@@ -0,0 +1,44 @@
+import { realpathSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { resolve, dirname, join, basename } from 'node:path';
+
+// --- Path resolution helpers ---
+
+/**
+ * Expands a leading `~`, `~/`, `$HOME` or `${HOME}` to the user's home
+ * directory. Other `~user` forms are left untouched.
+ */
+export function expandHome(path) {
+  const home = homedir();
+  if (path === '~') return home;
+  if (path.startsWith('~/')) return join(home, path.slice(2));
+  const match = path.match(/^\$(?:HOME|\{HOME\})(?=\/|$)/);
+  if (match) return home + path.slice(match[0].length);
+  return path;
+}
+
+/**
+ * Resolves a command argument to an absolute path relative to `workingDir`.
+ * Returns `{ path, real }` where `real` follows symlinks; for paths that do
+ * not exist yet, the deepest existing ancestor is resolved instead.
+ */
+export function resolvePath(path, workingDir = process.cwd()) {
+  const absolute = resolve(workingDir, expandHome(path));
+  return { path: absolute, real: realpathLenient(absolute) };
+}
+
+function realpathLenient(absolute) {
+  const missing = [];
+  let current = absolute;
+
+  while (true) {
+    try {
+      return join(realpathSync(current), ...missing.reverse());
+    } catch {
+      const parent = dirname(current);
+      if (parent === current) return absolute;
+      missing.push(basename(current));
+      current = parent;
+    }
+  }
+}
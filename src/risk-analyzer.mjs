@@ -1,37 +1,65 @@
-import { readFileSync, existsSync } from 'node:fs';
-import { join } from 'node:path';
-import YAML from 'yaml';
+import { resolve } from 'node:path';
 import { minimatch } from 'minimatch';
+import { parseShell, extractCommands } from './shell-parser.mjs';
+import { decodedForms } from './deobfuscate.mjs';
+import { inlineCode, inspectCode } from './inline-code.mjs';
+import { scriptReference, readScript, lineOf, DEFAULT_SCRIPT_MAX_BYTES } from './script-files.mjs';
+import { networkDestinations, isLocalDestination, NetworkPolicy } from './network.mjs';
+import { outboundPayloads, isSensitiveVariable, SENSITIVE_PATHS } from './exfiltration.mjs';
+import { gitCommand, gitFindings, pushTargets, readRepository } from './git.mjs';
+import { writtenPaths } from './file-writes.mjs';
+import { expandHome, resolvePath } from './paths.mjs';
+import { defaultSocketPath } from './control.mjs';
+import { Config, loadConfig, ruleSetHash } from './config.mjs';
 
 // --- Built-in rule definitions ---
+//
+// Rules run against each simple command the shell parser extracts. A rule is
+// either a `regex` tested against the command's normalized text (program
+// name first, quotes and escapes resolved) or a `test(cmd, segment)` predicate
+// over its argv. Rules with `scope: 'raw'` run once against the whole input.
+// `network` rules are skipped when every destination the command contacts is
+// in `rules.network.allow`.
 
 const CRITICAL_PATTERNS = [
   // Destructive system-level commands
-  { regex: /\brm\s+(-[^\s]*\s+)*-{0,2}(rf|fr)\s+[\/~]\s*$/, reason: 'destructive_root_delete' },
+  { test: (cmd) => rmFlags(cmd).recursive && rmFlags(cmd).force && rmTargets(cmd).some(isRootTarget), reason: 'destructive_root_delete' },
   // Fork bombs (flexible whitespace)
-  { regex: /:\s*\(\s*\)\s*\{.*:\s*\|\s*:.*&.*\}\s*;\s*:/, reason: 'fork_bomb' },
-  { regex: /\b(bash|sh)\s+-c\s+.*fork\s*bomb/i, reason: 'fork_bomb' },
+  { regex: /:\s*\(\s*\)\s*\{.*:\s*\|\s*:.*&.*\}\s*;\s*:/, reason: 'fork_bomb', scope: 'raw' },
+  { regex: /^(bash|sh)\s+-c\s+.*fork\s*bomb/i, reason: 'fork_bomb' },
   // Disk destruction
-  { regex: /\bdd\s+.*of=\/dev\//, reason: 'disk_overwrite' },
-  { regex: /\bmkfs[.\s]/, reason: 'filesystem_format' },
-  { regex: /\bformat\s+[A-Z]:/, reason: 'disk_format' },
+  { regex: /^dd\s+.*of=\/dev\//, reason: 'disk_overwrite' },
+  { regex: /^mkfs[.\s]/, reason: 'filesystem_format' },
+  { regex: /^format\s+[A-Z]:/, reason: 'disk_format' },
   // Pipe to shell (encoding bypass)
-  { regex: /\|\s*(ba)?sh\b/, reason: 'pipe_to_shell' },
-  { regex: /\bbase64\s+(-d|--decode).*\|\s*(ba)?sh/, reason: 'encoded_shell_execution' },
-  { regex: /\beval\s+.*\$\(/, reason: 'eval_command_substitution' },
+  { test: (cmd, segment) => pipesIntoShell(cmd, segment), reason: 'pipe_to_shell' },
+  { test: (cmd, segment) => pipesIntoShell(cmd, segment) && upstreamStages(segment).some(isBase64Decode), reason: 'encoded_shell_execution' },
+  { test: (cmd, segment) => cmd.argv[0] === 'eval' && /\$\(|`/.test(segment.source || ''), reason: 'eval_command_substitution' },
+];
+
+// Critical rules that keep the agent from switching ClawShell off or deciding
+// its own requests. They run before the allowlist, which cannot exempt them.
+const SELF_PROTECTION_PATTERNS = [
+  // The operator CLI and control socket decide approvals
+  { test: (cmd) => invokesOperatorCli(cmd.argv), reason: 'clawshell_control' },
+  { test: (cmd) => cmd.text.includes(defaultSocketPath()) || CONTROL_SOCKET.test(cmd.text), reason: 'clawshell_control' },
+  // Another process's environment (the agent's, via $PPID) still holds the
+  // CLAWSHELL_* secrets scrubbed from the command's own; so does `ps e`
+  { test: (cmd) => PROC_ENVIRON.test(cmd.text) || pathTokens(cmd.text).some((token) => token.startsWith('/') && isProcEnviron(resolve(token))), reason: 'process_environ_access' },
+  { test: (cmd) => showsEnvironment(cmd.argv), reason: 'process_environ_access' },
 ];
 
 const HIGH_PATTERNS = [
   // Destructive commands (non-root)
-  { regex: /\brm\s+(-[^\s]*\s+)*-{0,2}(rf|fr)\b/, reason: 'destructive_command' },
-  { regex: /\brm\s+(-[^\s]*\s+)*-r\b/, reason: 'recursive_delete' },
-  // Network exfiltration (non-localhost)
-  { regex: /\bcurl\s+/, reason: 'network_request', checkLocalhost: true },
-  { regex: /\bwget\s+/, reason: 'network_request', checkLocalhost: true },
-  { regex: /\bnc\s+/, reason: 'netcat', checkLocalhost: true },
-  { regex: /\bssh\s+/, reason: 'ssh_connection' },
-  { regex: /\bscp\s+/, reason: 'scp_transfer' },
-  { regex: /\brsync\s+/, reason: 'rsync_transfer' },
+  { test: (cmd) => rmFlags(cmd).recursive && rmFlags(cmd).force, reason: 'destructive_command' },
+  { test: (cmd) => rmFlags(cmd).recursive && !rmFlags(cmd).force, reason: 'recursive_delete' },
+  // Network access (curl, wget, git remotes, package sources; not localhost) and uploads
+  { test: (cmd) => !SESSION_TOOLS.has(cmd.argv[0]) && !NETCAT.has(cmd.argv[0]) && reachesRemote(cmd), reason: 'network_request', network: true },
+  { test: (cmd) => NETCAT.has(cmd.argv[0]) && (networkDestinations(cmd.argv).length === 0 || reachesRemote(cmd)), reason: 'netcat', network: true },
+  { regex: /^ssh\s+/, reason: 'ssh_connection', network: true },
+  { regex: /^scp\s+/, reason: 'scp_transfer', network: true },
+  { regex: /^rsync\s+/, reason: 'rsync_transfer', network: true },
+  { test: (cmd, segment) => reachesRemote(cmd) && outboundPayloads(cmd.argv, segment).length > 0, reason: 'data_upload', network: true },
   // Credential access
   { regex: /[~\/]\.ssh\/id_/, reason: 'ssh_key_access' },
   { regex: /[~\/]\.aws\//, reason: 'aws_credential_access' },
@@ -40,21 +68,36 @@ const HIGH_PATTERNS = [
   { regex: /\/etc\/shadow/, reason: 'shadow_file_access' },
   { regex: /\/etc\/passwd/, reason: 'passwd_file_access' },
   // System modification
-  { regex: /\bsudo\s+/, reason: 'sudo_usage' },
-  { regex: /\bsu\s+/, reason: 'su_usage' },
-  { regex: /\bchmod\s+777\b/, reason: 'world_writable_permissions' },
-  { regex: /\bchown\s+/, reason: 'ownership_change' },
+  { regex: /^sudo\s+/, reason: 'sudo_usage' },
+  { regex: /^su\s+/, reason: 'su_usage' },
+  { regex: /^chmod\s+(-\S+\s+)*777\b/, reason: 'world_writable_permissions' },
+  { regex: /^chown\s+/, reason: 'ownership_change' },
+  // Git history, working tree, remotes and hooks
+  gitRule('force_push'),
+  gitRule('reset_hard'),
+  gitRule('clean'),
+  gitRule('history_rewrite'),
+  gitRule('remote_change'),
+  gitRule('hooks_path'),
+  gitRule('hook_install'),
   // Base64 decode (potential bypass)
-  { regex: /\bbase64\s+(-d|--decode)/, reason: 'base64_decode' },
+  { test: (cmd) => isBase64Decode(cmd.argv), reason: 'base64_decode' },
+  // Inline interpreter code (python -c, node -e, heredocs)
+  inlineRule('dynamic_process_spawn'),
+  inlineRule('dynamic_eval'),
+  inlineRule('file_delete'),
+  inlineRule('network_access'),
+  inlineRule('credential_access'),
 ];
 
 const MEDIUM_PATTERNS = [
-  { regex: /\bnpm\s+install\b/, reason: 'package_install' },
-  { regex: /\bpip\s+install\b/, reason: 'package_install' },
-  { regex: /\bgit\s+push\b/, reason: 'git_push' },
-  { regex: /\bgit\s+commit\b/, reason: 'git_commit' },
+  { regex: /^npm\s+install\b/, reason: 'package_install' },
+  { regex: /^pip3?\s+install\b/, reason: 'package_install' },
+  { test: (cmd) => gitCommand(cmd.argv)?.subcommand === 'push', reason: 'git_push' },
+  { test: (cmd) => gitCommand(cmd.argv)?.subcommand === 'commit', reason: 'git_commit' },
   { regex: /\bspawn\b/, reason: 'process_spawn' },
   { regex: /\bfork\b/, reason: 'process_fork' },
+  inlineRule('process_spawn'),
 ];
 
 const LOW_COMMAND_PREFIXES = [
@@ -66,91 +109,673 @@ const LOW_COMMAND_PREFIXES = [
   'mkdir', 'touch', 'cp', 'mv', 'date', 'uname',
 ];
 
-const LOCALHOST_PATTERN = /(?:localhost|127\.0\.0\.1|0\.0\.0\.0|::1)(?::\d+)?/;
+const SESSION_TOOLS = new Set(['ssh', 'scp', 'rsync']);
+const NETCAT = new Set(['nc', 'ncat', 'netcat']);
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash']);
+
+// `clawshell`, `bin/clawshell.mjs`, the npm package name, and the runners
+// that start it (`npx clawshell`, `node bin/clawshell.mjs`, `pnpm exec ...`)
+const OPERATOR_CLI = /(?:^|\/)(?:openclaw-)?clawshell(?:\.mjs|@[\w.^~-]*)?$/;
+const PACKAGE_RUNNERS = new Set(['npx', 'pnpx', 'bunx', 'node', 'bun', 'pnpm', 'yarn']);
+const PROC_ENVIRON = /\/proc\/(?:[^\s/'"]+\/)+environ\b/;
+// ps options that take a value, which may contain an `e`
+const PS_VALUES = new Set(['-o', '-O', '-p', '-q', '-u', '-U', '-g', '-G', '-t', '-C', '-s', '-k', '--format', '--pid', '--ppid', '--user', '--User', '--group', '--Group', '--sort', '--tty', '--sid']);
+const CONTROL_SOCKET = /clawshell-\d+\.sock\b/;
+
+// Programs that run their arguments as another command, with the options
+// that consume a value (so the inner program name can be located).
+const COMMAND_WRAPPERS = {
+  sudo: ['-u', '-g', '-p', '-C', '-h', '-r', '-t', '-U', '-D'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '-S'],
+  nohup: [],
+  time: [],
+  exec: ['-a'],
+  command: [],
+  builtin: [],
+  nice: ['-n'],
+  ionice: ['-c', '-n', '-p'],
+  stdbuf: ['-i', '-o', '-e'],
+  timeout: ['-s', '-k'],
+  xargs: ['-I', '-n', '-P', '-d', '-L', '-E', '-s', '-a'],
+  watch: ['-n', '-d'],
+};
+
+const LEVELS = ['low', 'medium', 'high', 'critical'];
+const RECOMMENDATIONS = { low: 'allow', medium: 'log_and_allow', high: 'approve', critical: 'block' };
+const MAX_NESTING = 5;
+const SCRIPT_CACHE_SIZE = 200;
 
 export class RiskAnalyzer {
   #config;
+  #configPath;
+  #ruleSet;
+  #network;
+  // Script inspection results by language, content hash and working directory
+  #scriptCache = new Map();
 
+  /**
+   * `config` is either a loaded Config, used as is, or an object of
+   * top-level sections that override the ones loaded from config.yaml.
+   */
   constructor(config = {}) {
-    this.#config = this.#loadConfig(config);
+    const loaded = config instanceof Config ? config : loadConfig();
+    this.#config = config instanceof Config ? config.values : { ...loaded.values, ...config };
+    this.#configPath = loaded.path;
+    this.#ruleSet = { version: 1, hash: ruleSetHash(this.#config), loadedAt: new Date().toISOString() };
+    this.#network = new NetworkPolicy(this.#config.rules?.network);
+  }
+
+  get config() {
+    return this.#config;
+  }
+
+  /** `{ version, hash, loadedAt }` of the active rules; version counts swaps. */
+  get ruleSet() {
+    return { ...this.#ruleSet };
+  }
+
+  /**
+   * Replaces the active rules with an already validated Config (or config
+   * object). Analyses are synchronous, so each one sees either the old or
+   * the new rules, never a mix. Returns the new ruleSet.
+   */
+  updateConfig(config) {
+    this.#config = config instanceof Config ? config.values : config;
+    if (config instanceof Config) this.#configPath = config.path;
+    this.#ruleSet = { version: this.#ruleSet.version + 1, hash: ruleSetHash(this.#config), loadedAt: new Date().toISOString() };
+    this.#network = new NetworkPolicy(this.#config.rules?.network);
+    this.#scriptCache.clear();
+    return this.ruleSet;
   }
 
   analyzeCommand(command, workingDir = process.cwd()) {
+    return this.#analyze(command, workingDir).analysis;
+  }
+
+  /**
+   * Dry run: classifies a command like analyzeCommand and also reports every
+   * rule that fired per segment (built-in pattern, custom blocklist entry,
+   * path blocklist, allowlist), the rule that decided the final level, and
+   * each allowlist entry that was considered with why it did or did not
+   * downgrade the segment.
+   */
+  explainCommand(command, workingDir = process.cwd()) {
+    const { analysis, segments, whole, dirs } = this.#analyze(command, workingDir);
+
+    const explained = segments.map((segment, i) => {
+      const result = analysis.segments[i];
+      const trace = this.#traceSegment(segment, dirs[i]?.dir ?? workingDir, dirs[i]?.unresolved);
+      const allowlisted = result.reasons[0] === 'allowlisted';
+      const decidingRule = allowlisted
+        ? trace.allowlist.find((entry) => entry.matched && entry.list === 'commands')
+          || trace.allowlist.find((entry) => entry.matched)
+        : trace.fired.find((rule) => rule.level === result.level && result.reasons.includes(rule.reason));
+
+      return {
+        ...result,
+        context: segment.context,
+        fired: trace.fired,
+        decidingRule: decidingRule ? ruleSummary(decidingRule) : null,
+        allowlist: trace.allowlist.map((entry) => ({ ...entry, ...allowlistOutcome(entry, result, trace, workingDir) })),
+      };
+    });
+
+    // The final level comes from the whole-input checks or the first segment at that level
+    const decider = whole.level === analysis.level && whole.fired.length > 0
+      ? { segment: null, ...ruleSummary(whole.fired[0]) }
+      : explained.filter((s) => s.level === analysis.level && s.decidingRule)
+        .map((s) => ({ segment: s.command, ...s.decidingRule }))[0] || scriptRule(analysis);
+
+    return {
+      ...analysis,
+      segments: explained,
+      whole: { fired: whole.fired, blocklistSkipped: whole.blocklistSkipped },
+      decidingRule: decider,
+    };
+  }
+
+  #analyze(command, workingDir, depth = 0) {
     const trimmed = command.trim();
-    const reasons = [];
-    let level = 'low';
+    const segments = this.#collectSegments(trimmed);
+    const dirs = segmentDirs(segments, workingDir);
+
+    const results = segments.map((segment, i) => ({
+      command: segment.text,
+      ...this.#analyzeSegment(segment, dirs[i].dir, dirs[i].unresolved),
+    }));
+
+    // Script files the command runs are analyzed by content
+    const scripts = depth < MAX_NESTING && this.#config.rules?.scripts?.inspect !== false
+      ? this.#inspectScripts(segments, dirs, depth) : [];
+
+    // Disguised commands: analyze what they decode to, and escalate for the
+    // disguise itself. Decoded segments join the list so explain shows them.
+    const decoded = [];
+    const decodedResults = [];
+    for (const form of depth < MAX_NESTING ? decodedForms(trimmed, segments) : []) {
+      const inner = form.text === null ? null : this.#analyze(form.text, workingDir, depth + 1);
+      if (form.speculative && (!inner || inner.analysis.level === 'low')) continue;
+      decoded.push({ technique: form.technique, ...(inner ? { command: inner.analysis.command } : {}) });
+      if (!inner) continue;
+      segments.push(...inner.segments.map((segment) => ({ ...segment, context: 'decoded' })));
+      results.push(...inner.analysis.segments);
+      // The decoded text's own whole-input findings (e.g. blocklist hits)
+      decodedResults.push({ level: inner.analysis.level, reasons: inner.analysis.reasons });
+    }
+
+    // Whole-input checks: raw-scope built-ins, and custom blocklist entries
+    // written against the full string (allowlisted segments still win)
+    const whole = { level: 'low', reasons: [], fired: [], blocklistSkipped: false };
+    for (const pattern of CRITICAL_PATTERNS) {
+      if (pattern.scope === 'raw' && pattern.regex.test(trimmed)) {
+        whole.level = 'critical';
+        whole.reasons.push(pattern.reason);
+        whole.fired.push(builtinRule(pattern, 'critical'));
+      }
+    }
+    const allAllowlisted = results.length > 0 && results.every((r) => r.reasons[0] === 'allowlisted');
+    const blockPattern = this.#blocklistHit(trimmed);
+    whole.blocklistSkipped = allAllowlisted && !!blockPattern;
+    if (blockPattern && !allAllowlisted) {
+      whole.level = 'critical';
+      whole.reasons.unshift(`blocklisted: ${blockPattern}`);
+      whole.fired.unshift(customRule('blocklist', 'critical', blockPattern, `blocklisted: ${blockPattern}`));
+    }
+
+    const all = [...(whole.reasons.length > 0 ? [whole] : []), ...results, ...decodedResults, ...scripts];
+    let level = all.reduce((max, r) => (LEVELS.indexOf(r.level) > LEVELS.indexOf(max) ? r.level : max), 'low');
+
+    // Aggregate reasons come from the segments that decided the final level
+    const reasons = [...new Set(all.filter((r) => r.level === level).flatMap((r) => r.reasons))];
+    if (reasons.length === 0) reasons.push('standard_command');
+
+    // A disguise raises the level one step above what it hides
+    if (decoded.length > 0) {
+      const escalated = LEVELS[Math.min(LEVELS.indexOf(level) + 1, LEVELS.length - 1)];
+      const rule = { source: 'deobfuscation', level: escalated, reason: 'obfuscation_detected', match: 'predicate', decoded };
+      if (escalated !== level) whole.fired.unshift(rule);
+      else whole.fired.push(rule);
+      whole.level = level = escalated;
+      reasons.splice(0, reasons[0] === 'standard_command' ? 1 : 0, 'obfuscation_detected');
+      whole.reasons.unshift('obfuscation_detected');
+    }
+
+    const analysis = {
+      level,
+      reasons,
+      command: trimmed,
+      workingDir,
+      recommendation: RECOMMENDATIONS[level],
+      segments: results,
+      ...(decoded.length > 0 ? { decoded } : {}),
+      ...(scripts.length > 0 ? { scripts } : {}),
+    };
+    return { analysis, segments, whole, dirs };
+  }
+
+  #inspectScripts(segments, dirs, depth) {
+    const maxBytes = this.#config.rules?.scripts?.max_bytes || DEFAULT_SCRIPT_MAX_BYTES;
+    const seen = new Set();
+    const scripts = [];
+
+    for (const [i, segment] of segments.entries()) {
+      const workingDir = dirs[i].dir;
+      for (const view of commandViews(segment)) {
+        const reference = scriptReference(view.argv, view.program, workingDir);
+        if (!reference || seen.has(reference.path)) continue;
+        seen.add(reference.path);
+        const script = readScript(reference, maxBytes);
+        if (!script) continue;
+
+        const key = `${script.language}:${script.hash}:${workingDir}`;
+        let result = this.#scriptCache.get(key);
+        if (!result) {
+          result = script.language === 'shell'
+            ? this.#inspectShellScript(script, workingDir, depth)
+            : this.#inspectCodeScript(script, workingDir, depth);
+          // The unread rest of an oversized script is at least logged
+          if (script.truncated) {
+            result.truncated = true;
+            if (result.level === 'low') Object.assign(result, { level: 'medium', reasons: [] });
+            if (result.level === 'medium') result.reasons = [...result.reasons, 'script_truncated'];
+          }
+          // Results that depend on other files are not reused
+          if (!result.dependent) this.#scriptCache.set(key, result);
+          if (this.#scriptCache.size > SCRIPT_CACHE_SIZE) this.#scriptCache.delete(this.#scriptCache.keys().next().value);
+        }
+        const { dependent, ...summary } = result;
+        scripts.push({ path: script.path, language: script.language, command: segment.text, ...summary });
+      }
+    }
+    return scripts;
+  }
+
+  // Analyzes the script as one input and locates each risky command; input
+  // the parser rejects is analyzed line by line instead
+  #inspectShellScript(script, workingDir, depth) {
+    let parsed = true;
+    try {
+      parseShell(script.content);
+    } catch {
+      parsed = false;
+    }
+
+    const units = parsed
+      ? [{ text: script.content, line: null }]
+      : script.content.split('\n').map((text, i) => ({ text, line: i + 1 }))
+        .filter((unit) => unit.text.trim() && !unit.text.trim().startsWith('#'));
+
+    const findings = [];
+    const outcomes = [];
+    let dependent = false;
+    for (const unit of units) {
+      const { analysis, segments } = this.#analyze(unit.text, workingDir, depth + 1);
+      dependent ||= !!analysis.scripts;
+      outcomes.push(analysis);
+      analysis.segments.forEach((result, i) => {
+        if (result.level === 'low') return;
+        findings.push({
+          line: unit.line ?? lineOf(script.content, segments[i].source || segments[i].text),
+          command: result.command,
+          level: result.level,
+          reasons: result.reasons,
+        });
+      });
+      for (const nested of analysis.scripts || []) {
+        if (nested.level === 'low') continue;
+        findings.push({
+          line: unit.line ?? lineOf(script.content, nested.command),
+          command: nested.command,
+          level: nested.level,
+          reasons: nested.reasons,
+          script: nested.path,
+        });
+      }
+    }
+    findings.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+    return { ...summarize(outcomes), findings, dependent };
+  }
+
+  // Interpreter scripts: the inline code checks over the whole file, each
+  // finding attributed to the first line that shows it, and spawned
+  // command strings analyzed like commands
+  #inspectCodeScript(script, workingDir, depth) {
+    const { findings: found, commands } = inspectCode(script.language, script.content);
+    const lines = script.content.split('\n');
+    const findings = [];
+    let dependent = false;
+
+    for (const finding of found) {
+      const rule = [...HIGH_PATTERNS.map((r) => ['high', r]), ...MEDIUM_PATTERNS.map((r) => ['medium', r])]
+        .find(([, r]) => r.finding === finding);
+      const index = lines.findIndex((line) => inspectCode(script.language, line).findings.includes(finding));
+      findings.push({
+        line: index === -1 ? null : index + 1,
+        command: index === -1 ? null : lines[index].trim(),
+        level: rule[0],
+        reasons: [rule[1].reason],
+      });
+    }
+    for (const command of commands) {
+      const { analysis } = this.#analyze(command, workingDir, depth + 1);
+      dependent ||= !!analysis.scripts;
+      if (analysis.level === 'low') continue;
+      findings.push({ line: lineOf(script.content, command), command, level: analysis.level, reasons: analysis.reasons });
+    }
+    findings.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+    return { ...summarize(findings), findings, dependent };
+  }
+
+  /**
+   * Returns the quorum policy from `approvals.policies` that applies to an
+   * analysis result, or null when a single approval is enough. A policy
+   * matches on any of its risk `reasons` or on a `commands` pattern tested
+   * against the full command and each segment. When several match, the one
+   * requiring the most approvals wins.
+   */
+  approvalPolicy(analysis) {
+    const policies = this.#config.approvals?.policies;
+    if (!Array.isArray(policies)) return null;
+
+    const commands = [analysis.command, ...(analysis.segments || []).map((s) => s.command)];
+    let chosen = null;
+
+    for (const [index, policy] of policies.entries()) {
+      const byReason = (policy.reasons || []).some((reason) => analysis.reasons.includes(reason));
+      const byCommand = (policy.commands || []).some((pattern) =>
+        commands.some((command) => this.#matchPattern(command, pattern)));
+      if (!byReason && !byCommand) continue;
+
+      const required = Math.max(1, parseInt(policy.required, 10) || 1);
+      if (!chosen || required > chosen.required) {
+        chosen = {
+          name: policy.name || `policy_${index + 1}`,
+          required,
+          approvers: (policy.approvers || []).map(String),
+        };
+      }
+    }
+
+    return chosen;
+  }
+
+  /**
+   * Execution timeout for an analyzed command: the first matching
+   * `execution.rules` entry, else `execution.timeouts.<level>`, else
+   * `execution.timeout_seconds`. Returns `{ seconds, source }` where source
+   * is `rule:<name>`, `level:<level>` or `default`.
+   */
+  executionTimeout(analysis) {
+    const execution = this.#config.execution || {};
+    const commands = [analysis.command, ...(analysis.segments || []).map((s) => s.command)];
+
+    for (const [index, rule] of (Array.isArray(execution.rules) ? execution.rules : []).entries()) {
+      const byReason = (rule.reasons || []).some((reason) => analysis.reasons.includes(reason));
+      const byCommand = (rule.commands || []).some((pattern) =>
+        commands.some((command) => this.#matchPattern(command, pattern)));
+      if (byReason || byCommand) {
+        return { seconds: rule.timeout_seconds, source: `rule:${rule.name || `rule_${index + 1}`}` };
+      }
+    }
+
+    const byLevel = execution.timeouts?.[analysis.level];
+    if (byLevel) return { seconds: byLevel, source: `level:${analysis.level}` };
+    return { seconds: execution.timeout_seconds || 60, source: 'default' };
+  }
+
+  // `unresolvedDir`: an earlier `cd` went somewhere that can't be read, so
+  // relative operands may name any file
+  #analyzeSegment(segment, workingDir, unresolvedDir = false) {
+    const views = commandViews(segment);
+
+    const selfProtection = [
+      ...matchRules(SELF_PROTECTION_PATTERNS, views, segment),
+      ...this.#protectedFileCheck(views, segment, workingDir).map((hit) => hit.reason),
+      ...(namesRelativeProcEnviron(views, workingDir) ? ['process_environ_access'] : []),
+    ];
+    if (selfProtection.length > 0) {
+      // `rm -rf ~` also deletes the config file; name the wider damage
+      const critical = matchRules(CRITICAL_PATTERNS, views, segment);
+      return { level: 'critical', reasons: critical.length > 0 ? critical : [...new Set(selfProtection)] };
+    }
 
     // Command allowlist takes precedence over blocklist (per spec)
-    if (this.#matchesCommandAllowlist(trimmed)) {
-      return { level: 'low', reasons: ['allowlisted'], command: trimmed, workingDir, recommendation: 'allow' };
+    if (this.#matchesCommandAllowlist(segment.text)) {
+      return { level: 'low', reasons: ['allowlisted'] };
     }
 
     // Check custom blocklist (elevates to critical)
-    const blockReason = this.#matchesBlocklist(trimmed);
-    if (blockReason) {
-      return { level: 'critical', reasons: [blockReason], command: trimmed, workingDir, recommendation: 'block' };
+    for (const view of views) {
+      const blockReason = this.#matchesBlocklist(view.text);
+      if (blockReason) return { level: 'critical', reasons: [blockReason] };
     }
+    const pathReasons = this.#matchesPathBlocklist(commandPaths(views, segment), workingDir);
+    if (pathReasons.length > 0) return { level: 'critical', reasons: pathReasons };
+    const network = this.#networkCheck(views);
+    if (network.blocked.length > 0) return { level: 'critical', reasons: network.blocked.map((hit) => hit.reason) };
+    const exfiltration = this.#exfiltrationCheck(views, segment, workingDir);
+    if (exfiltration.length > 0) return { level: 'critical', reasons: exfiltration.map((hit) => hit.reason) };
+    const protectedPushes = this.#protectedBranchCheck(views, workingDir);
+    const criticalPushes = protectedPushes.filter((hit) => hit.level === 'critical');
+    if (criticalPushes.length > 0) return { level: 'critical', reasons: criticalPushes.map((hit) => hit.reason) };
 
     // Check critical patterns — never overridable by allowlist
-    for (const pattern of CRITICAL_PATTERNS) {
-      if (pattern.regex.test(trimmed)) {
-        reasons.push(pattern.reason);
-        level = 'critical';
+    const critical = matchRules(CRITICAL_PATTERNS, views, segment);
+    if (critical.length > 0) return { level: 'critical', reasons: critical };
+
+    // Check high-risk patterns — never overridable by path allowlist
+    const high = [
+      ...matchRules(network.allowed ? HIGH_PATTERNS.filter((rule) => !rule.network) : HIGH_PATTERNS, views, segment),
+      ...protectedPushes.map((hit) => hit.reason),
+    ];
+    if (high.length > 0) return { level: 'high', reasons: high };
+
+    // Check medium-risk patterns; input the parser rejected is at least logged
+    const reasons = segment.unparsed ? ['unparseable_command'] : [];
+    reasons.push(...matchRules(MEDIUM_PATTERNS, views, segment));
+
+    // File operations outside workspace boundary
+    if (this.#outsideWorkspaceFileOp(views, workingDir)) {
+      reasons.push('file_operation_outside_workspace');
+    }
+    // The path allowlist is about workingDir, which this segment may have left
+    if (unresolvedDir && hasRelativePath(views, segment)) {
+      return { level: 'medium', reasons: [...new Set([...reasons, 'unresolved_working_directory'])] };
+    }
+
+    if (reasons.length > 0) {
+      // Allowlist (command or path) can downgrade medium to low
+      if (this.#matchesAllowlist(segment.text, workingDir)) {
+        return { level: 'low', reasons: ['allowlisted'] };
       }
+      return { level: 'medium', reasons: [...new Set(reasons)] };
     }
-    if (level === 'critical') {
-      return { level, reasons, command: trimmed, workingDir, recommendation: 'block' };
+
+    return { level: 'low', reasons: ['standard_command'] };
+  }
+
+  // Every rule that matches a segment, without the short-circuits of
+  // #analyzeSegment, plus each allowlist entry and whether it matched
+  #traceSegment(segment, workingDir, unresolvedDir = false) {
+    const views = commandViews(segment);
+    const fired = [];
+
+    for (const hit of this.#protectedFileCheck(views, segment, workingDir)) {
+      fired.push({ source: 'self_protection', level: 'critical', reason: hit.reason, match: 'predicate', path: hit.path });
     }
+    if (namesRelativeProcEnviron(views, workingDir)) {
+      fired.push({ source: 'self_protection', level: 'critical', reason: 'process_environ_access', match: 'predicate' });
+    }
+
+    for (const pattern of this.#config.rules?.blocklist?.commands || []) {
+      if (views.some((view) => this.#matchPattern(view.text, pattern))) {
+        fired.push(customRule('blocklist', 'critical', pattern, `blocklisted: ${pattern}`));
+      }
+    }
+    for (const hit of this.#pathBlocklistHits(commandPaths(views, segment), workingDir)) {
+      fired.push({ ...customRule('path_blocklist', 'critical', hit.pattern, hit.reason), path: hit.path });
+    }
+    const network = this.#networkCheck(views);
+    for (const hit of network.blocked) {
+      fired.push({ ...customRule('network_blocklist', 'critical', hit.pattern, hit.reason), destination: hit.destination });
+    }
+    for (const hit of this.#exfiltrationCheck(views, segment, workingDir)) {
+      fired.push({ source: 'exfiltration', level: 'critical', reason: hit.reason, match: 'predicate', payload: hit.payload, ...(hit.pattern && { pattern: hit.pattern }) });
+    }
+    for (const hit of this.#protectedBranchCheck(views, workingDir)) {
+      fired.push({ ...customRule('protected_branch', hit.level, hit.pattern, hit.reason), branch: hit.branch });
+    }
+
+    for (const [level, rules] of [['critical', SELF_PROTECTION_PATTERNS], ['critical', CRITICAL_PATTERNS], ['high', HIGH_PATTERNS], ['medium', MEDIUM_PATTERNS]]) {
+      fired.push(...firedRules(rules, views, segment).map((rule) => builtinRule(rule, level)));
+    }
+    if (segment.unparsed) {
+      fired.push({ source: 'parser', level: 'medium', reason: 'unparseable_command', match: 'predicate' });
+    }
+    if (this.#outsideWorkspaceFileOp(views, workingDir)) {
+      fired.push({ source: 'builtin', level: 'medium', reason: 'file_operation_outside_workspace', match: 'predicate' });
+    }
+    if (unresolvedDir && hasRelativePath(views, segment)) {
+      fired.push({ source: 'builtin', level: 'medium', reason: 'unresolved_working_directory', match: 'predicate' });
+    }
+
+    const allowlist = this.#config.rules?.allowlist || {};
+    const entries = [
+      ...(allowlist.commands || []).map((pattern) => ({
+        list: 'commands', pattern, match: patternType(pattern), matched: this.#matchPattern(segment.text, pattern),
+      })),
+      ...(workingDir ? allowlist.paths || [] : []).map((pattern) => ({
+        list: 'paths', pattern, match: patternType(pattern), matched: this.#matchPattern(workingDir, pattern),
+      })),
+      ...(network.destinations.length > 0 ? this.#config.rules?.network?.allow || [] : []).map((pattern) => ({
+        list: 'network', pattern, match: 'destination', matched: network.allowedBy.includes(pattern),
+      })),
+    ];
+
+    return { fired, allowlist: entries, networkAllowed: network.allowed };
+  }
 
-    // Check high-risk patterns — never overridable by allowlist
-    for (const pattern of HIGH_PATTERNS) {
-      if (pattern.regex.test(trimmed)) {
-        // For network commands, check if targeting localhost
-        if (pattern.checkLocalhost && LOCALHOST_PATTERN.test(trimmed)) {
-          continue; // Skip — localhost is safe
+  #collectSegments(command, depth = 0) {
+    let segments;
+    try {
+      segments = extractCommands(parseShell(command));
+    } catch {
+      // Input bash would reject; fall back to a naive split so the rules
+      // still see every command-looking fragment
+      return command.split(/[;&|()\n]+/).map((part) => part.trim()).filter(Boolean).map((text) => {
+        const argv = text.split(/\s+/);
+        return {
+          argv, text, redirects: [], assignments: [], source: text, context: 'top', unparsed: true,
+          pipeline: { index: 0, length: 1, stages: [argv], background: false },
+        };
+      });
+    }
+
+    if (depth >= MAX_NESTING) return segments;
+
+    // Strings handed to `eval` or `sh -c`, shell heredocs and commands
+    // spawned from inline interpreter code are commands in their own right
+    const nested = [];
+    for (const segment of segments) {
+      for (const view of commandViews(segment)) {
+        const inner = nestedScript(view.argv);
+        if (inner) nested.push(...this.#collectSegments(inner, depth + 1));
+        const inline = inlineCode(view.argv, segment);
+        for (const spawned of inline ? inspectCode(inline.language, inline.code).commands : []) {
+          nested.push(...this.#collectSegments(spawned, depth + 1));
         }
-        reasons.push(pattern.reason);
-        if (level !== 'high') level = 'high';
       }
     }
-    if (level === 'high') {
-      // Command allowlist can override high-risk (e.g. explicitly allowed commands)
-      // but path allowlist alone should NOT override high-risk
-      if (this.#matchesCommandAllowlist(trimmed)) {
-        return { level: 'low', reasons: ['allowlisted'], command: trimmed, workingDir, recommendation: 'allow' };
+    return [...segments, ...nested];
+  }
+
+  /**
+   * Matches the destinations of a command against `rules.network`: returns
+   * `{ destinations, blocked, allowed, allowedBy }`, where `blocked` lists
+   * `{ pattern, reason, destination }` hits and `allowed` means an allow
+   * list is set and every destination is on it or on this machine.
+   */
+  #networkCheck(views) {
+    const destinations = views.flatMap((view) => networkDestinations(view.argv));
+    const blocked = [];
+    for (const destination of destinations) {
+      const pattern = this.#network.blocked(destination);
+      if (pattern && !blocked.some((hit) => hit.pattern === pattern)) {
+        blocked.push({ pattern, reason: `network_blocked: ${pattern}`, destination: formatDestination(destination) });
       }
-      return { level, reasons, command: trimmed, workingDir, recommendation: 'approve' };
     }
+    const allowedBy = destinations.map((destination) => this.#network.allowed(destination));
+    const allowed = this.#network.hasAllowList && destinations.length > 0
+      && destinations.every((destination, i) => allowedBy[i] || isLocalDestination(destination));
+    return { destinations, blocked, allowed, allowedBy: allowedBy.filter(Boolean) };
+  }
 
-    // Check medium-risk patterns
-    for (const pattern of MEDIUM_PATTERNS) {
-      if (pattern.regex.test(trimmed)) {
-        reasons.push(pattern.reason);
-        if (level !== 'medium') level = 'medium';
+  /**
+   * Sensitive payloads a command sends to a host other than this machine:
+   * `[{ payload, reason, pattern? }]`. Files match SENSITIVE_PATHS or
+   * `rules.exfiltration.paths` (a directory counts when one is inside it);
+   * variables are secret by name or listed in `rules.exfiltration.variables`.
+   */
+  #exfiltrationCheck(views, segment, workingDir) {
+    const hits = [];
+    for (const view of views) {
+      if (!reachesRemote(view)) continue;
+      for (const { kind, value } of outboundPayloads(view.argv, segment)) {
+        const payload = kind === 'variable' ? `$${value}` : value;
+        const hit = { payload, reason: `data_exfiltration: ${payload}` };
+        if (kind === 'environment') hits.push(hit);
+        else if (kind === 'variable' && this.#sensitiveVariable(value)) hits.push(hit);
+        else if (kind === 'file') {
+          const pattern = this.#sensitivePath(value, workingDir);
+          if (pattern) hits.push({ ...hit, pattern });
+        }
       }
     }
+    return hits.filter((hit, i) => hits.findIndex((other) => other.reason === hit.reason) === i);
+  }
 
-    // File operations outside workspace boundary
-    const workspace = process.env.WORKSPACE_DIR || '/app/workspace';
-    if (workingDir && !workingDir.startsWith(workspace)) {
-      // Only flag write-oriented file operations, not package manager installs
-      const fileOps = /\b(cp|mv|tee|truncate)\b/;
-      if (fileOps.test(trimmed)) {
-        reasons.push('file_operation_outside_workspace');
-        if (level !== 'medium') level = 'medium';
+  #sensitiveVariable(name) {
+    return isSensitiveVariable(name) || (this.#config.rules?.exfiltration?.variables || []).some((pattern) => this.#matchPattern(name, pattern));
+  }
+
+  #sensitivePath(arg, workingDir) {
+    const { path, real } = resolvePath(arg, workingDir || process.cwd());
+    for (const pattern of [...SENSITIVE_PATHS, ...(this.#config.rules?.exfiltration?.paths || [])]) {
+      const expanded = expandHome(pattern);
+      const inside = patternType(expanded) === 'exact' && [path, real].some((candidate) => expanded.startsWith(`${candidate.replace(/\/$/, '')}/`));
+      if (inside || [path, real].some((candidate) => this.#matchPattern(candidate, expanded))) return pattern;
+    }
+    return null;
+  }
+
+  /**
+   * Writes, moves and deletes that reach ClawShell's own files:
+   * `[{ reason, path }]`. The active config file is reloaded on change, so
+   * editing it would change the rules the agent runs under; the audit log
+   * directory and approval store hold the record of what it ran.
+   */
+  #protectedFileCheck(views, segment, workingDir) {
+    const protectedFiles = this.#protectedFiles();
+    const hits = [];
+    for (const view of views) {
+      for (const { path: arg, removes } of writtenPaths(view.argv, segment)) {
+        const { path, real } = resolvePath(arg, workingDir || process.cwd());
+        for (const file of protectedFiles) {
+          const reached = [path, real].some((candidate) => [file.path, file.real].some((target) => candidate === target
+            || (file.directory && isInside(candidate, target))
+            || (removes && isInside(target, candidate))));
+          if (reached && !hits.some((hit) => hit.reason === file.reason)) hits.push({ reason: file.reason, path });
+        }
       }
     }
+    return hits;
+  }
 
-    if (level === 'medium') {
-      // Allowlist (command or path) can downgrade medium to low
-      if (this.#matchesAllowlist(trimmed, workingDir)) {
-        return { level: 'low', reasons: ['allowlisted'], command: trimmed, workingDir, recommendation: 'allow' };
+  // Relative settings resolve against the process, as the logger does
+  #protectedFiles() {
+    const settings = this.#config.clawshell || {};
+    return [
+      ...(this.#configPath ? [{ target: this.#configPath, reason: 'clawshell_config_write' }] : []),
+      { target: settings.log_dir || 'logs', directory: true, reason: 'clawshell_log_write' },
+      ...(settings.approvals_file ? [{ target: settings.approvals_file, reason: 'clawshell_log_write' }] : []),
+    ].map(({ target, ...file }) => ({ ...resolvePath(target), ...file }));
+  }
+
+  /**
+   * Pushes that update a branch in `rules.git.protected_branches`:
+   * `[{ level, reason, pattern, branch }]`. Force pushes and deletions are
+   * critical, other pushes high. Without refspecs the current branch and
+   * its upstream are read from the repository the command runs in.
+   */
+  #protectedBranchCheck(views, workingDir) {
+    const patterns = this.#config.rules?.git?.protected_branches || [];
+    if (patterns.length === 0) return [];
+
+    const hits = [];
+    for (const view of views) {
+      const git = gitCommand(view.argv);
+      if (git?.subcommand !== 'push') continue;
+      const repo = readRepository(resolvePath(git.dir ?? '.', workingDir || process.cwd()).path);
+      for (const target of pushTargets(git.args, repo)) {
+        if (target.branch === null) continue;
+        const pattern = target.branch === '*' ? patterns[0] : patterns.find((p) => this.#matchPattern(target.branch, p));
+        if (!pattern) continue;
+        const branch = `${target.remote}/${target.branch}`;
+        const [level, kind] = target.delete ? ['critical', 'git_delete_protected'] : target.force ? ['critical', 'git_force_push_protected'] : ['high', 'git_push_protected'];
+        hits.push({ level, reason: `${kind}: ${branch}`, pattern, branch });
       }
-      return { level, reasons, command: trimmed, workingDir, recommendation: 'log_and_allow' };
     }
+    return hits.filter((hit, i) => hits.findIndex((other) => other.reason === hit.reason) === i);
+  }
 
-    // Default: low risk
-    return { level: 'low', reasons: ['standard_command'], command: trimmed, workingDir, recommendation: 'allow' };
+  #outsideWorkspaceFileOp(views, workingDir) {
+    const workspace = process.env.WORKSPACE_DIR || '/app/workspace';
+    if (!workingDir || workingDir.startsWith(workspace)) return false;
+    // Only flag write-oriented file operations, not package manager installs
+    const fileOps = new Set(['cp', 'mv', 'tee', 'truncate']);
+    return views.some((view) => fileOps.has(view.argv[0]));
   }
 
   #matchesCommandAllowlist(command) {
@@ -179,18 +804,40 @@ export class RiskAnalyzer {
   }
 
   #matchesBlocklist(command) {
-    const blocklist = this.#config.rules?.blocklist;
-    if (!blocklist) return null;
+    const pattern = this.#blocklistHit(command);
+    return pattern ? `blocklisted: ${pattern}` : null;
+  }
 
-    if (blocklist.commands) {
-      for (const pattern of blocklist.commands) {
-        if (this.#matchPattern(command, pattern)) return `blocklisted: ${pattern}`;
-      }
+  #blocklistHit(command) {
+    for (const pattern of this.#config.rules?.blocklist?.commands || []) {
+      if (this.#matchPattern(command, pattern)) return pattern;
     }
-
     return null;
   }
 
+  #matchesPathBlocklist(paths, workingDir) {
+    return [...new Set(this.#pathBlocklistHits(paths, workingDir).map((hit) => hit.reason))];
+  }
+
+  #pathBlocklistHits(paths, workingDir) {
+    const patterns = this.#config.rules?.blocklist?.paths;
+    if (!patterns?.length || paths.length === 0) return [];
+
+    const hits = [];
+    for (const arg of paths) {
+      const { path, real } = resolvePath(arg, workingDir || process.cwd());
+      for (const pattern of patterns) {
+        const expanded = expandHome(pattern);
+        const hit = [path, real].find((candidate) => this.#matchPattern(candidate, expanded));
+        if (hit) {
+          hits.push({ path: hit, pattern, reason: `blocklisted path: ${hit} (${pattern})` });
+          break;
+        }
+      }
+    }
+    return hits;
+  }
+
   #matchPattern(value, pattern) {
     // Regex pattern: must start with / and end with / optionally followed by valid flags only
     const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
@@ -208,42 +855,308 @@ export class RiskAnalyzer {
     // Glob match
     return minimatch(value, pattern, { dot: true });
   }
+}
 
-  #loadConfig(overrides) {
-    let config = {};
+// --- Command helpers ---
 
-    // Try config.yaml
-    const configPaths = [
-      join(process.cwd(), 'config.yaml'),
-      join(process.cwd(), '..', 'config.yaml'),
-    ];
+// Highest level among `{ level, reasons }` results and the reasons behind it
+function summarize(results) {
+  const level = results.reduce((max, r) => (LEVELS.indexOf(r.level) > LEVELS.indexOf(max) ? r.level : max), 'low');
+  const reasons = [...new Set(results.filter((r) => r.level === level).flatMap((r) => r.reasons))];
+  return { level, reasons: level === 'low' ? ['standard_command'] : reasons };
+}
 
-    for (const configPath of configPaths) {
-      if (existsSync(configPath)) {
-        try {
-          const raw = readFileSync(configPath, 'utf-8');
-          config = YAML.parse(raw) || {};
-          break;
-        } catch { /* ignore parse errors */ }
-      }
+function matchRules(rules, views, segment) {
+  return [...new Set(firedRules(rules, views, segment).map((rule) => rule.reason))];
+}
+
+function firedRules(rules, views, segment) {
+  return rules.filter((rule) => rule.scope !== 'raw' && views.some((view) => (rule.test ? rule.test(view, segment) : rule.regex.test(view.text))));
+}
+
+// --- Explain helpers ---
+
+// The script finding that decided an analysis, when no segment rule did
+function scriptRule(analysis) {
+  for (const script of analysis.scripts || []) {
+    if (script.level !== analysis.level) continue;
+    const finding = script.findings.find((f) => f.level === script.level);
+    return {
+      segment: null, source: 'script', level: script.level, reason: script.reasons[0], match: 'predicate',
+      path: script.path, line: finding?.line ?? null,
+    };
+  }
+  return null;
+}
+
+function builtinRule(rule, level) {
+  const described = { source: 'builtin', level, reason: rule.reason, match: rule.regex ? 'regex' : 'predicate' };
+  if (rule.regex) described.pattern = rule.regex.toString();
+  return described;
+}
+
+function customRule(source, level, pattern, reason) {
+  return { source, level, reason, pattern, match: patternType(pattern) };
+}
+
+function ruleSummary(rule) {
+  if (rule.list) {
+    return { source: 'allowlist', level: 'low', reason: 'allowlisted', pattern: rule.pattern, match: rule.match, list: rule.list };
+  }
+  return rule;
+}
+
+function patternType(pattern) {
+  if (/^\/(.+)\/([gimsuy]*)$/.test(pattern)) return 'regex';
+  return /[*?[\]{}!]/.test(pattern) ? 'glob' : 'exact';
+}
+
+// Why an allowlist entry did or did not downgrade a segment
+function allowlistOutcome(entry, result, trace, workingDir) {
+  const commandMatch = trace.allowlist.some((e) => e.list === 'commands' && e.matched);
+
+  if (entry.list === 'commands') {
+    if (!entry.matched) return { applied: false, note: `does not match "${result.command}"` };
+    return { applied: true, note: 'command allowlist overrides every other rule' };
+  }
+  if (entry.list === 'network') {
+    if (!entry.matched) return { applied: false, note: 'matches no destination of the command' };
+    if (!trace.networkAllowed) return { applied: false, note: 'other destinations are not allowed' };
+    return { applied: true, note: 'every destination is allowed, so network rules do not apply' };
+  }
+
+  if (!entry.matched) return { applied: false, note: `working directory ${workingDir} does not match` };
+  if (commandMatch) return { applied: false, note: 'command allowlist already applied' };
+  if (result.reasons[0] === 'allowlisted') return { applied: true, note: 'downgraded medium risk to low' };
+  if (result.level === 'low') return { applied: false, note: 'nothing to downgrade' };
+  return { applied: false, note: `path allowlist only downgrades medium risk, not ${result.level}` };
+}
+
+/**
+ * Returns the ways a simple command can be read: as written, and once per
+ * wrapper peeled off (`sudo env FOO=1 rm -rf x` also yields `rm -rf x`).
+ * Program names are reduced to their basename.
+ */
+function commandViews(segment) {
+  const redirectText = segment.redirects.map((r) => `${r.fd ?? ''}${r.op} ${r.target}`);
+  const views = [];
+  let argv = segment.argv;
+
+  while (argv.length > 0) {
+    const normalized = [basename(argv[0]), ...argv.slice(1)];
+    views.push({ argv: normalized, program: argv[0], text: [...normalized, ...redirectText].join(' ') });
+    argv = unwrapCommand(normalized);
+  }
+
+  if (views.length === 0) views.push({ argv: [], text: segment.text });
+  return views;
+}
+
+function unwrapCommand(argv) {
+  const [program, ...rest] = argv;
+  const valueOptions = COMMAND_WRAPPERS[program];
+  if (!valueOptions) return [];
+
+  let i = 0;
+  while (i < rest.length && rest[i].startsWith('-') && rest[i] !== '-') {
+    if (rest[i] === '--') {
+      i++;
+      break;
+    }
+    i += valueOptions.includes(rest[i]) ? 2 : 1;
+  }
+  if (program === 'env') {
+    while (i < rest.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[i])) i++;
+  }
+  if (program === 'timeout') i++; // duration
+  return rest.slice(i);
+}
+
+function nestedScript(argv) {
+  const [program, ...args] = argv;
+  if (program === 'eval') return args.join(' ') || null;
+  if (SHELLS.has(program)) {
+    const flag = args.findIndex((arg) => /^-[a-z]*c[a-z]*$/.test(arg));
+    if (flag !== -1 && args[flag + 1] !== undefined) return args[flag + 1];
+  }
+  return null;
+}
+
+/**
+ * Collects the arguments of a command that may name files: operands,
+ * `--opt=value` / `key=value` values that look like paths, and redirection
+ * targets (but not fd duplications such as `2>&1`).
+ */
+function commandPaths(views, segment) {
+  const paths = new Set();
+
+  for (const view of views) {
+    for (const arg of view.argv.slice(1)) {
+      const eq = arg.indexOf('=');
+      if (eq !== -1 && /[\/~]/.test(arg.slice(eq + 1))) paths.add(arg.slice(eq + 1));
+      else if (arg && !arg.startsWith('-')) paths.add(arg);
     }
+  }
+
+  for (const redirect of segment.redirects) {
+    if (redirect.op === '<<' || redirect.op === '<<-' || redirect.op === '<<<') continue;
+    if ((redirect.op === '>&' || redirect.op === '<&') && /^(\d+|-)$/.test(redirect.target)) continue;
+    paths.add(redirect.target);
+  }
 
-    // Environment variable overrides (comma-separated)
-    if (process.env.CLAWSHELL_BLOCKLIST) {
-      config.rules = config.rules || {};
-      config.rules.blocklist = config.rules.blocklist || {};
-      config.rules.blocklist.commands = process.env.CLAWSHELL_BLOCKLIST.split(',').map(s => s.trim());
+  return [...paths];
+}
+
+/**
+ * The directory each segment runs in: `{ dir, unresolved }`. A `cd` or
+ * `pushd` moves the segments after it; inside a subshell only until the
+ * subshell ends. `unresolved` is set once a target can't be read
+ * (`cd "$DIR"`, `cd -`) and cleared by an absolute one.
+ */
+function segmentDirs(segments, workingDir) {
+  const top = { dir: workingDir || process.cwd(), unresolved: false };
+  let subshell = null;
+
+  return segments.map((segment) => {
+    if (segment.context !== 'subshell') subshell = null;
+    const state = segment.context === 'subshell' ? (subshell ??= { ...top }) : top;
+    const current = { ...state };
+
+    const [program, ...args] = segment.argv;
+    if ((program === 'cd' || program === 'pushd') && segment.context !== 'substitution') {
+      const target = args.filter((arg) => !/^-[LPe@]+$/.test(arg))[0] ?? '~';
+      const expanded = expandHome(target);
+      if (target === '-' || /[$`*?[]/.test(expanded)) state.unresolved = true;
+      else if (expanded.startsWith('/') || !state.unresolved) Object.assign(state, { dir: resolvePath(expanded, state.dir).path, unresolved: false });
     }
+    return current;
+  });
+}
+
+// Operands or redirect targets not anchored at `/` or `~`
+function hasRelativePath(views, segment) {
+  return commandPaths(views, segment).some((path) => !/^(?:\/|~|\$HOME\b|\$\{HOME\})/.test(path));
+}
 
-    if (process.env.CLAWSHELL_ALLOWLIST) {
-      config.rules = config.rules || {};
-      config.rules.allowlist = config.rules.allowlist || {};
-      config.rules.allowlist.commands = process.env.CLAWSHELL_ALLOWLIST.split(',').map(s => s.trim());
+// Whether `path` is below directory `dir`
+function isInside(path, dir) {
+  return path.startsWith(`${dir.replace(/\/$/, '')}/`);
+}
+
+function rmFlags(cmd) {
+  const flags = { recursive: false, force: false };
+  if (cmd.argv[0] !== 'rm') return flags;
+
+  for (const arg of cmd.argv.slice(1)) {
+    if (arg === '--') break;
+    if (arg === '--recursive') flags.recursive = true;
+    else if (arg === '--force') flags.force = true;
+    else if (/^-[^-]/.test(arg)) {
+      if (/[rR]/.test(arg)) flags.recursive = true;
+      if (arg.includes('f')) flags.force = true;
     }
+  }
+  return flags;
+}
+
+function rmTargets(cmd) {
+  const targets = [];
+  let endOfOptions = false;
+  for (const arg of cmd.argv.slice(1)) {
+    if (!endOfOptions && arg === '--') endOfOptions = true;
+    else if (endOfOptions || !arg.startsWith('-')) targets.push(arg);
+  }
+  return targets;
+}
+
+function isRootTarget(target) {
+  return /^(\/+|~\/*|\/+\*|~\/\*|\$HOME\/*|\$\{HOME\}\/*)$/.test(target);
+}
+
+// A rule for one finding of inspectCode() on the command's inline code
+function inlineRule(finding) {
+  return {
+    test: (cmd, segment) => {
+      const inline = inlineCode(cmd.argv, segment);
+      return !!inline && inspectCode(inline.language, inline.code).findings.includes(finding);
+    },
+    finding,
+    reason: `inline_${finding}`,
+  };
+}
+
+// A rule for one finding of gitFindings()
+function gitRule(finding) {
+  return { test: (cmd, segment) => gitFindings(cmd.argv, segment).includes(finding), reason: `git_${finding}` };
+}
 
-    // Merge overrides
-    return { ...config, ...overrides };
+function invokesOperatorCli(argv) {
+  if (OPERATOR_CLI.test(argv[0] || '')) return true;
+  if (!PACKAGE_RUNNERS.has(argv[0])) return false;
+  const target = argv.slice(1).find((arg) => !arg.startsWith('-') && !['exec', 'dlx', 'x', 'run'].includes(arg));
+  return OPERATOR_CLI.test(target || '');
+}
+
+// `ps e`, `ps eww`, `ps -E`: print each process's environment
+function showsEnvironment(argv) {
+  if (argv[0] !== 'ps') return false;
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (/^-[a-zA-Z]*E/.test(arg)) return true;
+    if (PS_VALUES.has(arg)) i++;
+    else if (/^[a-zA-Z]+$/.test(arg)) {
+      // BSD-style cluster; `o`, `O`, `p`, `t`, `U`, `k` at the end take a value
+      if (arg.includes('e')) return true;
+      if (/[oOptUk]$/.test(arg)) i++;
+    }
   }
+  return false;
+}
+
+// Words of a command or code string that may be paths
+function pathTokens(text) {
+  return text.split(/[\s'"`<>|&;=]+/).filter(Boolean);
+}
+
+// `/proc/<pid>/environ` once `..`, `.` and repeated slashes are folded away
+function isProcEnviron(path) {
+  return /^\/proc\/(?:[^/]+\/)+environ$/.test(path);
+}
+
+// A relative path that reaches `/proc/<pid>/environ` from the directory an
+// earlier `cd` moved to
+function namesRelativeProcEnviron(views, workingDir) {
+  if (!workingDir) return false;
+  return views.some((view) => pathTokens(view.text).some((token) => !/^[/~$]/.test(token) && isProcEnviron(resolve(workingDir, token))));
+}
+
+// Contacts a host other than this machine, or one that cannot be read;
+// a package manager's default registry does not count
+function reachesRemote(cmd) {
+  return networkDestinations(cmd.argv).some((destination) => !destination.implicit && !isLocalDestination(destination));
+}
+
+function formatDestination({ host, port }) {
+  const name = host?.includes(':') ? `[${host}]` : host ?? '?';
+  return port ? `${name}:${port}` : name;
+}
+
+function isBase64Decode(argv) {
+  return !!argv && basename(argv[0] || '') === 'base64' && argv.some((arg) => /^(-d|-D|--decode)$/.test(arg));
+}
+
+function pipesIntoShell(cmd, segment) {
+  if (segment.pipeline.index === 0 || !SHELLS.has(cmd.argv[0])) return false;
+  // `sh -c '...'` ignores stdin as a script; nested analysis covers it
+  return nestedScript(cmd.argv) === null;
+}
+
+function upstreamStages(segment) {
+  return segment.pipeline.stages.slice(0, segment.pipeline.index);
+}
+
+function basename(program) {
+  return program.includes('/') ? program.slice(program.lastIndexOf('/') + 1) : program;
 }
 
 // Convenience singleton
@@ -0,0 +1,141 @@
+import { runCommand } from './executor.mjs';
+
+// --- Execution backends ---
+//
+// An executor is any object with a `name` and `run(command, opts)` that
+// resolves like runCommand; `opts` are the runCommand options (cwd,
+// timeoutMs, maxOutputBytes, killGraceMs, onOutput, signal). clawshell.mjs
+// picks one per risk level from `execution.sandbox`.
+
+export const EXECUTOR_TYPES = ['direct', 'restricted', 'namespace'];
+export const NAMESPACE_TOOLS = ['bwrap', 'unshare'];
+
+const DEFAULT_PATH = '/usr/local/bin:/usr/bin:/bin';
+const DEFAULT_KEEP_ENV = ['HOME', 'USER', 'LOGNAME', 'LANG', 'LC_ALL', 'TERM', 'TZ', 'TMPDIR'];
+const LIMIT_FLAGS = {
+  cpu_seconds: (value) => `--cpu=${value}`,
+  memory_mb: (value) => `--as=${value * 1024 * 1024}`,
+  processes: (value) => `--nproc=${value}`,
+  file_size_mb: (value) => `--fsize=${value * 1024 * 1024}`,
+};
+
+/** Runs commands as the agent would, in its full environment. */
+export class DirectExecutor {
+  get name() { return 'direct'; }
+
+  run(command, opts = {}) {
+    return runCommand(command, opts);
+  }
+}
+
+/**
+ * Runs commands with a scrubbed environment: only `keep_env` variables pass
+ * through and PATH is fixed. `umask` applies to files the command creates,
+ * and `limits` (cpu_seconds, memory_mb, processes, file_size_mb) are set
+ * with util-linux prlimit.
+ */
+export class RestrictedExecutor {
+  #path;
+  #keepEnv;
+  #umask;
+  #limits;
+
+  constructor(opts = {}) {
+    this.#path = opts.path || DEFAULT_PATH;
+    this.#keepEnv = opts.keep_env || DEFAULT_KEEP_ENV;
+    this.#umask = String(opts.umask ?? '077');
+    this.#limits = Object.entries(opts.limits || {})
+      .filter(([key, value]) => LIMIT_FLAGS[key] && value)
+      .map(([key, value]) => LIMIT_FLAGS[key](value));
+  }
+
+  get name() { return 'restricted'; }
+
+  /** The environment the command sees. */
+  environment(source = process.env) {
+    const env = { PATH: this.#path };
+    for (const key of this.#keepEnv) {
+      if (source[key] !== undefined) env[key] = source[key];
+    }
+    return env;
+  }
+
+  run(command, opts = {}) {
+    const prefix = [
+      ...(this.#limits.length ? ['prlimit', ...this.#limits, '--'] : []),
+      '/bin/sh', '-c', `umask ${this.#umask} && exec "$@"`, 'clawshell-restricted',
+    ];
+    return runCommand(command, { ...opts, env: this.environment(opts.env), prefix });
+  }
+}
+
+/**
+ * Runs commands in Linux namespaces with the root filesystem read-only.
+ * Only the working directory and `writable` paths can be written, and the
+ * network is cut off unless `network` is true. `tool` is `bwrap`
+ * (bubblewrap; also gives a private /tmp, /dev and /proc) or `unshare`
+ * (util-linux, through an unprivileged user namespace). If the tool is
+ * missing the command fails rather than running unsandboxed.
+ */
+export class NamespaceExecutor {
+  #tool;
+  #network;
+  #writable;
+
+  constructor(opts = {}) {
+    this.#tool = opts.tool || 'bwrap';
+    this.#network = opts.network === true;
+    this.#writable = opts.writable || [];
+  }
+
+  get name() { return 'namespace'; }
+
+  run(command, opts = {}) {
+    const cwd = opts.cwd || process.cwd();
+    const writable = [...new Set([cwd, ...this.#writable])];
+    const prefix = this.#tool === 'unshare' ? this.#unshare(writable) : this.#bwrap(cwd, writable);
+    return runCommand(command, { ...opts, cwd, prefix });
+  }
+
+  #bwrap(cwd, writable) {
+    return [
+      'bwrap',
+      '--ro-bind', '/', '/',
+      '--dev', '/dev',
+      '--proc', '/proc',
+      '--tmpfs', '/tmp',
+      ...writable.flatMap((path) => ['--bind', path, path]),
+      '--unshare-all',
+      ...(this.#network ? ['--share-net'] : []),
+      '--die-with-parent',
+      '--chdir', cwd,
+      '--',
+    ];
+  }
+
+  // Bind each writable path onto itself so the read-only remount of / skips it
+  #unshare(writable) {
+    const setup = [
+      'while [ "$1" != -- ]; do mount --bind "$1" "$1" || exit 125; shift; done; shift',
+      'mount -o remount,bind,ro / || exit 125',
+      'cd "$PWD" && exec "$@"',
+    ].join('; ');
+    return [
+      'unshare', '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child',
+      ...(this.#network ? [] : ['--net']),
+      '--', '/bin/sh', '-c', setup, 'clawshell-sandbox', ...writable, '--',
+    ];
+  }
+}
+
+/**
+ * Builds the built-in executors from the `execution` section of
+ * config.yaml. Returns a Map of name to executor.
+ */
+export function createExecutors(execution = {}) {
+  return new Map([
+    ['direct', new DirectExecutor()],
+    ['restricted', new RestrictedExecutor(execution.restricted)],
+    ['namespace', new NamespaceExecutor(execution.namespace)],
+  ]);
+}
@@ -0,0 +1,80 @@
+import { openSync, readSync, fstatSync, closeSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { extname } from 'node:path';
+import { resolvePath } from './paths.mjs';
+import { interpreterScript, interpreterLanguage } from './inline-code.mjs';
+
+// --- Script files ---
+//
+// Locates local script files a command runs (`bash deploy.sh`, `./x.sh`,
+// `python3 tool.py`) and reads them for RiskAnalyzer, which analyzes the
+// contents and reports findings by line.
+
+export const DEFAULT_SCRIPT_MAX_BYTES = 256 * 1024;
+
+const EXTENSIONS = {
+  '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell',
+  '.py': 'python', '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.pl': 'perl', '.rb': 'ruby',
+};
+
+/**
+ * Returns `{ path, language }` for the script file a command runs, or null.
+ * `argv` is a command view (program reduced to its basename) and `program`
+ * the program as written, so `./deploy.sh` counts as running a file.
+ * `language` is null when it has to come from the file's shebang.
+ */
+export function scriptReference(argv, program, workingDir) {
+  const named = interpreterScript(argv);
+  if (named) return { path: resolvePath(named.path, workingDir).real, language: named.language };
+  if (program?.includes('/')) return { path: resolvePath(program, workingDir).real, language: null };
+  return null;
+}
+
+/**
+ * Reads up to `maxBytes` of a script. Returns `{ path, language, content,
+ * hash, truncated }`, or null for missing, non-regular or binary files and
+ * files whose language is not known.
+ */
+export function readScript({ path, language }, maxBytes = DEFAULT_SCRIPT_MAX_BYTES) {
+  let fd;
+  try {
+    fd = openSync(path, 'r');
+    const stat = fstatSync(fd);
+    if (!stat.isFile()) return null;
+    const buffer = Buffer.alloc(Math.min(stat.size, maxBytes));
+    const length = readSync(fd, buffer, 0, buffer.length, 0);
+    const bytes = buffer.subarray(0, length);
+    if (bytes.includes(0)) return null;
+
+    const content = bytes.toString('utf-8');
+    const detected = language || shebangLanguage(content) || EXTENSIONS[extname(path)] || (content.startsWith('#!') ? null : 'shell');
+    if (!detected) return null;
+    return {
+      path,
+      language: detected,
+      content,
+      hash: createHash('sha256').update(bytes).digest('hex'),
+      truncated: stat.size > maxBytes,
+    };
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+/** 1-based number of the line where `text` starts in `content`, or null. */
+export function lineOf(content, text) {
+  const index = text ? content.indexOf(text) : -1;
+  return index === -1 ? null : content.slice(0, index).split('\n').length;
+}
+
+// `#!/bin/bash`, `#!/usr/bin/env python3`, `#!/usr/bin/env -S node --flag`
+function shebangLanguage(content) {
+  const match = content.match(/^#!\s*(\S+)([^\n]*)/);
+  if (!match) return null;
+  let program = match[1].slice(match[1].lastIndexOf('/') + 1);
+  if (program === 'env') program = match[2].trim().split(/\s+/).find((arg) => !arg.startsWith('-') && !arg.includes('=')) || '';
+  return interpreterLanguage(program);
+}
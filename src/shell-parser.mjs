@@ -0,0 +1,794 @@
+// --- Shell grammar parser ---
+//
+// A small recursive-descent parser for the subset of POSIX/bash syntax that
+// agents actually emit: lists (`;`, `&&`, `||`, `&`), pipelines, subshells,
+// brace groups, function definitions, command/process substitutions,
+// redirections (including here-docs), quoting and escapes. It never executes
+// anything — expansions that cannot be resolved statically are kept verbatim
+// and flagged as dynamic so the risk analyzer can treat them conservatively.
+
+const METACHARS = new Set([' ', '\t', '\n', ';', '&', '|', '(', ')', '<', '>']);
+const BLANKS = new Set([' ', '\t']);
+const SHELL_KEYWORD_PREFIXES = new Set(['if', 'then', 'else', 'elif', 'while', 'until', 'do', '!']);
+const SHELL_KEYWORD_ENDINGS = new Set(['fi', 'done', 'esac']);
+const REDIRECT_OPERATORS = ['&>>', '&>', '<<<', '<<-', '<<', '<>', '<&', '>>', '>&', '>|', '<', '>'];
+const LITERAL_WORD = /^[^\s;&|()<>'"\\$`]+(?=[\s;&|()<>]|$)/;
+
+const ANSI_C_ESCAPES = {
+  a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v',
+  '\\': '\\', "'": "'", '"': '"', '?': '?',
+};
+
+class ShellParser {
+  #src;
+  #pos = 0;
+  #pendingHeredocs = [];
+
+  constructor(src) {
+    this.#src = src;
+  }
+
+  parse() {
+    const list = this.#parseList({});
+    if (this.#pos < this.#src.length) {
+      this.#fail(`unexpected "${this.#src[this.#pos]}"`);
+    }
+    this.#readPendingHeredocs();
+    return list;
+  }
+
+  // --- Lists and pipelines ---
+
+  #parseList(terms) {
+    const items = [];
+
+    while (true) {
+      this.#skipSeparators();
+      if (this.#atListEnd(terms)) break;
+
+      const pipeline = this.#parsePipeline();
+      this.#skipBlanks();
+
+      let op = null;
+      if (this.#startsWith('&&') || this.#startsWith('||')) {
+        op = this.#src.slice(this.#pos, this.#pos + 2);
+        this.#pos += 2;
+        this.#skipSeparators(true);
+        if (this.#atListEnd(terms) || this.#pos >= this.#src.length) this.#fail(`expected command after "${op}"`);
+      } else if (this.#peek() === ';' && !this.#startsWith(';;')) {
+        op = ';';
+        this.#pos++;
+      } else if (this.#peek() === '&' && !this.#startsWith('&>')) {
+        op = '&';
+        this.#pos++;
+      } else if (this.#peek() === '\n') {
+        op = ';';
+        this.#consumeNewline();
+      }
+
+      if (pipeline.commands.length > 0) items.push({ pipeline, op });
+      if (!op && !this.#atListEnd(terms) && this.#pos < this.#src.length) {
+        this.#fail(`unexpected "${this.#peek()}"`);
+      }
+    }
+
+    return { type: 'list', items };
+  }
+
+  #atListEnd(terms) {
+    if (this.#pos >= this.#src.length) return true;
+    if (terms.paren && this.#peek() === ')') return true;
+    if (terms.caseItem && (this.#startsWith(';;') || this.#startsWith(';&'))) return true;
+    const word = this.#peekLiteralWord();
+    return word !== null && terms.words?.has(word);
+  }
+
+  #parsePipeline() {
+    const commands = [];
+    let negated = false;
+
+    this.#skipBlanks();
+    if (this.#peekLiteralWord() === '!') {
+      negated = true;
+      this.#pos++;
+    }
+
+    while (true) {
+      const command = this.#parseCommand();
+      if (command) commands.push(command);
+      this.#skipBlanks();
+
+      if (this.#peek() === '|' && !this.#startsWith('||')) {
+        this.#pos += this.#startsWith('|&') ? 2 : 1;
+        this.#skipSeparators(true);
+        continue;
+      }
+      break;
+    }
+
+    return { type: 'pipeline', negated, commands };
+  }
+
+  // --- Commands ---
+
+  #parseCommand() {
+    this.#skipBlanks();
+    const keyword = this.#peekLiteralWord();
+
+    if (this.#peek() === '(') {
+      this.#pos++;
+      const body = this.#parseList({ paren: true });
+      this.#expect(')');
+      return { type: 'subshell', body, redirects: this.#parseTrailingRedirects() };
+    }
+
+    if (keyword === '{') {
+      this.#pos++;
+      const body = this.#parseList({ words: new Set(['}']) });
+      this.#expectWord('}');
+      return { type: 'group', body, redirects: this.#parseTrailingRedirects() };
+    }
+
+    if (SHELL_KEYWORD_PREFIXES.has(keyword)) {
+      this.#pos += keyword.length;
+      return this.#parseCommand();
+    }
+
+    if (SHELL_KEYWORD_ENDINGS.has(keyword)) {
+      this.#pos += keyword.length;
+      this.#parseTrailingRedirects();
+      return null;
+    }
+
+    if (keyword === 'for' || keyword === 'select') {
+      // Loop headers only bind a variable; the body is parsed after `do`.
+      this.#pos += keyword.length;
+      this.#skipBlanks();
+      if (this.#startsWith('((')) {
+        this.#pos += 2;
+        this.#skipBalanced('(', ')', 2);
+      }
+      while (this.#pos < this.#src.length) {
+        if (BLANKS.has(this.#peek())) this.#pos++;
+        else if (METACHARS.has(this.#peek())) break;
+        else this.#readWord();
+      }
+      return null;
+    }
+
+    if (keyword === 'case') return this.#parseCase();
+
+    if (keyword === 'function') {
+      this.#pos += keyword.length;
+      this.#skipBlanks();
+      const name = this.#readWord().value;
+      this.#skipBlanks();
+      if (this.#startsWith('()')) this.#pos += 2;
+      return this.#parseFunctionBody(name);
+    }
+
+    return this.#parseSimpleCommand();
+  }
+
+  #parseSimpleCommand() {
+    const start = this.#pos;
+    const assignments = [];
+    const words = [];
+    const redirects = [];
+
+    while (true) {
+      this.#skipBlanks();
+      const ch = this.#peek();
+      if (ch === undefined || ch === '\n' || ch === ';' || ch === '|' || ch === ')') break;
+      if (ch === '&' && !this.#startsWith('&>')) break;
+
+      if (ch === '#') {
+        this.#skipComment();
+        break;
+      }
+
+      if (this.#startsWith('<(') || this.#startsWith('>(')) {
+        words.push(this.#readProcessSubstitution());
+        continue;
+      }
+
+      const redirect = this.#tryReadRedirect();
+      if (redirect) {
+        redirects.push(redirect);
+        continue;
+      }
+
+      if (ch === '(') {
+        // `name() { ...; }` — only valid straight after a single word
+        if (words.length === 1 && assignments.length === 0 && /^\(\s*\)/.test(this.#src.slice(this.#pos))) {
+          this.#pos = this.#src.indexOf(')', this.#pos) + 1;
+          return this.#parseFunctionBody(words[0].value);
+        }
+        this.#fail('unexpected "("');
+      }
+
+      const word = this.#readWord();
+      if (words.length === 0 && /^[A-Za-z_][A-Za-z0-9_]*\+?=$/.test(word.raw) && this.#peek() === '(') {
+        // Array assignment: `name=(a b c)`
+        const open = this.#pos;
+        this.#pos++;
+        this.#skipBalanced('(', ')', 1);
+        word.raw += this.#src.slice(open, this.#pos);
+        word.value += this.#src.slice(open, this.#pos);
+      }
+      if (words.length === 0 && /^[A-Za-z_][A-Za-z0-9_]*\+?=/.test(word.raw)) {
+        const eq = word.raw.indexOf('=');
+        assignments.push({
+          name: word.raw.slice(0, eq).replace(/\+$/, ''),
+          value: { ...word, value: word.value.slice(word.value.indexOf('=') + 1) },
+        });
+      } else {
+        words.push(...this.#splitResolvedWord(word));
+      }
+    }
+
+    if (words.length === 0 && assignments.length === 0 && redirects.length === 0) return null;
+
+    return {
+      type: 'command',
+      assignments,
+      words,
+      redirects,
+      source: this.#src.slice(start, this.#pos).trim(),
+    };
+  }
+
+  #parseFunctionBody(name) {
+    this.#skipSeparators(true);
+    const body = this.#parseCommand();
+    if (!body) this.#fail(`missing body for function "${name}"`);
+    return { type: 'function', name, body };
+  }
+
+  #parseCase() {
+    this.#pos += 'case'.length;
+    this.#skipBlanks();
+    this.#readWord();
+    this.#skipBlanks();
+    this.#expectWord('in');
+
+    const items = [];
+    while (true) {
+      this.#skipSeparators(true);
+      if (this.#pos >= this.#src.length) this.#fail('unterminated case statement');
+      if (this.#peekLiteralWord() === 'esac') {
+        this.#pos += 4;
+        break;
+      }
+
+      // Pattern list up to the closing `)`
+      if (this.#peek() === '(') this.#pos++;
+      while (this.#pos < this.#src.length && this.#peek() !== ')') {
+        if (BLANKS.has(this.#peek()) || this.#peek() === '|') this.#pos++;
+        else this.#readWord();
+      }
+      this.#expect(')');
+
+      const body = this.#parseList({ caseItem: true, words: new Set(['esac']) });
+      items.push(...body.items);
+      if (this.#startsWith(';;&')) this.#pos += 3;
+      else if (this.#startsWith(';;') || this.#startsWith(';&')) this.#pos += 2;
+    }
+
+    return { type: 'group', body: { type: 'list', items }, redirects: this.#parseTrailingRedirects() };
+  }
+
+  // --- Redirections ---
+
+  #parseTrailingRedirects() {
+    const redirects = [];
+    while (true) {
+      this.#skipBlanks();
+      const redirect = this.#tryReadRedirect();
+      if (!redirect) return redirects;
+      redirects.push(redirect);
+    }
+  }
+
+  #tryReadRedirect() {
+    const rest = this.#src.slice(this.#pos);
+    const fdMatch = rest.match(/^(\d+)(?=[<>])/);
+    const afterFd = fdMatch ? rest.slice(fdMatch[1].length) : rest;
+    const op = REDIRECT_OPERATORS.find((candidate) => afterFd.startsWith(candidate));
+    if (!op || (fdMatch && op.startsWith('&'))) return null;
+    if (afterFd.startsWith(op + '(') && (op === '<' || op === '>')) return null;
+
+    this.#pos += (fdMatch ? fdMatch[1].length : 0) + op.length;
+    this.#skipBlanks();
+    const processSubstitution = this.#startsWith('<(') || this.#startsWith('>(');
+    if (!processSubstitution && (this.#pos >= this.#src.length || METACHARS.has(this.#peek()))) {
+      this.#fail(`missing target for redirection "${op}"`);
+    }
+
+    const redirect = {
+      op,
+      fd: fdMatch ? parseInt(fdMatch[1], 10) : null,
+      target: processSubstitution ? this.#readProcessSubstitution() : this.#readWord(),
+    };
+
+    if (op === '<<' || op === '<<-') {
+      redirect.body = '';
+      this.#pendingHeredocs.push({ redirect, delimiter: redirect.target.value, stripTabs: op === '<<-' });
+    }
+
+    return redirect;
+  }
+
+  #readPendingHeredocs() {
+    for (const heredoc of this.#pendingHeredocs) {
+      const lines = [];
+      while (this.#pos < this.#src.length) {
+        let end = this.#src.indexOf('\n', this.#pos);
+        if (end === -1) end = this.#src.length;
+        let line = this.#src.slice(this.#pos, end);
+        this.#pos = Math.min(end + 1, this.#src.length);
+        if (heredoc.stripTabs) line = line.replace(/^\t+/, '');
+        if (line === heredoc.delimiter) break;
+        lines.push(line);
+      }
+      heredoc.redirect.body = lines.join('\n');
+    }
+    this.#pendingHeredocs = [];
+  }
+
+  // --- Words ---
+
+  #readWord() {
+    const word = { value: '', raw: '', dynamic: false, quoted: false, substitutions: [] };
+    const start = this.#pos;
+    let resolvedUnquoted = false;
+
+    while (this.#pos < this.#src.length) {
+      const ch = this.#peek();
+      if (METACHARS.has(ch)) break;
+
+      if (ch === '\\') {
+        const next = this.#src[this.#pos + 1];
+        this.#pos += 2;
+        if (next === '\n') continue;
+        word.value += next ?? '\\';
+        word.quoted = true;
+      } else if (ch === "'") {
+        const end = this.#src.indexOf("'", this.#pos + 1);
+        if (end === -1) this.#fail('unterminated single quote');
+        word.value += this.#src.slice(this.#pos + 1, end);
+        word.quoted = true;
+        this.#pos = end + 1;
+      } else if (ch === '"') {
+        this.#pos++;
+        this.#readDoubleQuoted(word);
+        word.quoted = true;
+      } else if (ch === '$' && this.#src[this.#pos + 1] === "'") {
+        this.#pos += 2;
+        word.value += this.#readAnsiCString();
+        word.quoted = true;
+      } else if (ch === '$' && this.#src[this.#pos + 1] === '"') {
+        this.#pos += 2;
+        this.#readDoubleQuoted(word);
+        word.quoted = true;
+      } else if (ch === '$' || ch === '`') {
+        if (this.#readExpansion(word)) resolvedUnquoted = true;
+      } else {
+        word.value += ch;
+        this.#pos++;
+      }
+    }
+
+    word.raw = this.#src.slice(start, this.#pos);
+    if (resolvedUnquoted) word.split = true;
+    return word;
+  }
+
+  #readDoubleQuoted(word) {
+    while (true) {
+      const ch = this.#peek();
+      if (ch === undefined) this.#fail('unterminated double quote');
+      if (ch === '"') {
+        this.#pos++;
+        return;
+      }
+      if (ch === '\\') {
+        const next = this.#src[this.#pos + 1];
+        this.#pos += 2;
+        if (next === '\n') continue;
+        word.value += '$`"\\'.includes(next) ? next : '\\' + (next ?? '');
+      } else if (ch === '$' || ch === '`') {
+        this.#readExpansion(word);
+      } else {
+        word.value += ch;
+        this.#pos++;
+      }
+    }
+  }
+
+  #readAnsiCString() {
+    let out = '';
+    while (true) {
+      const ch = this.#peek();
+      if (ch === undefined) this.#fail('unterminated $\'...\' string');
+      this.#pos++;
+      if (ch === "'") return out;
+      if (ch !== '\\') {
+        out += ch;
+        continue;
+      }
+      const [decoded, length] = decodeEscape(this.#src, this.#pos, { ansiC: true });
+      out += decoded;
+      this.#pos += length;
+    }
+  }
+
+  /**
+   * Reads `$name`, `${...}`, `$((...))`, `$(...)` or a backtick substitution
+   * at the cursor and appends it to the word. Returns true when a command
+   * substitution was resolved statically (its output is subject to splitting).
+   */
+  #readExpansion(word) {
+    const start = this.#pos;
+
+    if (this.#peek() === '`') {
+      const inner = this.#readBacktickBody();
+      const body = new ShellParser(inner).parse();
+      return this.#appendSubstitution(word, body, start);
+    }
+
+    const next = this.#src[this.#pos + 1];
+
+    if (this.#startsWith('$((')) {
+      this.#pos += 3;
+      this.#skipBalanced('(', ')', 2);
+    } else if (next === '(') {
+      this.#pos += 2;
+      const body = this.#parseList({ paren: true });
+      this.#expect(')');
+      return this.#appendSubstitution(word, body, start);
+    } else if (next === '{') {
+      this.#pos += 2;
+      this.#skipBalanced('{', '}', 1);
+    } else if (next !== undefined && /[A-Za-z_]/.test(next)) {
+      this.#pos++;
+      while (this.#pos < this.#src.length && /[A-Za-z0-9_]/.test(this.#peek())) this.#pos++;
+    } else if (next !== undefined && /[0-9@*#?$!-]/.test(next)) {
+      this.#pos += 2;
+    } else {
+      word.value += '$';
+      this.#pos++;
+      return false;
+    }
+
+    word.value += this.#src.slice(start, this.#pos);
+    word.dynamic = true;
+    return false;
+  }
+
+  #appendSubstitution(word, body, start) {
+    word.substitutions.push(body);
+    const output = staticOutput(body);
+    if (output === null) {
+      word.value += this.#src.slice(start, this.#pos);
+      word.dynamic = true;
+      return false;
+    }
+    word.value += output;
+    return true;
+  }
+
+  #readBacktickBody() {
+    let inner = '';
+    this.#pos++;
+    while (true) {
+      const ch = this.#peek();
+      if (ch === undefined) this.#fail('unterminated backtick substitution');
+      this.#pos++;
+      if (ch === '`') return inner;
+      if (ch === '\\' && '`$\\'.includes(this.#src[this.#pos])) {
+        inner += this.#src[this.#pos];
+        this.#pos++;
+      } else {
+        inner += ch;
+      }
+    }
+  }
+
+  #readProcessSubstitution() {
+    const start = this.#pos;
+    this.#pos += 2;
+    const body = this.#parseList({ paren: true });
+    this.#expect(')');
+    const raw = this.#src.slice(start, this.#pos);
+    return { value: raw, raw, dynamic: true, quoted: false, substitutions: [body] };
+  }
+
+  #splitResolvedWord(word) {
+    if (!word.split) return [word];
+    const { split, ...rest } = word;
+    const parts = word.value.split(/[ \t\n]+/).filter(Boolean);
+    if (parts.length <= 1) return [{ ...rest, value: parts[0] ?? '' }];
+    return parts.map((value, i) => ({ ...rest, value, substitutions: i === 0 ? rest.substitutions : [] }));
+  }
+
+  // --- Low-level scanning ---
+
+  #peek() {
+    return this.#src[this.#pos];
+  }
+
+  #startsWith(str) {
+    return this.#src.startsWith(str, this.#pos);
+  }
+
+  #peekLiteralWord() {
+    const match = this.#src.slice(this.#pos).match(LITERAL_WORD);
+    return match ? match[0] : null;
+  }
+
+  #skipBlanks() {
+    while (this.#pos < this.#src.length) {
+      if (BLANKS.has(this.#peek())) this.#pos++;
+      else if (this.#startsWith('\\\n')) this.#pos += 2;
+      else break;
+    }
+  }
+
+  #skipSeparators(newlinesOnly = false) {
+    while (true) {
+      this.#skipBlanks();
+      const ch = this.#peek();
+      if (ch === '\n') this.#consumeNewline();
+      else if (ch === '#') this.#skipComment();
+      else if (!newlinesOnly && ch === ';' && !this.#startsWith(';;')) this.#pos++;
+      else break;
+    }
+  }
+
+  #skipComment() {
+    const end = this.#src.indexOf('\n', this.#pos);
+    this.#pos = end === -1 ? this.#src.length : end;
+  }
+
+  #consumeNewline() {
+    this.#pos++;
+    if (this.#pendingHeredocs.length > 0) this.#readPendingHeredocs();
+  }
+
+  #skipBalanced(open, close, depth) {
+    let quote = null;
+    while (depth > 0) {
+      const ch = this.#peek();
+      if (ch === undefined) this.#fail(`unterminated "${open}"`);
+      this.#pos++;
+      if (quote) {
+        if (ch === '\\' && quote === '"') this.#pos++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '\\') {
+        this.#pos++;
+      } else if (ch === "'" || ch === '"') {
+        quote = ch;
+      } else if (ch === open) {
+        depth++;
+      } else if (ch === close) {
+        depth--;
+      }
+    }
+  }
+
+  #expect(ch) {
+    if (this.#peek() !== ch) this.#fail(`expected "${ch}"`);
+    this.#pos++;
+  }
+
+  #expectWord(word) {
+    this.#skipSeparators(true);
+    if (this.#peekLiteralWord() !== word) this.#fail(`expected "${word}"`);
+    this.#pos += word.length;
+  }
+
+  #fail(message) {
+    throw new SyntaxError(`Shell syntax error at offset ${this.#pos}: ${message}`);
+  }
+}
+
+// --- Escape decoding ---
+
+/**
+ * Decodes the escape sequence that starts right after a backslash at
+ * `src[pos]`. Returns [decodedText, consumedLength].
+ */
+export function decodeEscape(src, pos, opts = {}) {
+  const ch = src[pos];
+  if (ch === undefined) return ['\\', 0];
+
+  if (ch === 'x') {
+    const hex = src.slice(pos + 1, pos + 3).match(/^[0-9a-fA-F]{1,2}/);
+    if (hex) return [String.fromCharCode(parseInt(hex[0], 16)), 1 + hex[0].length];
+  }
+
+  if (ch === 'u' || ch === 'U') {
+    const hex = src.slice(pos + 1, pos + (ch === 'u' ? 5 : 9)).match(/^[0-9a-fA-F]+/);
+    if (hex) return [String.fromCodePoint(parseInt(hex[0], 16)), 1 + hex[0].length];
+  }
+
+  if (/[0-7]/.test(ch)) {
+    // $'\101' takes up to three digits; echo/printf use a leading zero (\0101)
+    const octal = src.slice(pos, pos + (opts.ansiC ? 3 : 4)).match(opts.ansiC ? /^[0-7]{1,3}/ : /^0?[0-7]{1,3}/);
+    return [String.fromCharCode(parseInt(octal[0], 8) & 0xff), octal[0].length];
+  }
+
+  if (ch === 'c' && opts.ansiC && src[pos + 1] !== undefined) {
+    return [String.fromCharCode(src.charCodeAt(pos + 1) & 0x1f), 2];
+  }
+
+  if (ANSI_C_ESCAPES[ch] !== undefined) return [ANSI_C_ESCAPES[ch], 1];
+  return ['\\' + ch, 1];
+}
+
+function decodeEscapes(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '\\') {
+      out += text[i];
+      continue;
+    }
+    const [decoded, length] = decodeEscape(text, i + 1);
+    out += decoded;
+    i += length;
+  }
+  return out;
+}
+
+// --- Static evaluation of substitutions ---
+
+/**
+ * Returns the output of a command substitution body when it can be computed
+ * without running anything (a single literal `echo` or `printf`), else null.
+ */
+export function staticOutput(list) {
+  if (list.items.length !== 1) return null;
+  const { commands } = list.items[0].pipeline;
+  if (commands.length !== 1) return null;
+
+  const cmd = commands[0];
+  if (cmd.type !== 'command' || cmd.redirects.length > 0 || cmd.words.length === 0) return null;
+  if (cmd.words.some((w) => w.dynamic)) return null;
+
+  const output = literalOutput(cmd.words.map((w) => w.value));
+  return output === null ? null : output.replace(/\n+$/, '');
+}
+
+/**
+ * Output of an `echo` or `printf` argv with its escapes decoded, or null
+ * for any other program or a format it cannot evaluate.
+ */
+export function literalOutput(argv) {
+  const [program, ...args] = argv;
+
+  if (program === 'echo') {
+    let interpret = false;
+    let newline = true;
+    while (args.length > 0 && /^-[neE]+$/.test(args[0])) {
+      const flags = args.shift();
+      if (flags.includes('e')) interpret = true;
+      if (flags.includes('n')) newline = false;
+    }
+    const text = interpret ? decodeEscapes(args.join(' ')) : args.join(' ');
+    return newline ? `${text}\n` : text;
+  }
+  if (program === 'printf') return formatPrintf(args);
+  return null;
+}
+
+function formatPrintf(args) {
+  if (args.length === 0) return null;
+  const [format, ...values] = args;
+  let out = '';
+  let index = 0;
+
+  // printf reuses the format until all arguments are consumed
+  do {
+    for (let i = 0; i < format.length; i++) {
+      const ch = format[i];
+      if (ch === '\\') {
+        const [decoded, length] = decodeEscape(format, i + 1);
+        out += decoded;
+        i += length;
+      } else if (ch === '%') {
+        const spec = format[++i];
+        if (spec === '%') out += '%';
+        else if (spec === 's') out += values[index++] ?? '';
+        else if (spec === 'b') out += decodeEscapes(values[index++] ?? '');
+        else return null;
+      } else {
+        out += ch;
+      }
+    }
+  } while (index > 0 && index < values.length);
+
+  return out;
+}
+
+// --- Public API ---
+
+/**
+ * Parses a shell command string into an AST. Throws SyntaxError on input
+ * bash itself would reject (unterminated quotes, unbalanced parentheses).
+ */
+export function parseShell(command) {
+  return new ShellParser(command).parse();
+}
+
+/**
+ * Flattens an AST into the simple commands it would run, including those
+ * nested in subshells, groups, function bodies and substitutions.
+ *
+ * Each entry carries the resolved argv, redirections, assignments, a
+ * normalized `text` form and its pipeline context.
+ */
+export function extractCommands(ast) {
+  const commands = [];
+  walkList(ast, commands, 'top');
+  return commands;
+}
+
+function walkList(list, out, context) {
+  for (const { pipeline, op } of list.items) {
+    const stages = pipeline.commands.map((node) => (node.type === 'command' ? node.words.map((w) => w.value) : null));
+    pipeline.commands.forEach((node, index) => {
+      walkNode(node, out, context, { index, length: stages.length, stages, background: op === '&' });
+    });
+  }
+}
+
+function walkNode(node, out, context, pipeline) {
+  if (node.type === 'subshell' || node.type === 'group') {
+    walkList(node.body, out, node.type === 'subshell' ? 'subshell' : context);
+    walkRedirects(node.redirects, out);
+    return;
+  }
+
+  if (node.type === 'function') {
+    walkNode(node.body, out, 'function', pipeline);
+    return;
+  }
+
+  const argv = node.words.map((w) => w.value);
+  const redirects = node.redirects.map((r) => ({
+    op: r.op,
+    fd: r.fd,
+    target: r.target.value,
+    ...(r.body !== undefined ? { body: r.body } : {}),
+  }));
+  const assignments = node.assignments.map((a) => ({ name: a.name, value: a.value.value, dynamic: a.value.dynamic }));
+
+  let text = argv.join(' ');
+  if (argv.length === 0) text = assignments.map((a) => `${a.name}=${a.value}`).join(' ');
+  for (const r of redirects) {
+    text += `${text ? ' ' : ''}${r.fd ?? ''}${r.op} ${r.target}`;
+  }
+
+  out.push({
+    argv,
+    text,
+    redirects,
+    assignments,
+    dynamic: node.words.length > 0 && node.words[0].dynamic,
+    source: node.source,
+    context,
+    pipeline,
+  });
+
+  for (const word of [...node.words, ...node.assignments.map((a) => a.value)]) {
+    for (const sub of word.substitutions) walkList(sub, out, 'substitution');
+  }
+  walkRedirects(node.redirects, out);
+}
+
+function walkRedirects(redirects, out) {
+  for (const r of redirects) {
+    for (const sub of r.target.substitutions) walkList(sub, out, 'substitution');
+  }
+}
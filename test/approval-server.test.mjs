@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PendingApprovals } from '../src/clawshell.mjs';
+import { ApprovalServer } from '../src/approval-server.mjs';
+
+let store;
+let server;
+
+beforeEach(async () => {
+  store = new PendingApprovals({ timeoutSeconds: 10 });
+  server = new ApprovalServer({
+    pending: store,
+    secret: 'test-secret',
+    telegramWebhookSecret: 'hook-secret',
+    telegramChatId: '42',
+  });
+  await server.start();
+});
+
+afterEach(async () => {
+  await server.close();
+  store.destroy();
+});
+
+function telegramUpdate(data, chatId = 42, username = 'alice') {
+  return {
+    update_id: 1,
+    callback_query: { id: 'cb-1', data, from: { id: 7, username }, message: { chat: { id: chatId } } },
+  };
+}
+
+function postTelegram(body, secret = 'hook-secret') {
+  return fetch(`${server.url}/telegram/webhook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': secret },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('ApprovalServer links', () => {
+
+  it('linksFor() returns signed approve and reject URLs', () => {
+    const links = server.linksFor('abc');
+    assert.ok(links.approveUrl.startsWith(`${server.url}/approve/abc?exp=`));
+    assert.ok(links.rejectUrl.startsWith(`${server.url}/reject/abc?exp=`));
+    assert.ok(links.approveUrl.includes('&sig='));
+  });
+
+  it('GET shows a confirmation page without deciding', async () => {
+    store.add({ id: 'abc', command: 'rm -rf dist <b>', workingDir: '/app', riskLevel: 'high' });
+    const res = await fetch(server.linksFor('abc').approveUrl);
+
+    assert.equal(res.status, 200);
+    const html = await res.text();
+    assert.ok(html.includes('<form method="post">'));
+    assert.ok(html.includes('rm -rf dist &#60;b&#62;'), 'command should be escaped');
+    assert.equal(store.get('abc').status, 'pending');
+  });
+
+  it('POST approve resolves the pending request', async () => {
+    const { promise } = store.add({ id: 'abc', command: 'rm -rf dist', workingDir: '/app', riskLevel: 'high' });
+    const res = await fetch(server.linksFor('abc').approveUrl, { method: 'POST' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await promise, { approved: true, decidedBy: 'user_web' });
+  });
+
+  it('POST reject rejects the pending request', async () => {
+    const { promise } = store.add({ id: 'abc', command: 'rm -rf dist', workingDir: '/app', riskLevel: 'high' });
+    const res = await fetch(server.linksFor('abc').rejectUrl, { method: 'POST' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await promise, { approved: false, decidedBy: 'user_web' });
+  });
+
+  it('links are single-use', async () => {
+    const { promise } = store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    const { approveUrl } = server.linksFor('abc');
+
+    assert.equal((await fetch(approveUrl, { method: 'POST' })).status, 200);
+    assert.equal((await fetch(approveUrl, { method: 'POST' })).status, 409);
+    await promise;
+  });
+
+  it('rejects tampered signatures', async () => {
+    store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    store.add({ id: 'other', command: 'test', workingDir: '/', riskLevel: 'high' });
+
+    // Signature is bound to the action and the id
+    const { approveUrl, rejectUrl } = server.linksFor('abc');
+    const swapped = rejectUrl.replace(/sig=.*/, approveUrl.match(/sig=.*/)[0]);
+    assert.equal((await fetch(swapped, { method: 'POST' })).status, 403);
+    assert.equal((await fetch(approveUrl.replace('/abc?', '/other?'), { method: 'POST' })).status, 403);
+    assert.equal(store.get('abc').status, 'pending');
+  });
+
+  it('rejects expired links', async () => {
+    store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    const expired = new ApprovalServer({ pending: store, secret: 'test-secret', ttlSeconds: -1 });
+    const url = expired.linksFor('abc').approveUrl.replace(expired.url, server.url);
+
+    assert.equal((await fetch(url, { method: 'POST' })).status, 403);
+  });
+
+  it('returns 409 for requests that are no longer pending', async () => {
+    const { promise } = store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    store.reject('abc');
+    await promise;
+
+    const res = await fetch(server.linksFor('abc').approveUrl, { method: 'POST' });
+    assert.equal(res.status, 409);
+  });
+
+  it('refuses link votes for policies with named approvers', async () => {
+    const policy = { name: 'prod', required: 2, approvers: ['alice', 'bob'] };
+    store.add({ id: 'abc', command: 'deploy', workingDir: '/', riskLevel: 'high', policy });
+
+    const res = await fetch(server.linksFor('abc').approveUrl, { method: 'POST' });
+    assert.equal(res.status, 409);
+    assert.match(await res.text(), /named approvers \(policy prod\)/);
+    assert.deepEqual(store.get('abc').approvals, []);
+  });
+});
+
+describe('ApprovalServer Telegram webhook', () => {
+
+  it('approves from an authorized chat', async () => {
+    const { promise } = store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    const res = await postTelegram(telegramUpdate('approve:abc'));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { method: 'answerCallbackQuery', callback_query_id: 'cb-1', text: 'Approved' });
+    assert.deepEqual(await promise, { approved: true, decidedBy: 'user_telegram' });
+  });
+
+  it('rejects a wrong secret token', async () => {
+    store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    const res = await postTelegram(telegramUpdate('approve:abc'), 'nope');
+
+    assert.equal(res.status, 401);
+    assert.equal(store.get('abc').status, 'pending');
+  });
+
+  it('ignores callbacks from other chats', async () => {
+    store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    const res = await postTelegram(telegramUpdate('approve:abc', 999));
+
+    assert.equal((await res.json()).text, 'Not authorized');
+    assert.equal(store.get('abc').status, 'pending');
+  });
+
+  it('only accepts users on the allowlist', async () => {
+    await server.close();
+    server = new ApprovalServer({
+      pending: store, secret: 'test-secret', telegramWebhookSecret: 'hook-secret', telegramChatId: '42', telegramAllowedUserIds: ['8'],
+    });
+    await server.start();
+    store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+
+    const res = await postTelegram(telegramUpdate('approve:abc'));
+    assert.equal((await res.json()).text, 'Not authorized');
+    assert.equal(store.get('abc').status, 'pending');
+  });
+
+  it('counts quorum votes per Telegram user', async () => {
+    const policy = { name: 'prod', required: 2, approvers: ['alice', 'bob'] };
+    const { promise } = store.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high', policy });
+
+    assert.equal((await (await postTelegram(telegramUpdate('approve:abc'))).json()).text, 'Approval recorded (1/2)');
+    assert.equal((await (await postTelegram(telegramUpdate('approve:abc'))).json()).text, 'Vote not accepted');
+    assert.equal((await (await postTelegram(telegramUpdate('approve:abc', 42, 'bob'))).json()).text, 'Approved');
+    assert.deepEqual((await promise).approvals, ['alice', 'bob']);
+  });
+});
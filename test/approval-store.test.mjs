@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PendingApprovals } from '../src/clawshell.mjs';
+import { FileApprovalStore, MemoryApprovalStore } from '../src/approval-store.mjs';
+
+let dir;
+let file;
+const instances = [];
+
+function open(opts = {}) {
+  const approvals = new PendingApprovals({ timeoutSeconds: 10, store: new FileApprovalStore({ path: file }), ...opts });
+  instances.push(approvals);
+  return approvals;
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'clawshell-store-'));
+  file = join(dir, 'state', 'approvals.json');
+});
+
+afterEach(() => {
+  instances.splice(0).forEach((approvals) => approvals.destroy());
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('FileApprovalStore', () => {
+
+  it('round-trips records through the file', () => {
+    const store = new FileApprovalStore({ path: file });
+    store.save({ id: 'a', status: 'pending' });
+    store.save({ id: 'b', status: 'approved' });
+    store.delete('b');
+
+    assert.deepEqual(new FileApprovalStore({ path: file }).load(), [{ id: 'a', status: 'pending' }]);
+  });
+
+  it('moves an unreadable file aside and starts empty', () => {
+    const store = new FileApprovalStore({ path: join(dir, 'broken.json') });
+    assert.deepEqual(store.load(), []);
+
+    writeFileSync(join(dir, 'broken.json'), '{ not json');
+    assert.deepEqual(new FileApprovalStore({ path: join(dir, 'broken.json') }).load(), []);
+    assert.ok(existsSync(join(dir, 'broken.json.corrupt')));
+  });
+
+  it('returns copies so callers cannot mutate stored records', () => {
+    const store = new MemoryApprovalStore();
+    const record = { id: 'a', approvals: [] };
+    store.save(record);
+    record.approvals.push('alice');
+    store.load()[0].approvals.push('bob');
+
+    assert.deepEqual(store.load()[0].approvals, []);
+  });
+});
+
+describe('PendingApprovals persistence', () => {
+
+  it('reloads pending requests after a restart', async () => {
+    const before = open();
+    before.add({ id: 'abc', command: 'rm -rf dist', workingDir: '/app', riskLevel: 'high', riskReasons: ['destructive_command'] });
+    before.setReceipt('abc', 'receipt-1');
+    before.destroy();
+
+    const after = open();
+    const entry = after.get('abc');
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.command, 'rm -rf dist');
+    assert.equal(entry.receipt, 'receipt-1');
+    assert.ok(entry.timestamp instanceof Date);
+    assert.deepEqual(after.list().map((e) => e.id), ['abc']);
+
+    const [restored] = after.restored();
+    assert.equal(restored.id, 'abc');
+    assert.equal(after.approve('abc', 'user_telegram'), true);
+    assert.deepEqual(await restored.promise, { approved: true, decidedBy: 'user_telegram' });
+  });
+
+  it('records decisions made after a restart', () => {
+    const before = open();
+    before.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    before.destroy();
+
+    open().reject('abc', 'user_web');
+
+    const [record] = JSON.parse(readFileSync(file, 'utf-8')).requests;
+    assert.equal(record.status, 'rejected');
+    assert.equal(record.decidedBy, 'user_web');
+    assert.ok(record.decidedAt);
+    assert.equal(open().get('abc').status, 'rejected');
+  });
+
+  it('keeps quorum progress across restarts', async () => {
+    const policy = { name: 'prod', required: 2, approvers: ['alice', 'bob'] };
+    const before = open();
+    before.add({ id: 'abc', command: 'deploy', workingDir: '/', riskLevel: 'high', policy });
+    before.approve('abc', 'user', 'alice');
+    before.destroy();
+
+    const after = open();
+    assert.equal(after.approve('abc', 'user', 'alice'), false, 'alice already voted');
+    after.approve('abc', 'user', 'bob');
+    assert.deepEqual((await after.restored()[0].promise).approvals, ['alice', 'bob']);
+  });
+
+  it('times out requests that expired while the process was down', () => {
+    const store = new FileApprovalStore({ path: file });
+    store.save({
+      id: 'old',
+      command: 'test',
+      workingDir: '/',
+      riskLevel: 'high',
+      status: 'pending',
+      timestamp: new Date(Date.now() - 20_000).toISOString(),
+      expiresAt: new Date(Date.now() - 10_000).toISOString(),
+    });
+
+    const approvals = open();
+    assert.equal(approvals.get('old').status, 'timeout');
+    assert.equal(approvals.get('old').decidedBy, 'timeout');
+    assert.deepEqual(approvals.restored(), []);
+    assert.equal(approvals.approve('old'), false);
+  });
+
+  it('keeps the original expiry instead of restarting the timeout', () => {
+    const before = open();
+    before.add({ id: 'abc', command: 'test', workingDir: '/', riskLevel: 'high' });
+    const { expiresAt } = before.get('abc');
+    before.destroy();
+
+    assert.equal(open({ timeoutSeconds: 600 }).get('abc').expiresAt.getTime(), expiresAt.getTime());
+  });
+
+  it('still decides requests when the store fails', async () => {
+    const errors = [];
+    const failing = { load: () => [], save: () => { throw new Error('disk full'); }, delete() {} };
+    const approvals = new PendingApprovals({ timeoutSeconds: 10, store: failing, onStoreError: (err) => errors.push(err.message) });
+    instances.push(approvals);
+
+    const { id, promise } = approvals.add({ command: 'test', workingDir: '/', riskLevel: 'high' });
+    approvals.approve(id);
+
+    assert.equal((await promise).approved, true);
+    assert.deepEqual(errors, ['disk full', 'disk full']);
+  });
+});
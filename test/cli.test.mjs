@@ -0,0 +1,262 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createConnection } from 'node:net';
+import { PendingApprovals } from '../src/clawshell.mjs';
+import { RiskAnalyzer } from '../src/risk-analyzer.mjs';
+import { Logger } from '../src/logger.mjs';
+import { ControlServer, checkConfig, parseOperators } from '../src/control.mjs';
+import { runCli } from '../src/cli.mjs';
+
+let dir;
+let store;
+let logger;
+let server;
+
+beforeEach(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'clawshell-cli-'));
+  store = new PendingApprovals({ timeoutSeconds: 10 });
+  logger = new Logger({ logDir: join(dir, 'logs') });
+  const analyzer = new RiskAnalyzer({
+    approvals: { policies: [{ name: 'prod', commands: ['deploy *'], required: 2, approvers: ['alice', 'bob'] }] },
+  });
+  const operators = [{ name: 'alice', token: 'tok-alice' }, { name: 'bob', token: 'tok-bob' }];
+  server = new ControlServer({ socketPath: join(dir, 'control.sock'), pending: store, logger, analyzer, operators });
+  await server.start();
+});
+
+afterEach(async () => {
+  await server.close();
+  store.destroy();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+async function cli(...argv) {
+  return cliWithEnv({ CLAWSHELL_CONTROL_TOKEN: 'tok-alice' }, ...argv);
+}
+
+async function cliWithEnv(env, ...argv) {
+  const output = { stdout: '', stderr: '' };
+  const io = {
+    env,
+    stdout: { write: (text) => { output.stdout += text; } },
+    stderr: { write: (text) => { output.stderr += text; } },
+  };
+  output.code = await runCli([...argv, '--socket', server.socketPath], io);
+  return output;
+}
+
+describe('clawshell CLI', () => {
+
+  it('shows status with the active rule set', async () => {
+    const { code, stdout } = await cli('status');
+
+    assert.equal(code, 0);
+    assert.ok(stdout.includes(`ClawShell running (pid ${process.pid})`));
+    assert.match(stdout, /Rule set: v1 \([0-9a-f]{12}\)/);
+  });
+
+  it('lists pending requests', async () => {
+    store.add({ id: 'abc', command: 'rm -rf dist', workingDir: '/app', riskLevel: 'high', riskReasons: ['destructive_command'] });
+    const { code, stdout } = await cli('pending');
+
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('[abc] rm -rf dist'));
+    assert.ok(stdout.includes('HIGH (destructive_command) in /app'));
+  });
+
+  it('approves and rejects through the socket', async () => {
+    const a = store.add({ id: 'a', command: 'x', workingDir: '/', riskLevel: 'high' });
+    const b = store.add({ id: 'b', command: 'y', workingDir: '/', riskLevel: 'high' });
+
+    assert.deepEqual(await cli('approve', 'a'), { code: 0, stdout: 'Approved request a\n', stderr: '' });
+    assert.equal((await cli('reject', 'b')).stdout, 'Rejected request b\n');
+    assert.deepEqual(await a.promise, { approved: true, decidedBy: 'user_cli' });
+    assert.deepEqual(await b.promise, { approved: false, decidedBy: 'user_cli' });
+
+    const missing = await cli('approve', 'a');
+    assert.equal(missing.code, 1);
+    assert.equal(missing.stdout, 'No pending request found with id a\n');
+  });
+
+  it('refuses decisions without a valid operator token', async () => {
+    store.add({ id: 'a', command: 'x', workingDir: '/', riskLevel: 'high' });
+
+    assert.deepEqual(await cliWithEnv({}, 'approve', 'a'), {
+      code: 1, stdout: '', stderr: 'Invalid or missing control token (set CLAWSHELL_CONTROL_TOKEN)\n',
+    });
+    assert.equal((await cliWithEnv({ CLAWSHELL_CONTROL_TOKEN: 'guess' }, 'reject', 'a')).code, 1);
+    assert.equal(store.get('a').status, 'pending');
+    assert.equal((await cliWithEnv({}, 'pending')).code, 0);
+  });
+
+  it('refuses all decisions when no operator tokens are configured', async () => {
+    await server.close();
+    server = new ControlServer({
+      socketPath: join(dir, 'open.sock'), pending: store, logger, analyzer: new RiskAnalyzer(), operators: [],
+    });
+    await server.start();
+    store.add({ id: 'a', command: 'x', workingDir: '/', riskLevel: 'high' });
+
+    const { code, stderr } = await cli('approve', 'a');
+    assert.equal(code, 1);
+    assert.equal(stderr, 'Deciding requests over the control socket needs CLAWSHELL_CONTROL_TOKENS\n');
+    assert.equal(store.get('a').status, 'pending');
+  });
+
+  it('votes under quorum policies as the token\'s operator', async () => {
+    const policy = { name: 'prod', required: 2, approvers: ['alice', 'bob'] };
+    const { promise } = store.add({ id: 'q', command: 'deploy prod', workingDir: '/', riskLevel: 'high', policy });
+
+    assert.equal((await cli('approve', 'q')).stdout, 'Recorded approval from alice for request q (1/2)\n');
+    assert.equal((await cli('approve', 'q')).stdout, 'alice has already approved request q\n');
+    assert.equal((await cli('approve', 'q', '--as', 'bob')).code, 2);
+    assert.equal((await cliWithEnv({ CLAWSHELL_CONTROL_TOKEN: 'tok-bob' }, 'approve', 'q')).stdout, 'Approved request q\n');
+    assert.equal((await promise).decidedBy, 'alice,bob');
+  });
+
+  it('shows logs filtered by minimum level', async () => {
+    logger.log({ command: 'ls', risk_level: 'low', decision: 'allowed' });
+    logger.log({ command: 'rm -rf x', risk_level: 'high', decision: 'approved' });
+    logger.log({ command: 'rm -rf /', risk_level: 'critical', decision: 'auto-blocked' });
+
+    const { stdout } = await cli('logs', '--level', 'high');
+    const lines = stdout.trim().split('\n');
+    assert.equal(lines.length, 2);
+    assert.ok(lines[0].includes('rm -rf x'));
+    assert.ok(lines[1].includes('CRITICAL'));
+
+    assert.equal((await cli('logs', '--level', 'severe')).code, 2);
+  });
+
+  it('searches logs by command, request and page', async () => {
+    for (let i = 0; i < 5; i++) logger.log({ request_id: `r${i}`, command: `deploy ${i}`, risk_level: 'high' });
+    logger.log({ request_id: 'x', command: 'ls', risk_level: 'low' });
+
+    assert.ok((await cli('logs', '--request', 'r3')).stdout.includes('deploy 3'));
+    const page = await cli('logs', '--grep', '/^deploy/', '-n', '2', '--offset', '2');
+    assert.deepEqual(page.stdout.trim().split('\n').map((line) => line.split(' | ')[3]), ['deploy 1', 'deploy 2']);
+  });
+
+  it('follows new log entries until stopped', async () => {
+    const controller = new AbortController();
+    let stdout = '';
+    const io = { stdout: { write: (text) => { stdout += text; } }, stderr: { write() {} }, signal: controller.signal };
+    const done = runCli(['logs', '--follow', '--level', 'high', '--socket', server.socketPath], io);
+
+    while (!stdout) {
+      await new Promise((r) => setTimeout(r, 10));
+      logger.log({ command: 'ls', risk_level: 'low' });
+      logger.log({ command: 'curl https://example.com', risk_level: 'high', decision: 'approved' });
+    }
+    controller.abort();
+
+    assert.equal(await done, 0);
+    assert.ok(stdout.includes('curl https://example.com'));
+    assert.ok(!stdout.includes('| ls'));
+  });
+
+  it('analyzes a command with the instance config', async () => {
+    const { code, stdout } = await cli('analyze', 'deploy prod && rm -rf build');
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Level: HIGH (approve)'));
+    assert.ok(stdout.includes('Approval policy: prod (2 approvals)'));
+    assert.ok(stdout.includes('rm -rf build  [destructive_command]'));
+
+    const json = JSON.parse((await cli('analyze', 'ls', '--json')).stdout);
+    assert.equal(json.level, 'low');
+  });
+
+  it('reports when no instance is running', async () => {
+    const { code, stderr } = await runCliOffline('pending');
+    assert.equal(code, 1);
+    assert.ok(stderr.includes('No running ClawShell instance'));
+  });
+
+  it('falls back to local analysis without an instance', async () => {
+    const { code, stdout, stderr } = await runCliOffline('analyze', 'rm -rf /');
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('CRITICAL'));
+    assert.ok(stderr.includes('no running instance'));
+  });
+
+  it('verifies the audit log chain', async () => {
+    logger.log({ command: 'a' });
+    logger.log({ command: 'b' });
+    const ok = await runCliOffline('verify', '--log-dir', join(dir, 'logs'));
+    assert.equal(ok.code, 0);
+    assert.equal(ok.stdout, 'Audit log OK: 2 records in 1 file (seq 1-2)\n');
+
+    writeFileSync(logger.logPath, readFileSync(logger.logPath, 'utf-8').replace('"a"', '"z"'));
+    const tampered = await runCliOffline('verify', '--log-dir', join(dir, 'logs'));
+    assert.equal(tampered.code, 1);
+    assert.ok(tampered.stdout.includes('clawshell.jsonl:1 (seq 1) was modified'));
+  });
+
+  it('rejects unknown commands with usage exit code', async () => {
+    assert.equal((await cli('frobnicate')).code, 2);
+    assert.equal((await cli('approve')).code, 2);
+  });
+});
+
+async function runCliOffline(...argv) {
+  const output = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: (text) => { output.stdout += text; } },
+    stderr: { write: (text) => { output.stderr += text; } },
+  };
+  output.code = await runCli([...argv, '--socket', join(dir, 'missing.sock')], io);
+  return output;
+}
+
+describe('ControlServer protocol', () => {
+
+  function send(line) {
+    return new Promise((resolve, reject) => {
+      const socket = createConnection(server.socketPath, () => socket.write(line + '\n'));
+      let data = '';
+      socket.setEncoding('utf-8');
+      socket.on('data', (chunk) => { data += chunk; });
+      socket.on('end', () => resolve(JSON.parse(data)));
+      socket.on('error', reject);
+    });
+  }
+
+  it('rejects requests that are not objects', async () => {
+    for (const line of ['null', '42', '"status"', '[]', '{"method":"status","params":null}', '{"method":"status","params":7}']) {
+      assert.deepEqual(await send(line), { error: 'Malformed request' }, line);
+    }
+    assert.equal((await send('{"method":"status"}')).result.pid, process.pid);
+  });
+});
+
+describe('parseOperators', () => {
+  it('reads name:token pairs and skips incomplete ones', () => {
+    assert.deepEqual(parseOperators('alice:a1, bob : b:2,carol,:x'), [{ name: 'alice', token: 'a1' }, { name: 'bob', token: 'b:2' }]);
+    assert.deepEqual(parseOperators(undefined), []);
+  });
+});
+
+describe('checkConfig', () => {
+
+  it('accepts the shipped config', () => {
+    assert.deepEqual(checkConfig(new RiskAnalyzer().config).errors, []);
+  });
+
+  it('reports invalid patterns, policies and channels', () => {
+    const { errors, warnings } = checkConfig({
+      rules: { blocklist: { commands: ['/([a-z/'], paths: 'not-a-list' } },
+      approvals: { policies: [{ name: 'big', commands: ['x'], required: 3, approvers: ['a'] }, { name: 'empty' }] },
+      notifications: { channels: { a: { type: 'fax' } } },
+    });
+
+    assert.equal(errors.length, 4, errors.join('\n'));
+    assert.ok(errors[0].startsWith('rules.blocklist.commands[0] is not a valid regex'));
+    assert.equal(errors[1], 'rules.blocklist.paths must be a list');
+    assert.ok(errors[2].includes('requires 3 approvals but lists 1 approvers'));
+    assert.ok(errors[3].includes('unknown type "fax"'));
+    assert.deepEqual(warnings, ['approvals.policies[1] (empty) has no reasons or commands and never applies']);
+  });
+});
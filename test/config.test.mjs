@@ -0,0 +1,247 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, mkdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadConfig, validateConfig, findConfigFile, watchConfig, diffRules, ConfigError } from '../src/config.mjs';
+import { RiskAnalyzer } from '../src/risk-analyzer.mjs';
+
+let dir;
+
+function writeConfig(text, name = 'config.yaml') {
+  const path = join(dir, name);
+  writeFileSync(path, text);
+  return path;
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'clawshell-config-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadConfig', () => {
+
+  it('reports where each value came from', () => {
+    writeConfig('clawshell:\n  timeout_seconds: 120\nnotifications:\n  method: telegram\n');
+    const config = loadConfig({ cwd: dir, env: { CLAWSHELL_LOG_LEVEL: 'debug' } });
+
+    assert.equal(config.path, join(dir, 'config.yaml'));
+    assert.equal(config.get('clawshell.timeout_seconds'), 120);
+    assert.equal(config.source('clawshell.timeout_seconds'), 'file');
+    assert.equal(config.get('clawshell.log_level'), 'debug');
+    assert.equal(config.source('clawshell.log_level'), 'env:CLAWSHELL_LOG_LEVEL');
+    assert.equal(config.get('clawshell.enabled'), true);
+    assert.equal(config.source('clawshell.enabled'), 'default');
+    assert.equal(config.get('notifications.method'), 'telegram');
+  });
+
+  it('lets env override the file and parses env types', () => {
+    writeConfig('clawshell:\n  enabled: true\n  timeout_seconds: 120\nrules:\n  blocklist:\n    commands: ["make clean"]\n');
+    const config = loadConfig({
+      cwd: dir,
+      env: { CLAWSHELL_ENABLED: 'false', CLAWSHELL_TIMEOUT_SECONDS: '30', CLAWSHELL_BLOCKLIST: 'curl *, wget *', CLAWSHELL_LOG_DIR: '' },
+    });
+
+    assert.equal(config.get('clawshell.enabled'), false);
+    assert.equal(config.get('clawshell.timeout_seconds'), 30);
+    assert.deepEqual(config.get('rules.blocklist.commands'), ['curl *', 'wget *']);
+    assert.equal(config.source('rules.blocklist.commands'), 'env:CLAWSHELL_BLOCKLIST');
+    assert.equal(config.source('clawshell.log_dir'), 'default', 'empty env values count as unset');
+  });
+
+  it('reads the file named by CLAWSHELL_CONFIG', () => {
+    mkdirSync(join(dir, 'etc'));
+    writeConfig('clawshell:\n  log_level: warn\n', join('etc', 'clawshell.yaml'));
+    const config = loadConfig({ cwd: dir, env: { CLAWSHELL_CONFIG: 'etc/clawshell.yaml' } });
+
+    assert.equal(config.path, join(dir, 'etc', 'clawshell.yaml'));
+    assert.equal(config.get('clawshell.log_level'), 'warn');
+    assert.throws(() => findConfigFile({ cwd: dir, env: { CLAWSHELL_CONFIG: 'missing.yaml' } }), /missing file/);
+  });
+
+  it('falls back to defaults without a config file', () => {
+    const config = loadConfig({ cwd: join(dir, 'nowhere'), env: {} });
+    assert.equal(config.path, null);
+    assert.ok(config.entries().every((entry) => entry.source === 'default'));
+  });
+
+  it('rejects YAML that does not parse', () => {
+    const path = writeConfig('rules:\n  blocklist: [unclosed\n');
+    assert.throws(() => loadConfig({ path, env: {} }), (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.match(err.message, /is not valid YAML/);
+      assert.ok(err.message.includes(path));
+      return true;
+    });
+  });
+
+  it('rejects invalid settings with one issue per problem', () => {
+    const path = writeConfig('clawshell:\n  timeout_seconds: soon\nnotifications:\n  method: fax\nrules:\n  allowlist:\n    commands: ["/(/"]\n');
+    assert.throws(() => loadConfig({ path, env: {} }), (err) => {
+      assert.deepEqual(err.issues.map((issue) => issue.split(':')[0]), [
+        'clawshell.timeout_seconds must be a whole number',
+        'notifications.method must be one of auto, pushover, telegram, mock',
+        'rules.allowlist.commands[0] is not a valid regex',
+      ]);
+      return true;
+    });
+  });
+
+  it('rejects env values of the wrong type', () => {
+    assert.throws(
+      () => loadConfig({ path: null, env: { CLAWSHELL_TIMEOUT_SECONDS: '0', CLAWSHELL_ENABLED: 'maybe' } }),
+      (err) => err.issues.length === 2 && err.issues[0].startsWith('CLAWSHELL_ENABLED'),
+    );
+  });
+});
+
+describe('validateConfig', () => {
+
+  it('accepts the shipped config', () => {
+    const { errors, warnings } = validateConfig(loadConfig({ path: join(import.meta.dirname, '..', 'config.yaml'), env: {} }).values);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('checks escalation references and unknown keys', () => {
+    const { errors, warnings } = validateConfig({
+      notifications: { channels: { oncall: { type: 'pushover' } }, escalation: [{ notify: ['oncall', 'backup'] }] },
+      rulez: {},
+    });
+    assert.deepEqual(errors, ['notifications.escalation[0] refers to unknown channel "backup"']);
+    assert.deepEqual(warnings, ['unknown top-level key "rulez"']);
+  });
+
+  it('checks sandbox settings', () => {
+    const { errors, warnings } = validateConfig({
+      execution: {
+        sandbox: { high: 'firejail' },
+        restricted: { umask: 77, limits: { cpu_seconds: 0, nice: 5 } },
+        namespace: { tool: 'docker' },
+      },
+    });
+    assert.deepEqual(errors, [
+      'execution.restricted.umask must be an octal mask such as "077"',
+      'execution.restricted.limits.cpu_seconds must be a positive whole number',
+      'execution.restricted.limits.nice is not a known limit',
+      'execution.namespace.tool must be one of bwrap, unshare',
+    ]);
+    assert.match(warnings[0], /^execution.sandbox.high "firejail" is not built in/);
+  });
+
+  it('checks network destinations', () => {
+    const { errors } = validateConfig({
+      rules: { network: { allow: ['github.com', '10.0.0.0/33', 42], block: ['*:99999', '/(/'] } },
+    });
+    assert.deepEqual(errors, [
+      'rules.network.allow[2] must be a string',
+      'rules.network.block[1] is not a valid regex: Invalid regular expression: /(/: Unterminated group',
+      'rules.network.allow[1] has an invalid prefix length "/33"',
+      'rules.network.block[0] has an invalid port "99999"',
+    ]);
+  });
+
+  it('checks exfiltration patterns', () => {
+    const { errors } = validateConfig({ rules: { exfiltration: { paths: ['~/.acme/**'], variables: ['ACME_*', '/[/'] } } });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^rules\.exfiltration\.variables\[1\] is not a valid regex/);
+  });
+
+  it('checks protected branch patterns', () => {
+    const { errors } = validateConfig({ rules: { git: { protected_branches: ['main', 'release/*', 7] } } });
+    assert.deepEqual(errors, ['rules.git.protected_branches[2] must be a string']);
+  });
+
+  it('checks execution timeouts and rules', () => {
+    const { errors, warnings } = validateConfig({
+      execution: {
+        timeouts: { high: 0 },
+        rules: [{ name: 'builds', commands: ['make *'] }, { timeout_seconds: 10 }],
+      },
+    });
+    assert.deepEqual(errors, [
+      'execution.timeouts.high must be at least 1',
+      'execution.rules[0] (builds).timeout_seconds must be a positive whole number',
+    ]);
+    assert.deepEqual(warnings, ['execution.rules[1] has no reasons or commands and never applies']);
+  });
+});
+
+describe('RiskAnalyzer with a loaded Config', () => {
+
+  it('uses the config as given', () => {
+    const path = writeConfig('rules:\n  blocklist:\n    commands: ["make clean"]\n');
+    const analyzer = new RiskAnalyzer(loadConfig({ path, env: {} }));
+    assert.equal(analyzer.analyzeCommand('make clean').level, 'critical');
+  });
+
+  it('swaps rules and bumps the rule-set version', () => {
+    const analyzer = new RiskAnalyzer(loadConfig({ path: null, env: {} }));
+    const before = analyzer.ruleSet;
+
+    const after = analyzer.updateConfig(loadConfig({ path: writeConfig('rules:\n  blocklist:\n    commands: ["make clean"]\n'), env: {} }));
+
+    assert.equal(before.version, 1);
+    assert.equal(after.version, 2);
+    assert.notEqual(after.hash, before.hash);
+    assert.equal(analyzer.analyzeCommand('make clean').level, 'critical');
+  });
+});
+
+describe('watchConfig', () => {
+
+  it('reloads on change and reports files that no longer load', { timeout: 5000 }, async () => {
+    const path = writeConfig('rules:\n  blocklist:\n    commands: ["make clean"]\n');
+    let onReload;
+    let onError;
+    const next = () => new Promise((resolve, reject) => {
+      onReload = resolve;
+      onError = reject;
+    });
+    const watcher = watchConfig(loadConfig({ path, env: {} }), {
+      env: {},
+      debounceMs: 20,
+      onReload: (config) => onReload(config),
+      onError: (err) => onError(err),
+    });
+
+    // The watcher is unref'd; hold the event loop open while waiting for it
+    const keepAlive = setInterval(() => {}, 1000);
+    try {
+      let reloaded = next();
+      writeConfig('rules:\n  blocklist:\n    commands: ["make clean", "make dist"]\n');
+      assert.deepEqual((await reloaded).get('rules.blocklist.commands'), ['make clean', 'make dist']);
+
+      reloaded = next();
+      writeConfig('rules:\n  blocklist:\n    commands: ["/(/"]\n');
+      await assert.rejects(reloaded, ConfigError);
+    } finally {
+      clearInterval(keepAlive);
+      watcher.close();
+    }
+  });
+});
+
+describe('diffRules', () => {
+
+  it('lists added and removed patterns and changed policies', () => {
+    const before = {
+      rules: { blocklist: { commands: ['a', 'b'] } },
+      approvals: { policies: [{ name: 'prod', required: 2 }, { name: 'old', required: 1 }] },
+    };
+    const after = {
+      rules: { blocklist: { commands: ['b', 'c'] }, allowlist: { paths: ['/tmp/**'] } },
+      approvals: { policies: [{ name: 'prod', required: 3 }, { name: 'new', required: 1 }] },
+    };
+
+    assert.deepEqual(diffRules(before, after), [
+      { key: 'rules.blocklist.commands', added: ['c'], removed: ['a'] },
+      { key: 'rules.allowlist.paths', added: ['/tmp/**'], removed: [] },
+      { key: 'approvals.policies', added: ['new'], removed: ['old'], changed: ['prod'] },
+    ]);
+    assert.deepEqual(diffRules(before, before), []);
+  });
+});
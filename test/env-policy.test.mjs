@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnvPolicy, secretEnvNames } from '../src/env-policy.mjs';
+
+const ENV = {
+  PATH: '/usr/bin',
+  HOME: '/home/a',
+  AWS_SECRET_ACCESS_KEY: 'x',
+  GITHUB_TOKEN: 'y',
+  CLAWSHELL_TELEGRAM_BOT_TOKEN: 'z',
+  CLAWSHELL_CONFIG: '/etc/clawshell.yaml',
+  SIEM_AUTH: 'Bearer q',
+};
+
+describe('EnvPolicy', () => {
+
+  it('always removes ClawShell variables and configured secrets', () => {
+    const { env, removed } = new EnvPolicy({ secretNames: ['SIEM_AUTH'] }).apply(ENV);
+    assert.deepEqual(Object.keys(env), ['PATH', 'HOME', 'AWS_SECRET_ACCESS_KEY', 'GITHUB_TOKEN']);
+    assert.deepEqual(removed, ['CLAWSHELL_CONFIG', 'CLAWSHELL_TELEGRAM_BOT_TOKEN', 'SIEM_AUTH']);
+  });
+
+  it('removes denied names by glob or regex', () => {
+    const { env } = new EnvPolicy({ deny: ['AWS_*', '/_TOKEN$/'] }).apply(ENV);
+    assert.deepEqual(Object.keys(env), ['PATH', 'HOME', 'SIEM_AUTH']);
+  });
+
+  it('keeps only allowed names, minus denied ones', () => {
+    const { env, removed } = new EnvPolicy({ allow: ['PATH', 'HOME', 'GITHUB_*', 'CLAWSHELL_*'], deny: ['HOME'] }).apply(ENV);
+    assert.deepEqual(env, { PATH: '/usr/bin', GITHUB_TOKEN: 'y' });
+    assert.equal(removed.length, 5);
+  });
+});
+
+describe('secretEnvNames', () => {
+
+  it('collects variables named by channel and sink options', () => {
+    const names = secretEnvNames({
+      notifications: { channels: { ops: { type: 'telegram', bot_token_env: 'OPS_BOT_TOKEN', chat_id: '1' } } },
+      logging: { sinks: [{ type: 'http', url_env: 'SIEM_URL', headers_env: { Authorization: 'SIEM_AUTH' } }] },
+    });
+    assert.deepEqual(names, ['OPS_BOT_TOKEN', 'SIEM_URL', 'SIEM_AUTH']);
+  });
+});
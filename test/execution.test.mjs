@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Configure before clawshell.mjs loads its config
+const dir = mkdtempSync(join(tmpdir(), 'clawshell-exec-'));
+process.env.CLAWSHELL_LOG_DIR = dir;
+process.env.CLAWSHELL_SOCKET = 'off';
+process.env.CLAWSHELL_CAPTURE_BYTES = '40';
+
+let clawshell;
+
+before(async () => {
+  clawshell = await import('../src/clawshell.mjs');
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function entriesFor(requestId) {
+  return clawshell.logger.query({ request_id: requestId }).entries.reverse();
+}
+
+describe('Execution records', () => {
+
+  it('logs a decision and an execution record for low-risk commands', async () => {
+    const result = await clawshell.clawshell_bash('echo hello; echo oops >&2; exit 3', dir);
+    assert.deepEqual(result, { exitCode: 3, stdout: 'hello\n', stderr: 'oops\n' });
+
+    const [{ request_id: requestId }] = clawshell.logger.query({ decision: 'auto-allowed' }, { limit: 1 }).entries;
+    const [decision, execution] = entriesFor(requestId);
+    assert.equal(decision.risk_level, 'low');
+    assert.equal(execution.event, 'execution');
+    assert.equal(execution.exit_code, 3);
+    assert.equal(execution.stdout, 'hello\n');
+    assert.equal(execution.stderr, 'oops\n');
+    assert.equal(execution.timed_out, false);
+    assert.ok(execution.duration_ms >= 0);
+  });
+
+  it('truncates long output and redacts secrets', async () => {
+    await clawshell.clawshell_bash(`echo "api_key=abc123def456"; printf 'x%.0s' $(seq 1 100)`, dir);
+
+    const [{ request_id: requestId }] = clawshell.logger.query({ decision: 'auto-allowed' }, { limit: 1 }).entries;
+    const [, execution] = entriesFor(requestId);
+    assert.equal(execution.stdout_bytes, 121);
+    assert.equal(execution.stdout_truncated, true);
+    assert.ok(execution.stdout.startsWith('api_key=[REDACTED]'));
+    assert.ok(execution.stdout.includes('[81 bytes truncated]'));
+    assert.ok(execution.stdout.endsWith('x'.repeat(20)));
+  });
+
+  it('streams output to the caller and records the timeout used', async () => {
+    const chunks = [];
+    const result = await clawshell.clawshell_bash('echo one; echo two >&2', dir, { onOutput: (chunk) => chunks.push(chunk) });
+    assert.deepEqual(chunks.map((c) => c.type).sort(), ['stderr', 'stdout']);
+    assert.equal(result.stdout, 'one\n');
+
+    const [{ request_id: requestId }] = clawshell.logger.query({ decision: 'auto-allowed' }, { limit: 1 }).entries;
+    const [, execution] = entriesFor(requestId);
+    assert.equal(execution.timeout_seconds, 60);
+    assert.equal(execution.timeout_source, 'default');
+    assert.equal(execution.executor, 'direct');
+    assert.equal(execution.output_capped, false);
+  });
+
+  it('hides ClawShell variables from commands and records their names', async () => {
+    const result = await clawshell.clawshell_bash('printenv CLAWSHELL_SOCKET; echo done', dir);
+    assert.equal(result.stdout, 'done\n');
+
+    const [{ request_id: requestId }] = clawshell.logger.query({ decision: 'auto-allowed' }, { limit: 1 }).entries;
+    const [, execution] = entriesFor(requestId);
+    assert.ok(execution.env_removed.includes('CLAWSHELL_SOCKET'));
+    assert.ok(execution.env_removed.includes('CLAWSHELL_LOG_DIR'));
+  });
+
+  it('does not record executions for blocked commands', async () => {
+    await clawshell.clawshell_bash('rm -rf /', dir);
+    const [blocked] = clawshell.logger.query({ decision: 'auto-blocked' }, { limit: 1 }).entries;
+    assert.deepEqual(entriesFor(blocked.request_id).map((e) => e.decision || e.event), ['auto-blocked']);
+  });
+});
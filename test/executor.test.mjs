@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runCommand, streamCommand } from '../src/executor.mjs';
+
+// Orphans killed with the group can linger as zombies until init reaps them
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  try {
+    return !/^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, 'utf-8'));
+  } catch {
+    return true;
+  }
+}
+
+describe('runCommand', () => {
+
+  it('returns output and exit code', async () => {
+    const result = await runCommand('echo out; echo err >&2; exit 4', { cwd: tmpdir() });
+    assert.equal(result.exitCode, 4);
+    assert.equal(result.stdout, 'out\n');
+    assert.equal(result.stderr, 'err\n');
+    assert.equal(result.timedOut, false);
+    assert.equal(result.signal, null);
+  });
+
+  it('streams chunks while the command runs', async () => {
+    const chunks = [];
+    const started = Date.now();
+    let firstAt = null;
+    const result = await runCommand('echo one; sleep 0.3; echo two', {
+      onOutput: (chunk) => {
+        firstAt ??= Date.now() - started;
+        chunks.push(chunk);
+      },
+    });
+    assert.deepEqual(chunks.map((c) => c.type), ['stdout', 'stdout']);
+    assert.equal(chunks.map((c) => c.data).join(''), 'one\ntwo\n');
+    assert.ok(firstAt < result.durationMs - 200, 'first chunk arrived before the command finished');
+  });
+
+  it('keeps head and tail beyond the output cap', async () => {
+    const result = await runCommand(`printf 'a%.0s' $(seq 1 50); printf 'b%.0s' $(seq 1 50)`, { maxOutputBytes: 20 });
+    assert.equal(result.stdoutBytes, 100);
+    assert.equal(result.stdoutTruncated, true);
+    assert.equal(result.stdout, `${'a'.repeat(10)}\n...[80 bytes truncated]...\n${'b'.repeat(10)}`);
+  });
+
+  it('kills the whole process group on timeout', async () => {
+    const result = await runCommand('sleep 30 & echo $!; wait', { timeoutMs: 200, killGraceMs: 200 });
+    assert.equal(result.timedOut, true);
+    assert.equal(result.exitCode, 1);
+    assert.equal(result.signal, 'SIGTERM');
+    assert.equal(isAlive(parseInt(result.stdout, 10)), false);
+  });
+
+  it('reports commands that cannot start', async () => {
+    const result = await runCommand('true', { cwd: join(tmpdir(), 'clawshell-missing-dir') });
+    assert.equal(result.exitCode, 1);
+    assert.match(result.error, /ENOENT/);
+  });
+});
+
+describe('streamCommand', () => {
+
+  it('yields chunks then the result', async () => {
+    const items = [];
+    for await (const item of streamCommand('echo a; echo b >&2')) items.push(item);
+    const exit = items.pop();
+    assert.equal(exit.type, 'exit');
+    assert.equal(exit.result.exitCode, 0);
+    assert.deepEqual(items.map((i) => i.type).sort(), ['stderr', 'stdout']);
+  });
+
+  it('kills the command when the loop ends early', async () => {
+    let pid;
+    for await (const item of streamCommand('echo $$; sleep 30')) {
+      pid = parseInt(item.data, 10);
+      break;
+    }
+    assert.equal(isAlive(pid), false);
+  });
+});
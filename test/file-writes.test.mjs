@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCommands, parseShell } from '../src/shell-parser.mjs';
+import { writtenPaths } from '../src/file-writes.mjs';
+
+function written(command) {
+  const [segment] = extractCommands(parseShell(command));
+  return writtenPaths(segment.argv, segment);
+}
+
+describe('writtenPaths', () => {
+
+  it('reads redirect targets and tee operands', () => {
+    assert.deepEqual(written('echo x > a.txt 2>> err.log'), [
+      { path: 'a.txt', removes: false },
+      { path: 'err.log', removes: false },
+    ]);
+    assert.deepEqual(written('tee -a out.txt'), [{ path: 'out.txt', removes: false }]);
+  });
+
+  it('reads copy destinations but not sources', () => {
+    assert.deepEqual(written('cp -r src dest'), [{ path: 'dest', removes: false }]);
+    assert.deepEqual(written('cp only'), []);
+  });
+
+  it('marks deletes and moves', () => {
+    assert.deepEqual(written('rm -f -- -odd old'), [{ path: '-odd', removes: true }, { path: 'old', removes: true }]);
+    assert.deepEqual(written('mv a b'), [{ path: 'a', removes: true }, { path: 'b', removes: true }]);
+  });
+
+  it('counts in-place edits only with -i', () => {
+    assert.deepEqual(written("sed -i.bak 's/a/b/' f").map((w) => w.path), ['s/a/b/', 'f']);
+    assert.deepEqual(written("perl -pi -e 's/a/b/' f").map((w) => w.path), ['s/a/b/', 'f']);
+    assert.deepEqual(written("sed -n 1p f"), []);
+  });
+
+  it('reads awk inplace edits and git pathspecs', () => {
+    assert.deepEqual(written("awk -i inplace '{ print }' f").map((w) => w.path), ['{ print }', 'f']);
+    assert.deepEqual(written("awk '{ print }' f"), []);
+    assert.deepEqual(written('git -C repo checkout HEAD -- a b'), [
+      { path: 'repo/a', removes: false },
+      { path: 'repo/b', removes: false },
+    ]);
+    assert.deepEqual(written('git restore -s HEAD~1 c'), [{ path: 'c', removes: false }]);
+    assert.deepEqual(written('git rm -r d'), [{ path: 'd', removes: true }]);
+    assert.deepEqual(written('git status'), []);
+  });
+
+  it('reads the starting points of a deleting find', () => {
+    assert.deepEqual(written('find logs old -name "*.jsonl" -delete'), [
+      { path: 'logs', removes: true },
+      { path: 'old', removes: true },
+    ]);
+    assert.deepEqual(written('find -type f -exec /bin/rm -f {} +'), [{ path: '.', removes: true }]);
+    assert.deepEqual(written("find src -execdir sed -i 's/a/b/' {} ;"), [{ path: 'src', removes: true }]);
+    assert.deepEqual(written('find logs -exec cat {} ;'), []);
+    assert.deepEqual(written('find logs -name "*.jsonl"'), []);
+  });
+
+  it('counts paths named in inline interpreter code', () => {
+    assert.deepEqual(written(`python3 -c "open('out.txt', 'w').write(\\"x\\")"`).map((w) => w.path), ['out.txt', 'w', 'x']);
+    assert.deepEqual(written('node -e "console.log(1)"'), []);
+  });
+
+  it('reads dd output files', () => {
+    assert.deepEqual(written('dd if=/dev/zero of=disk.img'), [{ path: 'disk.img', removes: false }]);
+  });
+});
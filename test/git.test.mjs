@@ -0,0 +1,118 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gitCommand, gitFindings, pushTargets, readRepository } from '../src/git.mjs';
+
+const noRedirects = { redirects: [] };
+
+describe('gitCommand', () => {
+  it('skips global options to the subcommand', () => {
+    assert.deepEqual(gitCommand(['git', '-C', 'a', '-C', 'b', '-c', 'user.name=x', '--no-pager', 'push', '-f']), {
+      subcommand: 'push', args: ['-f'], dir: 'a/b', config: ['user.name=x'],
+    });
+    assert.equal(gitCommand(['git', '--git-dir=/x/.git', 'status']).subcommand, 'status');
+    assert.equal(gitCommand(['hg', 'push']), null);
+  });
+});
+
+describe('gitFindings', () => {
+  const findings = (command) => gitFindings(command.split(' '), noRedirects);
+
+  it('reads force, reset, clean and rewrite flags', () => {
+    assert.deepEqual(findings('git push --force-if-includes origin x'), ['force_push']);
+    assert.deepEqual(findings('git push origin x'), []);
+    assert.deepEqual(findings('git reset --hard'), ['reset_hard']);
+    assert.deepEqual(findings('git reset --soft HEAD~1'), []);
+    assert.deepEqual(findings('git clean -xdf'), ['clean']);
+    assert.deepEqual(findings('git clean --force -d'), ['clean']);
+    assert.deepEqual(findings('git clean -fdn'), []);
+    assert.deepEqual(findings('git filter-repo --path secrets --invert-paths'), ['history_rewrite']);
+  });
+
+  it('reads remote and hooks configuration changes', () => {
+    assert.deepEqual(findings('git remote add backup git@evil.example:r.git'), ['remote_change']);
+    assert.deepEqual(findings('git remote -v'), []);
+    assert.deepEqual(findings('git config --local remote.origin.pushurl x'), ['remote_change']);
+    assert.deepEqual(findings('git config --global core.hooksPath ~/hooks'), ['hooks_path']);
+    assert.deepEqual(findings('git config --unset core.hooksPath'), ['hooks_path']);
+    assert.deepEqual(findings('git config core.hooksPath'), []);
+  });
+
+  it('reads hook installation', () => {
+    assert.deepEqual(findings('ln -s ../../x.sh .git/hooks/pre-push'), ['hook_install']);
+    assert.deepEqual(gitFindings(['echo', 'x'], { redirects: [{ op: '>>', fd: null, target: 'repo/.git/hooks/pre-commit' }] }), ['hook_install']);
+    assert.deepEqual(findings('cat .git/hooks/pre-commit.sample'), []);
+  });
+});
+
+describe('pushTargets', () => {
+  const repo = { branch: 'work', upstream: { remote: 'origin', branch: 'main' } };
+
+  it('reads refspecs', () => {
+    assert.deepEqual(pushTargets(['origin', 'a', '+b', 'HEAD:c', ':d', 'refs/heads/e:refs/heads/f', 'refs/tags/v1'], repo), [
+      { remote: 'origin', branch: 'a', force: false, delete: false },
+      { remote: 'origin', branch: 'b', force: true, delete: false },
+      { remote: 'origin', branch: 'c', force: false, delete: false },
+      { remote: 'origin', branch: 'd', force: false, delete: true },
+      { remote: 'origin', branch: 'f', force: false, delete: false },
+    ]);
+    assert.deepEqual(pushTargets(['-o', 'ci.skip', '--delete', 'up', 'x']), [{ remote: 'up', branch: 'x', force: false, delete: true }]);
+  });
+
+  it('takes the remote from --repo and every operand as a refspec', () => {
+    assert.deepEqual(pushTargets(['--repo=origin', '--force', 'main']), [{ remote: 'origin', branch: 'main', force: true, delete: false }]);
+    assert.deepEqual(pushTargets(['--repo', 'up', 'a', 'b']), [
+      { remote: 'up', branch: 'a', force: false, delete: false },
+      { remote: 'up', branch: 'b', force: false, delete: false },
+    ]);
+    assert.deepEqual(pushTargets(['--repo=fork'], repo), [{ remote: 'fork', branch: 'work', force: false, delete: false }]);
+  });
+
+  it('falls back to the current branch and its upstream', () => {
+    assert.deepEqual(pushTargets([], repo), [{ remote: 'origin', branch: 'main', force: false, delete: false }]);
+    assert.deepEqual(pushTargets(['-u', 'fork'], repo), [{ remote: 'fork', branch: 'work', force: false, delete: false }]);
+    assert.deepEqual(pushTargets(['origin', 'HEAD']), [{ remote: 'origin', branch: null, force: false, delete: false }]);
+    assert.deepEqual(pushTargets(['--mirror', 'backup']), [{ remote: 'backup', branch: '*', force: true, delete: false }]);
+    assert.deepEqual(pushTargets(['-n', 'origin', 'main']), []);
+  });
+});
+
+describe('readRepository', () => {
+  const tmp = mkdtempSync(join(tmpdir(), 'clawshell-git-repo-'));
+  const main = join(tmp, 'main');
+  mkdirSync(join(main, '.git', 'worktrees', 'wt'), { recursive: true });
+  mkdirSync(join(main, 'src', 'deep'), { recursive: true });
+  writeFileSync(join(main, '.git', 'HEAD'), 'ref: refs/heads/dev\n');
+  writeFileSync(join(main, '.git', 'config'), [
+    '[core]', '\tbare = false',
+    '[branch "dev"]', '\tremote = origin', '\tmerge = refs/heads/develop  # tracked',
+    '[branch "hotfix/1"]', '\tremote = "upstream"', '\tmerge = refs/heads/release/1',
+  ].join('\n'));
+  writeFileSync(join(main, '.git', 'worktrees', 'wt', 'HEAD'), 'ref: refs/heads/hotfix/1\n');
+  writeFileSync(join(main, '.git', 'worktrees', 'wt', 'commondir'), '../..\n');
+  mkdirSync(join(tmp, 'wt'));
+  writeFileSync(join(tmp, 'wt', '.git'), `gitdir: ${join(main, '.git', 'worktrees', 'wt')}\n`);
+  mkdirSync(join(tmp, 'detached', '.git'), { recursive: true });
+  writeFileSync(join(tmp, 'detached', '.git', 'HEAD'), '3f786850e387550fdab836ed7e6dc881de23001b\n');
+
+  after(() => rmSync(tmp, { recursive: true, force: true }));
+
+  it('reads the branch and upstream from a parent directory', () => {
+    assert.deepEqual(readRepository(join(main, 'src', 'deep')), {
+      gitDir: join(main, '.git'), branch: 'dev', upstream: { remote: 'origin', branch: 'develop' },
+    });
+  });
+
+  it('follows linked worktrees to the shared config', () => {
+    assert.deepEqual(readRepository(join(tmp, 'wt')), {
+      gitDir: join(main, '.git', 'worktrees', 'wt'), branch: 'hotfix/1', upstream: { remote: 'upstream', branch: 'release/1' },
+    });
+  });
+
+  it('reports a detached HEAD and directories outside a repository', () => {
+    assert.deepEqual(readRepository(join(tmp, 'detached')), { gitDir: join(tmp, 'detached', '.git'), branch: null, upstream: null });
+    assert.equal(readRepository(tmp), null);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShell, extractCommands } from '../src/shell-parser.mjs';
+import { inlineCode, inspectCode } from '../src/inline-code.mjs';
+
+function extract(command) {
+  const [segment] = extractCommands(parseShell(command)).slice(-1);
+  return inlineCode(segment.argv, segment);
+}
+
+describe('inlineCode', () => {
+
+  it('extracts -c, -e and --eval arguments', () => {
+    assert.deepEqual(extract('python3 -u -c "print(1)" arg'), { language: 'python', code: 'print(1)' });
+    assert.deepEqual(extract('node --eval=1+1'), { language: 'javascript', code: '1+1' });
+    assert.deepEqual(extract(`perl -Mfeature -we 'print 1' -e 'print 2'`), { language: 'perl', code: 'print 1\nprint 2' });
+    assert.deepEqual(extract(`ruby -r json -e 'p 1'`), { language: 'ruby', code: 'p 1' });
+  });
+
+  it('reads heredocs, here-strings and literal pipes', () => {
+    assert.deepEqual(extract('python3 - <<EOF\nimport os\nEOF'), { language: 'python', code: 'import os' });
+    assert.deepEqual(extract('node <<< "fetch(u)"'), { language: 'javascript', code: 'fetch(u)' });
+    assert.deepEqual(extract('echo "print(1)" | python3'), { language: 'python', code: 'print(1)\n' });
+    assert.deepEqual(extract('bash -x <<EOF\nls\nEOF'), { language: 'shell', code: 'ls' });
+  });
+
+  it('ignores script files and modules', () => {
+    assert.equal(extract('python3 script.py <<EOF\ninput\nEOF'), null);
+    assert.equal(extract('python3 -m http.server'), null);
+    assert.equal(extract('bash -c ls'), null);
+    assert.equal(extract('cat <<EOF\nx\nEOF'), null);
+  });
+});
+
+describe('inspectCode', () => {
+
+  it('recovers spawned command lines and argv lists', () => {
+    assert.deepEqual(inspectCode('python', `import subprocess; subprocess.run("make test", shell=True)`), {
+      findings: ['process_spawn'], commands: ['make test'],
+    });
+    assert.deepEqual(inspectCode('javascript', `require('child_process').spawnSync('git', ['commit', '-m', 'a b'], { stdio: 'inherit' })`).commands,
+      ["git commit -m 'a b'"]);
+    assert.deepEqual(inspectCode('perl', 'my $x = qx(uname -a); print `id`').commands, ['id', 'uname -a']);
+  });
+
+  it('treats interpolated or computed commands as dynamic', () => {
+    assert.deepEqual(inspectCode('ruby', 'system("rm #{path}")').findings, ['dynamic_process_spawn']);
+    assert.deepEqual(inspectCode('python', `import os; os.system(f"rm {p}")`).findings, ['dynamic_process_spawn']);
+    assert.deepEqual(inspectCode('python', 'from subprocess import run; run(cmd)').findings, ['dynamic_process_spawn']);
+  });
+
+  it('exempts network access that only addresses localhost', () => {
+    assert.deepEqual(inspectCode('javascript', `fetch('http://localhost:3000/health')`).findings, []);
+    assert.deepEqual(inspectCode('javascript', `fetch('http://localhost:3000/' + 'https://evil.io')`).findings, ['network_access']);
+  });
+
+  it('flags code evaluated from strings', () => {
+    assert.deepEqual(inspectCode('python', `exec(__import__('base64').b64decode('cHJpbnQoMSk='))`).findings, ['dynamic_eval']);
+    assert.deepEqual(inspectCode('python', `eval(compile(src, 'x', 'exec'))`).findings, ['dynamic_eval']);
+    assert.deepEqual(inspectCode('javascript', `eval(Buffer.from(process.argv[1], 'base64').toString())`).findings, ['dynamic_eval']);
+    assert.deepEqual(inspectCode('javascript', `new Function(atob(s))()`).findings, ['dynamic_eval']);
+    assert.deepEqual(inspectCode('javascript', `require('vm').runInThisContext(code)`).findings, ['dynamic_eval']);
+    assert.deepEqual(inspectCode('perl', 'eval decode_base64($ARGV[0])').findings, ['dynamic_eval']);
+    assert.deepEqual(inspectCode('perl', 'use MIME::Base64; eval(decode_base64($s))').findings, ['dynamic_eval']);
+    assert.deepEqual(inspectCode('ruby', 'eval(Base64.decode64(s))').findings, ['dynamic_eval']);
+  });
+
+  it('does not mistake lookalikes for evaluation', () => {
+    assert.deepEqual(inspectCode('python', `import re; re.compile('a+').match(s)`).findings, []);
+    assert.deepEqual(inspectCode('perl', 'eval { die "x" }; print $@').findings, []);
+    assert.deepEqual(inspectCode('javascript', 'const evaluate = (x) => x; evaluate(1)').findings, []);
+  });
+
+  it('does not mistake lookalikes for spawns', () => {
+    assert.deepEqual(inspectCode('javascript', '/a/.exec("abc")').findings, []);
+    assert.deepEqual(inspectCode('python', 'import platform; platform.system()').findings, []);
+  });
+});
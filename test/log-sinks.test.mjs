@@ -0,0 +1,248 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer as createHttpServer } from 'node:http';
+import { createServer as createNetServer } from 'node:net';
+import { createSocket } from 'node:dgram';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SyslogSink, HttpSink, FileSink, createSinks, formatCef, formatLeef, formatSyslog } from '../src/log-sinks.mjs';
+import { validateConfig } from '../src/config.mjs';
+
+const RECORD = {
+  timestamp: '2025-06-01T12:00:00.000Z',
+  request_id: 'abc123',
+  command: 'rm -rf dist | tee a=b',
+  working_dir: '/app/workspace',
+  risk_level: 'high',
+  risk_reasons: ['destructive_command'],
+  decision: 'approved',
+  decided_by: 'user_telegram',
+  seq: 7,
+};
+
+let dir;
+const closers = [];
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'clawshell-sinks-'));
+});
+
+afterEach(async () => {
+  for (const close of closers.splice(0).reverse()) await close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function listen(server, ...args) {
+  closers.push(() => new Promise((resolve) => server.close(() => resolve())));
+  return new Promise((resolve) => server.listen(...args, () => resolve(server)));
+}
+
+// Collects octet-counted syslog frames from a stream connection
+function frameCollector(messages) {
+  return (socket) => {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let match;
+      while ((match = buffer.match(/^(\d+) /)) && buffer.length >= match[0].length + Number(match[1])) {
+        messages.push(buffer.slice(match[0].length, match[0].length + Number(match[1])));
+        buffer = buffer.slice(match[0].length + Number(match[1]));
+      }
+    });
+  };
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 200 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.ok(check(), 'timed out waiting');
+}
+
+describe('Log formats', () => {
+
+  it('formats CEF with escaped values', () => {
+    const line = formatCef(RECORD);
+    assert.ok(line.startsWith('CEF:0|ClawShell|ClawShell|0.1.0|approved|Command approved|7|'));
+    assert.ok(line.includes('msg=rm -rf dist | tee a\\=b'));
+    assert.ok(line.includes('suser=user_telegram'));
+    assert.ok(line.includes('cs1Label=requestId cs1=abc123'));
+    assert.ok(line.includes(`rt=${Date.parse(RECORD.timestamp)}`));
+  });
+
+  it('formats LEEF with tab-separated attributes', () => {
+    const [header, attributes] = formatLeef({ ...RECORD, command: 'echo\tx' }).split('|approved|');
+    assert.equal(header, 'LEEF:1.0|ClawShell|ClawShell|0.1.0');
+    const fields = Object.fromEntries(attributes.split('\t').map((pair) => pair.split(/=(.*)/s).slice(0, 2)));
+    assert.equal(fields.sev, '7');
+    assert.equal(fields.command, 'echo\\tx');
+    assert.equal(fields.riskReasons, 'destructive_command');
+  });
+
+  it('formats RFC 5424 messages', () => {
+    const message = formatSyslog(RECORD, { hostname: 'box', format: 'json' });
+    assert.ok(message.startsWith(`<132>1 2025-06-01T12:00:00.000Z box clawshell ${process.pid} approved [clawshell@32473 requestId="abc123" seq="7"] {`));
+    assert.equal(JSON.parse(message.slice(message.indexOf('{'))).command, RECORD.command);
+    assert.ok(formatSyslog({ level: 'error', message: 'x' }, { facility: 'audit' }).startsWith('<107>1 '));
+  });
+});
+
+describe('SyslogSink', () => {
+
+  it('sends datagrams over UDP', async () => {
+    const messages = [];
+    const server = createSocket('udp4');
+    server.on('message', (msg) => messages.push(msg.toString()));
+    await new Promise((resolve) => server.bind(0, '127.0.0.1', resolve));
+    closers.push(() => new Promise((resolve) => server.close(resolve)));
+
+    const sink = new SyslogSink({ transport: 'udp', port: server.address().port, format: 'cef' });
+    closers.push(() => sink.close());
+    sink.write(RECORD);
+    await sink.flush();
+
+    await waitFor(() => messages.length === 1);
+    assert.ok(messages[0].includes(' CEF:0|ClawShell|'));
+  });
+
+  it('frames messages over TCP and Unix sockets', async () => {
+    const tcp = [];
+    const unix = [];
+    const tcpServer = await listen(createNetServer(frameCollector(tcp)), 0, '127.0.0.1');
+    await listen(createNetServer(frameCollector(unix)), join(dir, 'syslog.sock'));
+
+    const sinks = [
+      new SyslogSink({ transport: 'tcp', port: tcpServer.address().port }),
+      new SyslogSink({ transport: 'unix', path: join(dir, 'syslog.sock'), format: 'leef' }),
+    ];
+    for (const sink of sinks) {
+      sink.write(RECORD);
+      sink.write({ ...RECORD, seq: 8, command: 'line one\nline two' });
+      await sink.close();
+    }
+
+    await waitFor(() => tcp.length === 2 && unix.length === 2);
+    assert.equal(JSON.parse(tcp[1].slice(tcp[1].indexOf('{'))).command, 'line one\nline two');
+    assert.ok(unix[0].includes('LEEF:1.0|'));
+  });
+
+  it('reports connection failures without throwing', async () => {
+    const errors = [];
+    const sink = new SyslogSink({ transport: 'unix', path: join(dir, 'missing.sock'), onError: (err) => errors.push(err) });
+    sink.write(RECORD);
+    await sink.close();
+    await waitFor(() => errors.length > 0);
+  });
+});
+
+describe('HttpSink', () => {
+
+  it('batches records and retries failed posts', async () => {
+    const batches = [];
+    let failures = 1;
+    const server = await listen(createHttpServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (failures-- > 0) return res.writeHead(503).end();
+        batches.push({ body: JSON.parse(body), auth: req.headers.authorization });
+        res.end('ok');
+      });
+    }), 0, '127.0.0.1');
+
+    const sink = new HttpSink({
+      url: `http://127.0.0.1:${server.address().port}/ingest`,
+      headers: { Authorization: 'Bearer t' },
+      batchSize: 2,
+      retryDelayMs: 5,
+    });
+    closers.push(() => sink.close());
+
+    sink.write({ seq: 1 });
+    sink.write({ seq: 2 });
+    sink.write({ seq: 3 });
+    await sink.flush();
+    await sink.flush();
+
+    assert.deepEqual(batches.map((batch) => batch.body.map((r) => r.seq)), [[1, 2], [3]]);
+    assert.equal(batches[0].auth, 'Bearer t');
+  });
+
+  it('buffers undeliverable batches on disk and sends them later', async () => {
+    let up = false;
+    const received = [];
+    const server = await listen(createHttpServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (!up) return res.writeHead(500).end();
+        received.push(...body.trim().split('\n'));
+        res.end();
+      });
+    }), 0, '127.0.0.1');
+
+    const errors = [];
+    const opts = {
+      url: `http://127.0.0.1:${server.address().port}/`,
+      format: 'cef',
+      maxRetries: 1,
+      retryDelayMs: 5,
+      bufferPath: join(dir, 'buffer.jsonl'),
+      onError: (err) => errors.push(err.message),
+    };
+    const first = new HttpSink(opts);
+    first.write({ ...RECORD, seq: 1 });
+    first.write({ ...RECORD, seq: 2 });
+    await first.close();
+
+    assert.equal(readFileSync(opts.bufferPath, 'utf-8').trim().split('\n').length, 2);
+    assert.match(errors[0], /failed after 2 attempts/);
+
+    // A later instance (e.g. after a restart) sends the buffer first
+    up = true;
+    const second = new HttpSink(opts);
+    second.write({ ...RECORD, seq: 3 });
+    await second.close();
+
+    assert.deepEqual(received.map((line) => line.match(/cn1=(\d+)/)[1]), ['1', '2', '3']);
+    assert.ok(received[0].startsWith('CEF:0|'));
+    assert.equal(existsSync(opts.bufferPath), false);
+  });
+});
+
+describe('createSinks', () => {
+
+  it('builds sinks from config with secrets from env', async () => {
+    process.env.CLAWSHELL_TEST_SINK_PATH = join(dir, 'out.leef');
+    try {
+      const [sink] = createSinks([{ type: 'file', path_env: 'CLAWSHELL_TEST_SINK_PATH', format: 'leef' }]);
+      assert.ok(sink instanceof FileSink);
+      sink.write(RECORD);
+      await sink.close();
+      assert.ok(readFileSync(join(dir, 'out.leef'), 'utf-8').startsWith('LEEF:1.0|'));
+    } finally {
+      delete process.env.CLAWSHELL_TEST_SINK_PATH;
+    }
+  });
+
+  it('is validated with the rest of the config', () => {
+    const { errors } = validateConfig({
+      logging: {
+        sinks: [
+          { type: 'syslog', transport: 'carrier-pigeon' },
+          { type: 'syslog', transport: 'unix' },
+          { type: 'http' },
+          { type: 'kafka' },
+          { type: 'file', path: 'x', format: 'xml' },
+        ],
+      },
+    });
+    assert.deepEqual(errors, [
+      'logging.sinks[0].transport must be one of udp, tcp, unix',
+      'logging.sinks[1] needs a path for the unix transport',
+      'logging.sinks[2] needs a url',
+      'logging.sinks[3] has unknown type "kafka" (expected syslog, http, file)',
+      'logging.sinks[4].format must be one of json, cef, leef',
+    ]);
+  });
+});
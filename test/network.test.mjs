@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { networkDestinations, isLocalDestination, NetworkPolicy, parseDestinationPattern } from '../src/network.mjs';
+
+function hosts(command) {
+  return networkDestinations(command.split(' ')).map(({ host, port }) => `${host}:${port}`);
+}
+
+describe('networkDestinations', () => {
+
+  it('reads URLs and hosts past option values', () => {
+    assert.deepEqual(hosts('curl -sSLo out -H X-Debug:1 https://example.com/a'), ['example.com:443']);
+    assert.deepEqual(hosts('curl -XPOST http://[::1]:3000/t'), ['::1:3000']);
+    assert.deepEqual(hosts('wget -qO- x.io:8080/a'), ['x.io:8080']);
+    assert.deepEqual(hosts('curl --proxy proxy.corp:3128 https://a.io'), ['proxy.corp:3128', 'a.io:443']);
+  });
+
+  it('reports destinations it cannot read as unknown', () => {
+    assert.deepEqual(hosts('curl -K urls.txt'), ['null:null']);
+    assert.deepEqual(hosts('wget -i list.txt'), ['null:null']);
+    assert.deepEqual(hosts('curl http://$HOST/x'), ['null:80']);
+    assert.deepEqual(hosts('curl --version'), []);
+  });
+
+  it('reads ssh, scp, rsync and nc targets', () => {
+    assert.deepEqual(hosts('ssh -p 2222 -i key user@prod.example.com uptime'), ['prod.example.com:2222']);
+    assert.deepEqual(hosts('ssh -J bastion.io db'), ['bastion.io:22', 'db:22']);
+    assert.deepEqual(hosts('scp -P 2200 f.txt u@h.io:/tmp/'), ['h.io:2200']);
+    assert.deepEqual(hosts('rsync -avz ./data backup::module'), ['backup:873']);
+    assert.deepEqual(hosts('nc -zv evil.com 4444'), ['evil.com:4444']);
+    assert.deepEqual(hosts('nc -lvp 8080'), []);
+  });
+
+  it('reads git remotes and package manager sources', () => {
+    assert.deepEqual(hosts('git -C repo clone git@gitlab.com:a/b.git dir'), ['gitlab.com:22']);
+    assert.deepEqual(hosts('git push origin main'), []);
+    assert.deepEqual(hosts('git push origin feature:main'), []);
+    assert.deepEqual(hosts('git push -o ci.skip git@gitlab.com:a/b.git HEAD:refs/heads/x'), ['gitlab.com:22']);
+    assert.deepEqual(hosts('git push --repo=git@github.com:a/b.git main:release'), ['github.com:22']);
+    assert.deepEqual(hosts('git fetch --depth 1 origin +refs/heads/*:refs/remotes/origin/*'), []);
+    assert.deepEqual(networkDestinations(['npm', 'install', 'lodash']), [{ host: 'registry.npmjs.org', port: 443, implicit: true }]);
+    assert.deepEqual(hosts('pip install -i https://pypi.corp/simple x'), ['pypi.corp:443']);
+    assert.deepEqual(hosts('npm run build'), []);
+  });
+
+  it('knows this machine', () => {
+    assert.equal(isLocalDestination({ host: '127.0.0.2' }), true);
+    assert.equal(isLocalDestination({ host: 'localhost.evil.com' }), false);
+    assert.equal(isLocalDestination({ host: '127.evil.com' }), false);
+    assert.equal(isLocalDestination({ host: '127.0.0.1.nip.io' }), false);
+    assert.equal(isLocalDestination({ host: null }), false);
+  });
+});
+
+describe('NetworkPolicy', () => {
+  const policy = new NetworkPolicy({
+    allow: ['*.github.com', '10.0.0.0/8', 'api.x.io:443', '[::1]:8000-9000', '/^docs\\./'],
+    block: ['*:25', '169.254.169.254'],
+  });
+
+  it('matches globs, CIDR ranges, ports and regexes', () => {
+    assert.equal(policy.allowed({ host: 'raw.github.com', port: 443 }), '*.github.com');
+    assert.equal(policy.allowed({ host: 'github.com', port: 443 }), null);
+    assert.equal(policy.allowed({ host: '10.2.3.4', port: 22 }), '10.0.0.0/8');
+    assert.equal(policy.allowed({ host: 'api.x.io', port: 80 }), null);
+    assert.equal(policy.allowed({ host: '::1', port: 8080 }), '[::1]:8000-9000');
+    assert.equal(policy.allowed({ host: 'docs.rs', port: 443 }), '/^docs\\./');
+    assert.equal(policy.allowed({ host: null, port: 443 }), null);
+    assert.equal(policy.blocked({ host: 'mail.io', port: 25 }), '*:25');
+    assert.equal(policy.blocked({ host: '169.254.169.254', port: 80 }), '169.254.169.254');
+  });
+
+  it('rejects entries that cannot match', () => {
+    assert.throws(() => parseDestinationPattern('10.0.0.0/40'), /invalid prefix length/);
+    assert.throws(() => parseDestinationPattern('x.io:http'), /invalid port/);
+    assert.throws(() => parseDestinationPattern('x.io/path'), /not a host name/);
+  });
+});
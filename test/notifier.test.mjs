@@ -0,0 +1,350 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { TelegramNotifier, CompositeNotifier, MockNotifier } from '../src/notifier.mjs';
+
+// --- Fake Telegram Bot API ---
+
+let api;
+
+function startFakeTelegram() {
+  const state = { updates: [], calls: [], nextMessageId: 100, nextUpdateId: 1 };
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const method = url.pathname.split('/').pop();
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const params = body ? JSON.parse(body) : Object.fromEntries(url.searchParams);
+      state.calls.push({ method, params });
+      const reply = (result) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, result }));
+      };
+
+      if (method === 'sendMessage') return reply({ message_id: state.nextMessageId++ });
+      if (method === 'getUpdates') {
+        const offset = parseInt(params.offset, 10) || 0;
+        // Short "long poll" so tests stay fast
+        const pending = state.updates.filter((u) => u.update_id >= offset);
+        if (pending.length > 0) return reply(pending);
+        return setTimeout(() => reply(state.updates.filter((u) => u.update_id >= offset)), 20);
+      }
+      return reply(true);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        state,
+        base: `http://127.0.0.1:${server.address().port}`,
+        tap(data, { chatId = 42, userId = 7, username = 'alice' } = {}) {
+          const id = state.nextUpdateId++;
+          state.updates.push({
+            update_id: id,
+            callback_query: {
+              id: `cb-${id}`,
+              data,
+              from: { id: userId, username },
+              message: { message_id: 100, chat: { id: chatId } },
+            },
+          });
+        },
+        calls(method) {
+          return state.calls.filter((c) => c.method === method);
+        },
+        close: () => new Promise((r) => { server.closeAllConnections(); server.close(r); }),
+      });
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function makeNotifier(opts = {}) {
+  return new TelegramNotifier({ botToken: `token-${api.base}`, chatId: '42', apiBase: api.base, useWebhook: false, ...opts });
+}
+
+function request(id) {
+  return { id, command: 'rm -rf dist', workingDir: '/app', riskLevel: 'high', riskReasons: ['destructive_command'] };
+}
+
+beforeEach(async () => {
+  api = await startFakeTelegram();
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+describe('TelegramNotifier', () => {
+
+  it('returns the request id as receipt so callers poll for it', async () => {
+    const notifier = makeNotifier();
+    const notification = await notifier.sendApprovalRequest(request('req-1'));
+    assert.equal(notification.receipt, 'req-1');
+    assert.equal(notification.notificationId, '100');
+  });
+
+  it('redacts secrets in the message', async () => {
+    const notifier = makeNotifier({ redact: (text) => text.replace('corp-secret', '[REDACTED]') });
+    await notifier.sendApprovalRequest({ ...request('req-1'), command: 'deploy --key corp-secret' });
+    await makeNotifier().sendApprovalRequest({ ...request('req-2'), command: 'mysql -u root -phunter2' });
+
+    const [custom, builtIn] = api.calls('sendMessage').map((c) => c.params.text);
+    assert.ok(custom.includes('deploy --key [REDACTED]'));
+    assert.ok(builtIn.includes('mysql -u root -p[REDACTED]'));
+    assert.ok(!builtIn.includes('hunter2'));
+  });
+
+  it('returns no receipt in webhook mode', async () => {
+    const notifier = makeNotifier({ useWebhook: true });
+    const notification = await notifier.sendApprovalRequest(request('req-1'));
+    assert.equal(notification.receipt, null);
+  });
+
+  it('dispatches concurrent callbacks to the matching request', async () => {
+    const notifier = makeNotifier();
+    await notifier.sendApprovalRequest(request('a'));
+    await notifier.sendApprovalRequest(request('b'));
+
+    const pollA = notifier.pollForResponse('a', 5_000);
+    const pollB = notifier.pollForResponse('b', 5_000);
+    api.tap('reject:b');
+    api.tap('approve:a');
+
+    assert.deepEqual(await pollA, { approved: true, decidedBy: 'user_telegram', approver: 'alice' });
+    assert.deepEqual(await pollB, { approved: false, decidedBy: 'user_telegram', approver: 'alice' });
+  });
+
+  it('shares one getUpdates offset between waiters', async () => {
+    const notifier = makeNotifier();
+    const pollA = notifier.pollForResponse('a', 5_000);
+    const pollB = notifier.pollForResponse('b', 5_000);
+    api.tap('approve:a');
+    await pollA;
+    api.tap('approve:b');
+    await pollB;
+
+    const offsets = api.calls('getUpdates').map((c) => parseInt(c.params.offset, 10));
+    assert.deepEqual(offsets, [...offsets].sort((x, y) => x - y), 'offset never goes backwards');
+    assert.ok(offsets.at(-1) >= 2, 'offset acknowledges both updates');
+  });
+
+  it('ignores callbacks from other chats and non-allowed users', async () => {
+    const notifier = makeNotifier({ allowedUserIds: ['7'] });
+    const poll = notifier.pollForResponse('a', 5_000);
+    api.tap('approve:a', { chatId: 999 });
+    api.tap('approve:a', { userId: 8, username: 'mallory' });
+    api.tap('reject:a', { userId: 7, username: 'alice' });
+
+    assert.deepEqual(await poll, { approved: false, decidedBy: 'user_telegram', approver: 'alice' });
+    const answers = api.calls('answerCallbackQuery').map((c) => c.params.text);
+    assert.deepEqual(answers, ['Not authorized', 'Not authorized', 'Rejected']);
+  });
+
+  it('edits the original message with the outcome', async () => {
+    const notifier = makeNotifier();
+    await notifier.sendApprovalRequest(request('a'));
+    const poll = notifier.pollForResponse('a', 5_000);
+    api.tap('approve:a', { username: 'bob_smith' });
+    await poll;
+
+    const [edit] = api.calls('editMessageText');
+    assert.equal(edit.params.message_id, 100);
+    assert.ok(edit.params.text.includes('rm -rf dist'));
+    assert.ok(edit.params.text.includes('APPROVED'));
+    assert.ok(edit.params.text.includes('bob\\_smith'));
+    assert.equal(edit.params.reply_markup, undefined, 'buttons are removed');
+  });
+
+  it('reports every tap as a vote when collecting a quorum', async () => {
+    const notifier = makeNotifier();
+    const controller = new AbortController();
+    const votes = [];
+    const poll = notifier.pollForResponse('a', 5_000, {
+      signal: controller.signal,
+      onVote: (vote) => votes.push(vote.approver) === 1,
+    });
+    api.tap('approve:a', { userId: 7, username: 'alice' });
+    api.tap('approve:a', { userId: 8, username: 'bob' });
+
+    while (api.calls('answerCallbackQuery').length < 2) await sleep(10);
+    controller.abort();
+
+    assert.deepEqual(await poll, { approved: false, decidedBy: 'cancelled' });
+    assert.deepEqual(votes, ['alice', 'bob']);
+    const answers = api.calls('answerCallbackQuery').map((c) => c.params.text);
+    assert.deepEqual(answers, ['Vote recorded', 'Vote not accepted']);
+  });
+
+  it('marks the message on timeout', async () => {
+    const notifier = makeNotifier();
+    await notifier.sendApprovalRequest(request('a'));
+    const result = await notifier.pollForResponse('a', 50);
+
+    assert.deepEqual(result, { approved: false, decidedBy: 'timeout' });
+    assert.ok(api.calls('editMessageText')[0].params.text.includes('TIMED OUT'));
+  });
+
+  it('stops waiting when the signal aborts', async () => {
+    const notifier = makeNotifier();
+    const controller = new AbortController();
+    const poll = notifier.pollForResponse('a', 5_000, { signal: controller.signal });
+    controller.abort();
+
+    assert.deepEqual(await poll, { approved: false, decidedBy: 'cancelled' });
+  });
+});
+
+// --- Composite fan-out ---
+
+function fakeChannel(name, { fail = false } = {}) {
+  const notifier = {
+    sent: [],
+    decisions: [],
+    resolvers: new Map(),
+    async sendApprovalRequest(req) {
+      if (fail) throw new Error(`${name} down`);
+      notifier.sent.push(req.id);
+      return { notificationId: `${name}-1`, receipt: req.id };
+    },
+    pollForResponse(receipt, _timeoutMs, { signal } = {}) {
+      return new Promise((resolve) => {
+        notifier.resolvers.set(receipt, resolve);
+        signal?.addEventListener('abort', () => resolve({ approved: false, decidedBy: 'cancelled' }));
+      });
+    },
+    async notifyDecision(id, decision) {
+      notifier.decisions.push([id, decision.decidedBy]);
+    },
+    decide(id, approved) {
+      notifier.resolvers.get(id)({ approved, decidedBy: `user_${name}` });
+    },
+  };
+  return { name, notifier };
+}
+
+
+describe('CompositeNotifier', () => {
+
+  it('sends to every channel and the first decision wins', async () => {
+    const events = [];
+    const a = fakeChannel('a');
+    const b = fakeChannel('b');
+    const composite = new CompositeNotifier({ channels: [a, b], onEvent: (e) => events.push(e) });
+
+    const notification = await composite.sendApprovalRequest(request('r1'));
+    assert.equal(notification.receipt, 'r1');
+    assert.deepEqual([a.notifier.sent, b.notifier.sent], [['r1'], ['r1']]);
+
+    const poll = composite.pollForResponse('r1', 5_000);
+    b.notifier.decide('r1', false);
+    a.notifier.decide('r1', true);
+
+    assert.deepEqual(await poll, { approved: false, decidedBy: 'user_b', channel: 'b' });
+    assert.deepEqual(events.map((e) => e.event), ['notification_sent', 'decision_received']);
+    assert.equal(events[1].channel, 'b');
+  });
+
+  it('escalates to later stages when nobody answers', async () => {
+    const events = [];
+    const oncall = fakeChannel('oncall');
+    const backup = fakeChannel('backup');
+    const team = fakeChannel('team');
+    const composite = new CompositeNotifier({
+      stages: [
+        { afterSeconds: 0, channels: [oncall] },
+        { afterSeconds: 0.05, channels: [backup] },
+        { afterSeconds: 10, channels: [team] },
+      ],
+      onEvent: (e) => events.push(e),
+    });
+
+    await composite.sendApprovalRequest(request('r1'));
+    const poll = composite.pollForResponse('r1', 5_000);
+    assert.deepEqual(backup.notifier.sent, []);
+
+    await sleep(100);
+    assert.deepEqual(backup.notifier.sent, ['r1']);
+    backup.notifier.decide('r1', true);
+
+    assert.equal((await poll).channel, 'backup');
+    assert.deepEqual(team.notifier.sent, [], 'later stages are cancelled');
+    const escalated = events.find((e) => e.event === 'approval_escalated');
+    assert.deepEqual(escalated, { event: 'approval_escalated', request_id: 'r1', stage: 1, channels: ['backup'] });
+  });
+
+  it('notifyDecision updates every notified channel', async () => {
+    const events = [];
+    const a = fakeChannel('a');
+    const b = fakeChannel('b');
+    const composite = new CompositeNotifier({ channels: [a, b], onEvent: (e) => events.push(e) });
+    await composite.sendApprovalRequest(request('r1'));
+
+    await composite.notifyDecision('r1', { approved: true, decidedBy: 'user_web' });
+
+    assert.deepEqual(a.notifier.decisions, [['r1', 'user_web']]);
+    assert.deepEqual(b.notifier.decisions, [['r1', 'user_web']]);
+    assert.deepEqual(events.at(-1).channels, ['a', 'b']);
+  });
+
+  it('keeps going when one channel fails, and throws when all do', async () => {
+    const events = [];
+    const ok = fakeChannel('ok');
+    const composite = new CompositeNotifier({ channels: [fakeChannel('down', { fail: true }), ok], onEvent: (e) => events.push(e) });
+
+    await composite.sendApprovalRequest(request('r1'));
+    assert.deepEqual(events[0].channels, ['ok']);
+    assert.deepEqual(events[0].failed, [{ channel: 'down', error: 'down down' }]);
+
+    const broken = new CompositeNotifier({ channels: [fakeChannel('down', { fail: true })] });
+    await assert.rejects(() => broken.sendApprovalRequest(request('r2')), /All notification channels failed/);
+  });
+
+  it('stops polling channels when aborted', async () => {
+    const a = fakeChannel('a');
+    const composite = new CompositeNotifier({ channels: [a] });
+    await composite.sendApprovalRequest(request('r1'));
+
+    const controller = new AbortController();
+    const poll = composite.pollForResponse('r1', 5_000, { signal: controller.signal });
+    controller.abort();
+    assert.deepEqual(await poll, { approved: false, decidedBy: 'cancelled' });
+  });
+
+  it('fromConfig builds channels and escalation from config.yaml', async () => {
+    process.env.TEST_CHANNEL_DELAY = '5';
+    try {
+      const composite = CompositeNotifier.fromConfig({
+        channels: {
+          first: { type: 'mock', auto_approve: false },
+          second: { type: 'mock', delay_ms_env: 'TEST_CHANNEL_DELAY' },
+        },
+        escalation: [
+          { notify: ['first'] },
+          { after_seconds: 30, notify: ['second'] },
+        ],
+      });
+      assert.equal(composite.type, 'composite');
+      assert.deepEqual(composite.channels, ['first', 'second']);
+    } finally {
+      delete process.env.TEST_CHANNEL_DELAY;
+    }
+
+    assert.throws(() => CompositeNotifier.fromConfig({
+      channels: { a: { type: 'mock' } },
+      escalation: [{ notify: ['missing'] }],
+    }), /unknown channel "missing"/);
+
+    assert.throws(() => CompositeNotifier.fromConfig({ channels: { a: { type: 'fax' } } }), /unknown type "fax"/);
+  });
+
+  it('accepts plain notifiers as channels', async () => {
+    const composite = new CompositeNotifier({ channels: [{ name: 'mock', notifier: new MockNotifier() }] });
+    const notification = await composite.sendApprovalRequest(request('r1'));
+    assert.equal(notification.notificationId, 'mock:mock-r1');
+  });
+});
@@ -8,6 +8,52 @@ afterEach(() => {
   if (store) store.destroy();
 });
 
+describe('PendingApprovals quorum', () => {
+  const policy = { name: 'prod', required: 2, approvers: ['alice', 'bob', 'carol'] };
+
+  it('stays pending until the required approvals are in', async () => {
+    store = new PendingApprovals({ timeoutSeconds: 10 });
+    const { id, promise } = store.add({ command: 'deploy', workingDir: '/', riskLevel: 'high', policy });
+
+    assert.equal(store.approve(id, 'user_telegram', 'alice'), true);
+    assert.equal(store.get(id).status, 'pending');
+    assert.deepEqual(store.get(id).approvals, ['alice']);
+
+    assert.equal(store.approve(id, 'user', 'bob'), true);
+    assert.deepEqual(await promise, { approved: true, decidedBy: 'alice,bob', policy: 'prod', approvals: ['alice', 'bob'] });
+  });
+
+  it('ignores repeat and unlisted approvers', () => {
+    store = new PendingApprovals({ timeoutSeconds: 10 });
+    const { id } = store.add({ command: 'deploy', workingDir: '/', riskLevel: 'high', policy });
+
+    assert.equal(store.approve(id, 'user', 'alice'), true);
+    assert.equal(store.approve(id, 'user', 'alice'), false);
+    assert.equal(store.approve(id, 'user', 'mallory'), false);
+    assert.equal(store.approve(id, 'user_web'), false);
+    assert.deepEqual(store.get(id).approvals, ['alice']);
+  });
+
+  it('lets any approver veto', async () => {
+    store = new PendingApprovals({ timeoutSeconds: 10 });
+    const { id, promise } = store.add({ command: 'deploy', workingDir: '/', riskLevel: 'high', policy });
+
+    store.approve(id, 'user', 'alice');
+    assert.equal(store.reject(id, 'user', 'mallory'), false);
+    assert.equal(store.reject(id, 'user_telegram', 'carol'), true);
+    assert.deepEqual(await promise, { approved: false, decidedBy: 'carol', policy: 'prod', approvals: ['alice'] });
+  });
+
+  it('accepts anyone when the policy lists no approvers', async () => {
+    store = new PendingApprovals({ timeoutSeconds: 10 });
+    const { id, promise } = store.add({ command: 'deploy', workingDir: '/', riskLevel: 'high', policy: { name: 'any', required: 2, approvers: [] } });
+
+    store.approve(id, 'user_web');
+    store.approve(id, 'user_telegram', 'dave');
+    assert.equal((await promise).decidedBy, 'user_web,dave');
+  });
+});
+
 describe('PendingApprovals', () => {
 
   it('add() returns id and promise', () => {
@@ -47,6 +93,18 @@ describe('PendingApprovals', () => {
     assert.equal(result.decidedBy, 'user');
   });
 
+  it('approve()/reject() record who decided', async () => {
+    store = new PendingApprovals({ timeoutSeconds: 10 });
+    const a = store.add({ command: 'a', workingDir: '/', riskLevel: 'high' });
+    const b = store.add({ command: 'b', workingDir: '/', riskLevel: 'high' });
+
+    store.approve(a.id, 'user_web');
+    store.reject(b.id, 'user_telegram');
+
+    assert.equal((await a.promise).decidedBy, 'user_web');
+    assert.equal((await b.promise).decidedBy, 'user_telegram');
+  });
+
   it('approve() returns false for unknown id', () => {
     store = new PendingApprovals({ timeoutSeconds: 10 });
     assert.equal(store.approve('nonexistent'), false);
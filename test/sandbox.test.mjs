@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, existsSync, statSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RestrictedExecutor, NamespaceExecutor, createExecutors } from '../src/sandbox.mjs';
+
+const has = (tool) => spawnSync('sh', ['-c', `command -v ${tool}`]).status === 0;
+const canUnshare = has('unshare') && spawnSync('unshare', ['--user', '--map-root-user', '--mount', 'true']).status === 0;
+
+let dir;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'clawshell-sandbox-'));
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('RestrictedExecutor', () => {
+
+  it('passes only kept variables and a fixed PATH', async () => {
+    const executor = new RestrictedExecutor({ keep_env: ['HOME'], path: '/usr/bin:/bin' });
+    const result = await executor.run('env', { cwd: dir, env: { HOME: '/home/a', AWS_SECRET_ACCESS_KEY: 'x', PATH: '/evil' } });
+    assert.deepEqual(result.stdout.trim().split('\n').filter((line) => !line.startsWith('PWD=')).sort(), ['HOME=/home/a', 'PATH=/usr/bin:/bin']);
+  });
+
+  it('applies the umask', async () => {
+    await new RestrictedExecutor({ umask: '027' }).run('touch made', { cwd: dir });
+    assert.equal(statSync(join(dir, 'made')).mode & 0o777, 0o640);
+  });
+
+  it('applies resource limits with prlimit', { skip: !has('prlimit') }, async () => {
+    const result = await new RestrictedExecutor({ limits: { cpu_seconds: 7, file_size_mb: 1 } }).run('ulimit -t; ulimit -f', { cwd: dir });
+    assert.equal(result.exitCode, 0);
+    assert.equal(result.stdout.split('\n')[0], '7');
+  });
+});
+
+describe('NamespaceExecutor', () => {
+
+  it('makes everything but the working directory read-only', { skip: !canUnshare }, async () => {
+    const executor = new NamespaceExecutor({ tool: 'unshare' });
+    const result = await executor.run(`touch inside && touch ${join(tmpdir(), 'clawshell-outside')}`, { cwd: dir });
+    assert.notEqual(result.exitCode, 0);
+    assert.match(result.stderr, /Read-only file system/);
+    assert.ok(existsSync(join(dir, 'inside')));
+  });
+
+  it('cuts off the network by default', { skip: !canUnshare }, async () => {
+    const result = await new NamespaceExecutor({ tool: 'unshare' }).run('cat /proc/net/dev | tail -n +3 | cut -d: -f1', { cwd: dir });
+    assert.deepEqual(result.stdout.split('\n').map((line) => line.trim()).filter(Boolean), ['lo']);
+  });
+
+  it('fails instead of running unsandboxed when the tool is missing', { skip: has('bwrap') }, async () => {
+    const result = await new NamespaceExecutor({ tool: 'bwrap' }).run('touch ran', { cwd: dir });
+    assert.equal(result.exitCode, 1);
+    assert.match(result.error, /ENOENT/);
+    assert.equal(existsSync(join(dir, 'ran')), false);
+  });
+});
+
+describe('createExecutors', () => {
+
+  it('builds the built-in executors from config', () => {
+    const executors = createExecutors({ restricted: { keep_env: ['LANG'] } });
+    assert.deepEqual([...executors.keys()], ['direct', 'restricted', 'namespace']);
+    assert.deepEqual(executors.get('restricted').environment({ LANG: 'C', SECRET: 'x' }), { PATH: '/usr/local/bin:/usr/bin:/bin', LANG: 'C' });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, mkdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { scriptReference, readScript, lineOf } from '../src/script-files.mjs';
+
+describe('script files', () => {
+  const tmp = mkdtempSync(join(tmpdir(), 'clawshell-script-files-'));
+  writeFileSync(join(tmp, 'run'), '#!/usr/bin/env -S node --no-warnings\nconsole.log(1)\n');
+  writeFileSync(join(tmp, 'plain'), 'ls\n');
+  writeFileSync(join(tmp, 'awk-script'), '#!/usr/bin/awk -f\n{ print }\n');
+  writeFileSync(join(tmp, 'binary'), Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0, 1]));
+  mkdirSync(join(tmp, 'dir.sh'));
+
+  after(() => rmSync(tmp, { recursive: true, force: true }));
+
+  it('finds the script a command runs', () => {
+    assert.deepEqual(scriptReference(['bash', '-e', 'deploy.sh', 'prod'], 'bash', tmp), { path: join(tmp, 'deploy.sh'), language: 'shell' });
+    assert.deepEqual(scriptReference(['python3', '-u', 'tool.py'], 'python3', tmp), { path: join(tmp, 'tool.py'), language: 'python' });
+    assert.deepEqual(scriptReference(['run'], './run', tmp), { path: join(tmp, 'run'), language: null });
+    assert.equal(scriptReference(['bash', '-c', 'ls'], 'bash', tmp), null);
+    assert.equal(scriptReference(['python3', '-m', 'pytest'], 'python3', tmp), null);
+    assert.equal(scriptReference(['ls', 'deploy.sh'], 'ls', tmp), null);
+  });
+
+  it('detects the language from the shebang or falls back to shell', () => {
+    assert.equal(readScript({ path: join(tmp, 'run'), language: null }).language, 'javascript');
+    assert.equal(readScript({ path: join(tmp, 'plain'), language: null }).language, 'shell');
+    assert.equal(readScript({ path: join(tmp, 'awk-script'), language: null }), null);
+  });
+
+  it('skips binaries, directories and missing files', () => {
+    assert.equal(readScript({ path: join(tmp, 'binary'), language: null }), null);
+    assert.equal(readScript({ path: join(tmp, 'dir.sh'), language: 'shell' }), null);
+    assert.equal(readScript({ path: join(tmp, 'missing.sh'), language: 'shell' }), null);
+  });
+
+  it('reads at most max bytes', () => {
+    const script = readScript({ path: join(tmp, 'plain'), language: null }, 2);
+    assert.equal(script.content, 'ls');
+    assert.equal(script.truncated, true);
+    assert.match(script.hash, /^[0-9a-f]{64}$/);
+  });
+
+  it('locates lines', () => {
+    assert.equal(lineOf('a\nb\nrm -rf x\n', 'rm -rf x'), 3);
+    assert.equal(lineOf('a\n', 'b'), null);
+  });
+});
